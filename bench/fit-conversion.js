@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/*
+================================================================
+FIT CONVERSION BENCHMARK
+Times fitConversion on the workloads that call it most: single
+rounds, a sensitivity sweep (pre-money x round size) and goal-seek
+(bisection on pre-money for a founder ownership target).
+Pass another engine.js to compare, e.g. one from an older checkout:
+  node bench/fit-conversion.js /tmp/old/engine.js
+================================================================
+*/
+const path = require("path");
+
+const enginePath = path.resolve(process.argv[2] || path.join(__dirname, "..", "engine.js"));
+const engine = require(enginePath);
+
+const STRATEGIES = {
+    default: engine.DEFAULT_ROUNDING_STRATEGY,
+    down: { roundDownShares: true, roundPPSPlaces: 8 },
+    unrounded: { roundPPSPlaces: -1 },
+};
+const SINGLE_ROUNDS = 500;
+const SWEEP_STEPS = 20;
+const GOAL_SEEKS = 20;
+const GOAL_SEEK_STEPS = 30;
+
+// Seeded, so every run (and every engine) sees the same rounds.
+const random = (() => {
+    let seed = 20;
+    return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+})();
+const pick = (values) => values[Math.floor(random() * values.length)];
+
+const randomRound = () => ({
+    preMoney: pick([5e6, 1e7, 1.5e7, 3.3e7]),
+    commonShares: 1e6 * Math.floor(1 + random() * 20),
+    safes: Array.from({ length: 1 + Math.floor(random() * 4) }, () => {
+        const cap = pick([0, 8e6, 1.2e7, 2e7]);
+        return {
+            investment: Math.round(random() * (cap ? cap * 0.25 : 2e6) / 1000) * 1000,
+            cap,
+            discount: pick([0, 0.1, 0.2]),
+            conversionType: pick(["pre", "post", "post"]),
+        };
+    }),
+    unusedOptions: pick([0, 250000]),
+    targetOptionsPct: pick([0, 10, 15]),
+    seriesInvestments: [pick([1e6, 2.5e6, 5e6])],
+});
+
+const SWEEP_ROUND = {
+    commonShares: 9e6,
+    safes: [
+        { investment: 5e5, cap: 8e6, discount: 0.2, conversionType: "post" },
+        { investment: 1.5e6, cap: 1.5e7, discount: 0, conversionType: "post" },
+    ],
+    unusedOptions: 5e5,
+    targetOptionsPct: 12,
+};
+
+const fit = (round, strategy, stats) => {
+    const result = engine.fitConversion(
+        round.preMoney,
+        round.commonShares,
+        round.safes.map((safe) => ({ ...safe })),
+        round.unusedOptions,
+        round.targetOptionsPct,
+        round.seriesInvestments,
+        strategy
+    );
+    stats.fits++;
+    if (result.solver) stats.iterations += result.solver.iterations;
+    return result;
+};
+
+const workloads = {
+    single: (strategy, stats, rounds) => rounds.forEach((round) => fit(round, strategy, stats)),
+    sweep: (strategy, stats) => {
+        for (let i = 0; i < SWEEP_STEPS; i++) {
+            for (let j = 0; j < SWEEP_STEPS; j++) {
+                fit({ ...SWEEP_ROUND, preMoney: 1e7 + i * 1e6, seriesInvestments: [1e6 + j * 5e5] }, strategy, stats);
+            }
+        }
+    },
+    goalSeek: (strategy, stats) => {
+        for (let k = 0; k < GOAL_SEEKS; k++) {
+            const target = 0.3 + k * 0.01;
+            let lo = 2e6;
+            let hi = 2e8;
+            for (let i = 0; i < GOAL_SEEK_STEPS; i++) {
+                const preMoney = (lo + hi) / 2;
+                const result = fit({ ...SWEEP_ROUND, preMoney, seriesInvestments: [4e6] }, strategy, stats);
+                if (SWEEP_ROUND.commonShares / result.totalShares < target) lo = preMoney;
+                else hi = preMoney;
+            }
+        }
+    },
+};
+
+const rounds = Array.from({ length: SINGLE_ROUNDS }, randomRound);
+console.log(`Engine: ${enginePath}`);
+console.log("workload   rounding     fits   ms/fit   iterations/fit");
+for (const [name, run] of Object.entries(workloads)) {
+    for (const [label, strategy] of Object.entries(STRATEGIES)) {
+        run(strategy, { fits: 0, iterations: 0 }, rounds); // warm-up
+        const stats = { fits: 0, iterations: 0 };
+        const start = process.hrtime.bigint();
+        run(strategy, stats, rounds);
+        const ms = Number(process.hrtime.bigint() - start) / 1e6;
+        const iterations = stats.iterations ? (stats.iterations / stats.fits).toFixed(1) : "—";
+        console.log(`${name.padEnd(10)} ${label.padEnd(10)} ${String(stats.fits).padStart(6)} ${(ms / stats.fits).toFixed(3).padStart(8)} ${iterations.padStart(16)}`);
+    }
+}
@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+/*
+================================================================
+SAFE CALCULATOR CLI
+Runs scenario JSON files ({ rowData, preMoney, roundInput,
+targetOptionsPool, rounding, proRata, optionPool }) through the
+same engine pipeline as the calculator page and prints the
+pre/post breakdown. A directory is processed file by file, and
+--check / --update compare against <name>.expected.json for
+regression runs.
+================================================================
+*/
+const fs = require("fs");
+const path = require("path");
+const engine = require("../engine.js");
+
+const USAGE = `Usage: safe-calc <scenario.json | directory> [options]
+
+Options:
+  --format table|json|csv   Output format (default: table)
+  --rounding nearest|down|none
+                            How converted share counts are rounded (default: the
+                            scenario's rounding, else ${engine.DEFAULT_ROUNDING_POLICY.shares})
+  --pps-places <n>          Decimal places the price per share is rounded up to,
+                            or -1 for no rounding (default: the scenario's rounding,
+                            else ${engine.DEFAULT_ROUNDING_POLICY.ppsPlaces})
+  --check                   Directory mode: compare each result with <name>.expected.json
+  --update                  Directory mode: write <name>.expected.json from each result
+  --help                    Show this message
+
+Exit status: 0 on success, 1 when a SAFE or note can't convert, a secondary sale is
+invalid, a round's solver doesn't converge or a check fails, 2 on bad arguments or
+unreadable files.`;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+    // A null rounding or ppsPlaces means "use the scenario's own setting".
+    const options = { format: "table", rounding: null, ppsPlaces: null, check: false, update: false, input: null };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value.`);
+            return argv[++i];
+        };
+
+        if (flag === "--help" || flag === "-h") options.help = true;
+        else if (flag === "--format") options.format = value();
+        else if (flag === "--rounding") options.rounding = value();
+        else if (flag === "--pps-places") options.ppsPlaces = Number(value());
+        else if (flag === "--check") options.check = true;
+        else if (flag === "--update") options.update = true;
+        else if (flag.startsWith("-")) throw new UsageError(`Unknown option ${flag}.`);
+        else if (options.input) throw new UsageError("Only one scenario file or directory can be given.");
+        else options.input = argv[i];
+    }
+
+    if (options.help) return options;
+    if (!options.input) throw new UsageError("No scenario file or directory given.");
+    if (!["table", "json", "csv"].includes(options.format)) throw new UsageError(`Unknown format "${options.format}".`);
+    if (options.rounding !== null && !Object.keys(engine.SHARE_ROUNDING_STRATEGIES).includes(options.rounding)) {
+        throw new UsageError(`Unknown rounding "${options.rounding}".`);
+    }
+    if (options.ppsPlaces !== null && (!Number.isInteger(options.ppsPlaces) || options.ppsPlaces < -1)) {
+        throw new UsageError("--pps-places must be a whole number, or -1.");
+    }
+    if (options.check && options.update) throw new UsageError("Use either --check or --update, not both.");
+    return options;
+};
+
+// Numeric fields each row type must have, then the ones it may have.
+const ROW_NUMBER_FIELDS = {
+    [engine.CapTableRowType.Common]: { required: ["shares"], optional: [] },
+    [engine.CapTableRowType.Safe]: { required: ["investment"], optional: ["cap", "discount"] },
+    [engine.CapTableRowType.Note]: { required: ["principal"], optional: ["interestRate", "cap", "discount"] },
+    [engine.CapTableRowType.Series]: { required: ["investment"], optional: [] },
+    [engine.CapTableRowType.Secondary]: { required: ["shares"], optional: ["discount"] },
+};
+
+const checkScenarioRow = (file, row, index) => {
+    if (!row || typeof row !== "object" || Array.isArray(row)) throw new UsageError(`${file} rowData[${index}] is not an object.`);
+    if (typeof row.id !== "string") throw new UsageError(`${file} rowData[${index}] has no string id.`);
+    const fields = ROW_NUMBER_FIELDS[row.type];
+    if (!fields) throw new UsageError(`${file} rowData[${index}] has an unknown type "${row.type}".`);
+    for (const field of [...fields.required, ...fields.optional]) {
+        const value = row[field];
+        if (value === undefined && !fields.required.includes(field)) continue;
+        if (!(typeof value === "number" && Number.isFinite(value) && value >= 0)) {
+            throw new UsageError(`${file} rowData[${index}] needs ${field} to be a non-negative number.`);
+        }
+    }
+};
+
+const readScenario = (file) => {
+    let scenario;
+    try {
+        scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new UsageError(`Can't read ${file}: ${e.message}`);
+    }
+    if (!scenario || !Array.isArray(scenario.rowData)) throw new UsageError(`${file} has no rowData array.`);
+    scenario.rowData.forEach((row, index) => checkScenarioRow(file, row, index));
+    const { shares, ppsPlaces } = scenario.rounding || {};
+    if (shares !== undefined && !Object.keys(engine.SHARE_ROUNDING_STRATEGIES).includes(shares)) {
+        throw new UsageError(`${file} has an unknown rounding "${shares}".`);
+    }
+    if (ppsPlaces !== undefined && (!Number.isInteger(ppsPlaces) || ppsPlaces < -1)) {
+        throw new UsageError(`${file} has an invalid rounding.ppsPlaces.`);
+    }
+    if (scenario.proRata !== undefined && typeof scenario.proRata?.autoAdd !== "boolean") {
+        throw new UsageError(`${file} has an invalid proRata.autoAdd.`);
+    }
+    const { mode, newShares, safeCapitalization } = scenario.optionPool || {};
+    if (mode !== undefined && !Object.values(engine.OptionPoolMode).includes(mode)) {
+        throw new UsageError(`${file} has an unknown optionPool.mode "${mode}".`);
+    }
+    if (newShares !== undefined && !(Number.isFinite(newShares) && newShares >= 0)) {
+        throw new UsageError(`${file} has an invalid optionPool.newShares.`);
+    }
+    if (safeCapitalization !== undefined && !Object.values(engine.SafeCapitalization).includes(safeCapitalization)) {
+        throw new UsageError(`${file} has an unknown optionPool.safeCapitalization "${safeCapitalization}".`);
+    }
+    const { basis, postMoney, pps } = scenario.roundInput || {};
+    if (basis !== undefined && !Object.values(engine.RoundInputBasis).includes(basis)) {
+        throw new UsageError(`${file} has an unknown roundInput.basis "${basis}".`);
+    }
+    for (const [field, value] of [["postMoney", postMoney], ["pps", pps]]) {
+        if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+            throw new UsageError(`${file} has an invalid roundInput.${field}.`);
+        }
+    }
+    return { ...scenario, preMoney: Number(scenario.preMoney) || 0, targetOptionsPool: scenario.targetOptionsPool ?? null };
+};
+
+// Why a round without SAFE or note errors has no price.
+const describeUnpricedRound = (scenario, roundInput) => {
+    const { basis, pps } = engine.getRoundInputTerms(scenario.roundInput);
+    if (basis === engine.RoundInputBasis.PostMoney) return "Post-money valuation must be greater than the new money.";
+    if (basis === engine.RoundInputBasis.PricePerShare) {
+        return pps > 0 && roundInput && roundInput.minPps > 0
+            ? `No pre-money valuation prices the round at ${pps}; prices run from ${roundInput.minPps} to ${roundInput.maxPps}.`
+            : "Price per share must be greater than 0.";
+    }
+    return "Pre-money valuation must be greater than 0.";
+};
+
+/**
+ * Runs one scenario and returns a plain, JSON-safe result: the rounding used, the SAFE/note
+ * errors (if any), the round summary and one breakdown row per holder, plus pro-rata
+ * allocations when a holder has pro-rata rights, secondary sales when there are any, who
+ * bears the pool top-up when the scenario sets an optionPool, and solver warnings when a
+ * round didn't converge.
+ * Percentages are fractions (0.25 = 25%); a null means no position in that column.
+ */
+const runScenario = (scenario, options) => {
+    const rounding = {
+        ...engine.DEFAULT_ROUNDING_POLICY,
+        ...scenario.rounding,
+        ...(options.rounding !== null && { shares: options.rounding }),
+        ...(options.ppsPlaces !== null && { ppsPlaces: options.ppsPlaces }),
+    };
+    const results = engine.calculateScenario(scenario, engine.getRoundingStrategy(rounding));
+
+    const errors = Object.entries(results.errors).map(([id, message]) => ({
+        id,
+        name: scenario.rowData.find((r) => r.id === id)?.name || (scenario.followOnRounds || []).find((r) => r.id === id)?.roundName || id,
+        message,
+    }));
+    if (!results.ready) {
+        return { rounding, errors: errors.length > 0 ? errors : [{ id: null, name: "Round", message: describeUnpricedRound(scenario, results.roundInput) }] };
+    }
+
+    const { preRound, postRound, pricedConversion } = results;
+    const warnings = [
+        { round: scenario.roundName || "The priced round", solver: pricedConversion.solver },
+        ...results.followOnSteps.map((step) => ({ round: step.roundName || "A follow-on round", solver: step.pricedConversion.solver })),
+    ]
+        .filter(({ solver }) => !solver.converged)
+        .map(({ round, solver }) => ({ round, status: solver.status, message: engine.describeSolverWarning(round, solver) }));
+    const preRows = engine.getRowData(preRound);
+    const postRows = engine.getRowData(postRound);
+    const ids = Array.from(new Set([...preRows.map((r) => r.id), ...postRows.map((r) => r.id)]));
+
+    return {
+        rounding,
+        errors,
+        summary: {
+            pps: pricedConversion.pps,
+            preMoney: results.preMoney,
+            postMoney: results.postMoney,
+            newMoney: pricedConversion.totalSeriesInvestment,
+            newOptionPoolShares: pricedConversion.additionalOptions,
+            preRoundShares: preRound.total.shares,
+            postRoundShares: postRound.total.shares,
+            founderPctPre: results.founderPctPre,
+            founderPctPost: results.founderPctPost,
+            founderDilution: results.dilution,
+        },
+        breakdown: ids.map((id) => {
+            const pre = preRows.find((r) => r.id === id);
+            const post = postRows.find((r) => r.id === id);
+            return {
+                id,
+                name: (post || pre).name,
+                category: (post || pre).category,
+                preShares: pre && pre.shares > 0 ? pre.shares : null,
+                postShares: post && post.shares > 0 ? post.shares : null,
+                prePct: pre && pre.shares > 0 ? pre.ownershipPct : null,
+                postPct: post && post.shares > 0 ? post.ownershipPct : null,
+                pps: post && post.shares > 0 && post.pps_val ? post.pps_val : null,
+            };
+        }),
+        ...(results.proRata && {
+            proRata: {
+                added: results.proRataAdded,
+                totalAmount: results.proRata.totalAmount,
+                addedFounderDilution: results.proRata.addedFounderDilution,
+                settled: results.proRata.settled,
+                holders: results.proRata.holders.map((h) => ({
+                    id: h.id,
+                    name: h.name,
+                    ownershipPct: h.ownershipPct,
+                    amount: h.amount,
+                    newShares: h.newShares,
+                    postRoundPct: h.postRoundPct,
+                })),
+            },
+        }),
+        ...(postRound.secondarySales.length > 0 && {
+            secondarySales: postRound.secondarySales.map((sale) => ({
+                id: sale.id,
+                seller: sale.sellerName,
+                buyer: sale.buyerName,
+                shares: sale.shares,
+                pps: sale.pps,
+                proceeds: sale.proceeds,
+            })),
+        }),
+        ...(scenario.roundInput && { roundInput: { ...engine.getRoundInputTerms(scenario.roundInput), preMoney: results.preMoney } }),
+        ...(scenario.optionPool && {
+            optionPool: {
+                ...results.optionPool,
+                dilution: results.poolDilution,
+            },
+        }),
+        ...(warnings.length > 0 && { warnings }),
+    };
+};
+
+const BREAKDOWN_COLUMNS = [
+    { header: "Holder", key: "name" },
+    { header: "Category", key: "category" },
+    { header: "Pre shares", key: "preShares", format: "shares" },
+    { header: "Post shares", key: "postShares", format: "shares" },
+    { header: "Pre %", key: "prePct", format: "pct" },
+    { header: "Post %", key: "postPct", format: "pct" },
+    { header: "PPS", key: "pps", format: "pps" },
+];
+
+const formatCell = (value, format) => {
+    if (value === null || value === undefined) return "—";
+    if (format === "shares") return value.toLocaleString("en-US");
+    if (format === "pct") return `${(value * 100).toFixed(2)}%`;
+    if (format === "pps") return value.toLocaleString("en-US", { style: "currency", currency: "USD", minimumFractionDigits: 2, maximumFractionDigits: 8 });
+    if (format === "currency") return value.toLocaleString("en-US", { style: "currency", currency: "USD" });
+    return String(value);
+};
+
+const renderTable = (result) => {
+    if (!result.breakdown) return result.errors.map((e) => `Error: ${e.name}: ${e.message}`).join("\n");
+
+    const rows = result.breakdown.map((row) => BREAKDOWN_COLUMNS.map((c) => formatCell(row[c.key], c.format)));
+    const total = ["Total", "", formatCell(result.summary.preRoundShares, "shares"), formatCell(result.summary.postRoundShares, "shares"), "100.00%", "100.00%", ""];
+    const table = [BREAKDOWN_COLUMNS.map((c) => c.header), ...rows, total];
+    const widths = BREAKDOWN_COLUMNS.map((c, i) => Math.max(...table.map((r) => r[i].length)));
+    const line = (cells) => cells.map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+    const { summary } = result;
+
+    return [
+        line(table[0]),
+        widths.map((w) => "-".repeat(w)).join("  "),
+        ...table.slice(1, -1).map(line),
+        widths.map((w) => "-".repeat(w)).join("  "),
+        line(total),
+        "",
+        ...(result.roundInput && result.roundInput.basis !== engine.RoundInputBasis.PreMoney
+            ? [`Pre-money valuation   ${formatCell(summary.preMoney, "currency")} (derived from the ${result.roundInput.basis === engine.RoundInputBasis.PostMoney ? "post-money valuation" : "price per share"})`]
+            : []),
+        `Price per share       ${formatCell(summary.pps, "pps")}`,
+        `Post-money valuation  ${formatCell(summary.postMoney, "currency")}`,
+        `New option pool       ${formatCell(summary.newOptionPoolShares, "shares")} shares`,
+        `Founder ownership     ${formatCell(summary.founderPctPre, "pct")} -> ${formatCell(summary.founderPctPost, "pct")}`,
+        `Founder dilution      ${formatCell(summary.founderDilution, "pct")}`,
+        ...(result.proRata ? [
+            "",
+            ...result.proRata.holders.map((h) => `Pro-rata  ${h.name}: ${formatCell(h.amount, "currency")} for ${formatCell(h.newShares, "shares")} shares, keeps ${formatCell(h.ownershipPct, "pct")}`),
+            `Pro-rata  ${formatCell(result.proRata.totalAmount, "currency")} ${result.proRata.added ? "added to the round" : "not in the round"}, costs founders ${formatCell(result.proRata.addedFounderDilution, "pct")}`,
+        ] : []),
+        ...(result.secondarySales ? [
+            "",
+            ...result.secondarySales.map((sale) => `Secondary  ${sale.seller} -> ${sale.buyer}: ${formatCell(sale.shares, "shares")} shares at ${formatCell(sale.pps, "pps")}, ${formatCell(sale.proceeds, "currency")} to the seller`),
+        ] : []),
+        ...(result.optionPool?.dilution ? [
+            "",
+            `Pool top-up (${result.optionPool.mode}, SAFE capitalization ${result.optionPool.safeCapitalization}) borne by: ` +
+                `founders ${formatCell(result.optionPool.dilution.founders, "pct")}, SAFEs and notes ${formatCell(result.optionPool.dilution.safeHolders, "pct")}, ` +
+                `other holders ${formatCell(result.optionPool.dilution.otherHolders, "pct")}, new investors ${formatCell(result.optionPool.dilution.seriesInvestors, "pct")}`,
+        ] : []),
+        ...(result.warnings || []).map((w) => `Warning: ${w.message}`),
+    ].join("\n");
+};
+
+const renderCSV = (result) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return "";
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    if (!result.breakdown) return ["id,name,error", ...result.errors.map((e) => [e.id, e.name, e.message].map(escape).join(","))].join("\n");
+    return [
+        ["id", ...BREAKDOWN_COLUMNS.map((c) => c.key)].join(","),
+        ...result.breakdown.map((row) => [row.id, ...BREAKDOWN_COLUMNS.map((c) => row[c.key])].map(escape).join(",")),
+    ].join("\n");
+};
+
+const render = (result, format) => {
+    if (format === "json") return JSON.stringify(result, null, 2);
+    if (format === "csv") return renderCSV(result);
+    return renderTable(result);
+};
+
+// First path where two JSON values differ, e.g. "breakdown[3].postShares", or null when equal.
+const firstDifference = (actual, expected, at = "") => {
+    if (Object.is(actual, expected)) return null;
+    if (typeof actual !== "object" || typeof expected !== "object" || actual === null || expected === null ||
+        Array.isArray(actual) !== Array.isArray(expected)) {
+        return at || "(root)";
+    }
+    const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const key of keys) {
+        const diff = firstDifference(actual[key], expected[key], Array.isArray(actual) ? `${at}[${key}]` : at ? `${at}.${key}` : key);
+        if (diff) return diff;
+    }
+    return null;
+};
+
+// A round that didn't converge has no reliable cap table, so it fails like an error does.
+const hasFailed = (result) => result.errors.length > 0 || Boolean(result.warnings);
+
+const runFile = (file, options) => {
+    const result = runScenario(readScenario(file), options);
+    process.stdout.write(`${render(result, options.format)}\n`);
+    result.errors.forEach((e) => process.stderr.write(`${path.basename(file)}: ${e.name}: ${e.message}\n`));
+    (result.warnings || []).forEach((w) => process.stderr.write(`${path.basename(file)}: warning: ${w.message}\n`));
+    return hasFailed(result) ? EXIT_FAILED : EXIT_OK;
+};
+
+const runDirectory = (dir, options) => {
+    const files = fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json") && !f.endsWith(".expected.json"))
+        .sort();
+    if (files.length === 0) throw new UsageError(`No scenario files in ${dir}.`);
+
+    let failures = 0;
+    files.forEach((f) => {
+        const file = path.join(dir, f);
+        const expectedFile = file.replace(/\.json$/, ".expected.json");
+        // Scenarios with SAFE errors are still recorded, so a regression set can pin the errors too.
+        const result = runScenario(readScenario(file), options);
+
+        if (options.update) {
+            fs.writeFileSync(expectedFile, `${JSON.stringify(result, null, 2)}\n`);
+            if (result.warnings) failures++;
+            process.stdout.write(result.warnings ? `updated  ${f} (a round didn't converge)\n` : `updated  ${f}\n`);
+        } else if (options.check) {
+            if (!fs.existsSync(expectedFile)) {
+                failures++;
+                process.stdout.write(`MISSING  ${f} (no ${path.basename(expectedFile)}; run with --update)\n`);
+                return;
+            }
+            const diff = firstDifference(JSON.parse(JSON.stringify(result)), JSON.parse(fs.readFileSync(expectedFile, "utf8")));
+            if (diff || result.warnings) failures++;
+            if (diff) process.stdout.write(`FAIL     ${f} (differs at ${diff})\n`);
+            else if (result.warnings) process.stdout.write(`FAIL     ${f} (a round didn't converge)\n`);
+            else process.stdout.write(`ok       ${f}\n`);
+        } else {
+            process.stdout.write(`== ${f}\n${render(result, options.format)}\n\n`);
+            if (hasFailed(result)) failures++;
+            result.errors.forEach((e) => process.stderr.write(`${f}: ${e.name}: ${e.message}\n`));
+            (result.warnings || []).forEach((w) => process.stderr.write(`${f}: warning: ${w.message}\n`));
+        }
+    });
+
+    if (options.check) process.stdout.write(`\n${files.length - failures} of ${files.length} scenarios match.\n`);
+    return failures > 0 ? EXIT_FAILED : EXIT_OK;
+};
+
+const main = (argv) => {
+    try {
+        const options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(`${USAGE}\n`);
+            return EXIT_OK;
+        }
+        if (!fs.existsSync(options.input)) throw new UsageError(`${options.input} does not exist.`);
+        if (fs.statSync(options.input).isDirectory()) return runDirectory(options.input, options);
+        if (options.check || options.update) throw new UsageError("--check and --update work on a directory of scenarios.");
+        return runFile(options.input, options);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`safe-calc: ${e.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,2228 @@
+/*
+================================================================
+SAFE CALCULATOR ENGINE
+Pure cap table math: SAFE and note conversion, priced rounds,
+follow-on rounds and exit waterfalls. Nothing here touches the DOM,
+so the browser (window.SAFEEngine), Node (require("./engine.js"))
+and ES modules (import from "./engine.mjs") all run the same code.
+================================================================
+*/
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SAFEEngine = factory();
+    }
+})(typeof self !== "undefined" ? self : this, () => {
+
+const CapTableRowType = {
+    Common: "common",
+    Safe: "safe",
+    Note: "note",
+    Series: "series",
+    // A sale of existing shares from a common holder to a series investor in the first priced round.
+    Secondary: "secondary",
+    Total: "total",
+    RefreshedOptions: "refreshedOptions",
+};
+
+const CommonRowType = {
+    Shareholder: "shareholder",
+    UnusedOptions: "unusedOptions",
+};
+
+// Id of the first priced round, the one defined by state.preMoney and the series rows.
+const PRIMARY_ROUND_ID = "PrimaryRound";
+
+const DEFAULT_ROUNDING_STRATEGY = {
+    roundShares: true,
+    roundPPSPlaces: 8,
+};
+
+// Share rounding modes a worksheet can choose, as rounding strategies.
+const SHARE_ROUNDING_STRATEGIES = {
+    nearest: { roundShares: true },
+    down: { roundDownShares: true },
+    none: { roundShares: false },
+};
+
+// A worksheet's rounding policy, as saved in its state. ppsPlaces of -1 leaves prices unrounded.
+const DEFAULT_ROUNDING_POLICY = {
+    shares: "nearest",
+    ppsPlaces: DEFAULT_ROUNDING_STRATEGY.roundPPSPlaces,
+};
+
+/**
+ * Turns a rounding policy ({ shares, ppsPlaces }) into the rounding strategy the solver
+ * takes. Missing or unknown values fall back to DEFAULT_ROUNDING_POLICY.
+ */
+const getRoundingStrategy = (policy) => {
+    const shares = Object.keys(SHARE_ROUNDING_STRATEGIES).includes(policy?.shares) ? policy.shares : DEFAULT_ROUNDING_POLICY.shares;
+    const ppsPlaces = Number.isInteger(policy?.ppsPlaces) && policy.ppsPlaces >= -1
+        ? policy.ppsPlaces
+        : DEFAULT_ROUNDING_POLICY.ppsPlaces;
+    return { ...SHARE_ROUNDING_STRATEGIES[shares], roundPPSPlaces: ppsPlaces };
+};
+
+// How the first priced round sizes its option pool top-up: as a target % of the post-round
+// fully diluted shares, as a target % of the fully diluted shares before the new money, or as
+// a set number of new shares.
+const OptionPoolMode = {
+    PostMoney: "postMoney",
+    PreMoney: "preMoney",
+    FixedShares: "fixedShares",
+};
+
+// Whether the top-up counts in the capitalization SAFE caps price against. Standard follows the
+// SAFE forms: pre-money SAFEs count the top-up, post-money SAFEs don't.
+const SafeCapitalization = {
+    Standard: "standard",
+    Include: "include",
+    Exclude: "exclude",
+};
+
+// A worksheet's option pool policy, as saved in its state and as the solver takes it.
+const DEFAULT_OPTION_POOL = {
+    mode: OptionPoolMode.PostMoney,
+    newShares: 0,
+    safeCapitalization: SafeCapitalization.Standard,
+};
+
+/**
+ * Fills in an option pool policy ({ mode, newShares, safeCapitalization }). Missing or
+ * unknown values fall back to DEFAULT_OPTION_POOL.
+ */
+const getOptionPoolTerms = (policy) => ({
+    mode: Object.values(OptionPoolMode).includes(policy?.mode) ? policy.mode : DEFAULT_OPTION_POOL.mode,
+    newShares: Number.isFinite(policy?.newShares) && policy.newShares >= 0 ? policy.newShares : DEFAULT_OPTION_POOL.newShares,
+    safeCapitalization: Object.values(SafeCapitalization).includes(policy?.safeCapitalization)
+        ? policy.safeCapitalization
+        : DEFAULT_OPTION_POOL.safeCapitalization,
+});
+
+// Which figure a term sheet fixes for the first priced round. The other two are derived from it.
+const RoundInputBasis = {
+    PreMoney: "preMoney",
+    PostMoney: "postMoney",
+    PricePerShare: "pps",
+};
+
+// A worksheet's round input. The pre-money valuation itself stays in `preMoney`; postMoney and
+// pps are only read when they are the basis.
+const DEFAULT_ROUND_INPUT = {
+    basis: RoundInputBasis.PreMoney,
+    postMoney: 0,
+    pps: 0,
+};
+
+/**
+ * Fills in a round input ({ basis, postMoney, pps }). Missing or unknown values fall back
+ * to DEFAULT_ROUND_INPUT.
+ */
+const getRoundInputTerms = (input) => ({
+    basis: Object.values(RoundInputBasis).includes(input?.basis) ? input.basis : DEFAULT_ROUND_INPUT.basis,
+    postMoney: Number.isFinite(input?.postMoney) && input.postMoney >= 0 ? input.postMoney : DEFAULT_ROUND_INPUT.postMoney,
+    pps: Number.isFinite(input?.pps) && input.pps >= 0 ? input.pps : DEFAULT_ROUND_INPUT.pps,
+});
+
+// =========================================================================
+// EXACT ARITHMETIC
+// Rationals are { n, d } BigInt pairs with d > 0, not reduced: every value is
+// rounded or converted back to a number after a few steps. Numbers are
+// read from their decimal form, so a 0.2 discount is exactly 1/5 and a
+// $0.50000011 price is exactly 50000011/10^8.
+// =========================================================================
+const RoundingMode = {
+    Nearest: "nearest", // halves round up, like Math.round for positive values
+    Down: "down",
+    Up: "up",
+    None: "none",
+};
+
+const bigAbs = (x) => (x < 0n ? -x : x);
+
+const rational = (n, d = 1n) => {
+    if (d === 0n) throw new RangeError("Division by zero");
+    return d < 0n ? { n: -n, d: -d } : { n, d };
+};
+
+const ZERO = rational(0n);
+const ONE = rational(1n);
+const HUNDRED = rational(100n);
+
+const parseDecimal = (value) => {
+    const [mantissa, exponentText = "0"] = String(value).toLowerCase().split("e");
+    const exponent = Number(exponentText);
+    const negative = mantissa.startsWith("-");
+    const [intPart, fracPart = ""] = mantissa.replace("-", "").split(".");
+    let n = BigInt(intPart + fracPart);
+    let d = 10n ** BigInt(fracPart.length);
+    if (exponent > 0) n *= 10n ** BigInt(exponent);
+    if (exponent < 0) d *= 10n ** BigInt(-exponent);
+    return rational(negative ? -n : n, d);
+};
+
+// Prices and percentages repeat on every fit iteration, so their decimal parses are cached.
+const decimalCache = new Map();
+const DECIMAL_CACHE_LIMIT = 1000;
+
+const toRational = (value) => {
+    if (Number.isSafeInteger(value)) return { n: BigInt(value), d: 1n };
+    if (!Number.isFinite(value)) throw new RangeError(`${value} has no exact value`);
+    const cached = decimalCache.get(value);
+    if (cached) return cached;
+    if (decimalCache.size >= DECIMAL_CACHE_LIMIT) decimalCache.clear();
+    const result = parseDecimal(value);
+    decimalCache.set(value, result);
+    return result;
+};
+
+// NaN and Infinity (blank inputs, zero share counts) have no exact value; they flow through as NaN as before.
+const allFinite = (...values) => values.every((value) => Number.isFinite(value));
+
+const ratAdd = (a, b) => (a.d === b.d ? { n: a.n + b.n, d: a.d } : rational(a.n * b.d + b.n * a.d, a.d * b.d));
+const ratSub = (a, b) => (a.d === b.d ? { n: a.n - b.n, d: a.d } : rational(a.n * b.d - b.n * a.d, a.d * b.d));
+const ratMul = (a, b) => rational(a.n * b.n, a.d * b.d);
+const ratDiv = (a, b) => rational(a.n * b.d, a.d * b.n);
+const ratCmp = (a, b) => {
+    const diff = a.n * b.d - b.n * a.d;
+    return diff === 0n ? 0 : diff < 0n ? -1 : 1;
+};
+
+// 20 decimals is more than a double holds for any share count or price in a cap table.
+const ratToNumber = (r) => {
+    if (r.d === 1n) return Number(r.n);
+    const digits = ((bigAbs(r.n) * 10n ** 20n) / r.d).toString().padStart(21, "0");
+    return Number(`${r.n < 0n ? "-" : ""}${digits.slice(0, -20)}.${digits.slice(-20)}`);
+};
+
+/**
+ * Rounds a rational to `places` decimals (0 = whole shares) in the given RoundingMode.
+ */
+const roundRational = (r, mode, places = 0) => {
+    if (mode === RoundingMode.None) return r;
+    const scale = 10n ** BigInt(places);
+    const scaled = ratMul(r, rational(scale));
+    const floor = scaled.n >= 0n ? scaled.n / scaled.d : -((-scaled.n + scaled.d - 1n) / scaled.d);
+    const remainder = scaled.n - floor * scaled.d;
+    let rounded = floor;
+    if (remainder !== 0n) {
+        if (mode === RoundingMode.Up) rounded = floor + 1n;
+        else if (mode === RoundingMode.Nearest && 2n * remainder >= scaled.d) rounded = floor + 1n;
+    }
+    return rational(rounded, scale);
+};
+
+const getShareRoundingMode = (strategy) => {
+    if (strategy.roundDownShares) return RoundingMode.Down;
+    if (strategy.roundShares) return RoundingMode.Nearest;
+    return RoundingMode.None;
+};
+
+// Prices are always rounded up, so investors never get more shares than their money buys.
+const roundPPSRational = (r, places) => (places < 0 ? r : roundRational(r, RoundingMode.Up, places));
+
+const roundShares = (num, strategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const mode = getShareRoundingMode(strategy);
+    if (mode === RoundingMode.None || !Number.isFinite(num)) return num;
+    return ratToNumber(roundRational(toRational(num), mode));
+};
+
+// Shares bought by `investment` at `pps`, rounded by the strategy.
+const convertToShares = (investment, pps, strategy = DEFAULT_ROUNDING_STRATEGY) => {
+    if (!(pps > 0) || !allFinite(investment, pps)) return roundShares(investment / pps, strategy);
+    return ratToNumber(roundRational(ratDiv(toRational(investment), toRational(pps)), getShareRoundingMode(strategy)));
+};
+
+const roundPPSToPlaces = (num, places) => {
+    if (places < 0 || !Number.isFinite(num)) return num;
+    return ratToNumber(roundPPSRational(toRational(num), places));
+};
+
+/**
+ * Checks if a SAFE note is a "Most Favored Nation" (MFN) note.
+ * MFN SAFEs don't have their own cap but adopt the best cap (lowest) 
+ * from other SAFEs in the same round.
+ */
+const isMFN = (safe) => {
+    return (
+        safe.conversionType === "mfn" ||
+        safe.conversionType === "ycmfn" ||
+        (safe.sideLetters && safe.sideLetters.includes("mfn"))
+    );
+};
+
+const getMFNCapAfter = (rows, idx) => {
+    return (
+        rows.slice(idx + 1).reduce((val, row) => {
+            if (isMFN(row) || row.conversionType === "pre") return val;
+            if (val === 0) return row.cap;
+            if (val > 0 && row.cap > 0 && row.cap < val) return row.cap;
+            return val;
+        }, 0) || 0
+    );
+};
+
+const getCapForSafe = (idx, safes, preMoneyValuation = 0) => {
+    const safe = safes[idx];
+    if (!isMFN(safe)) return safe.cap;
+    const inheritedCap = getMFNCapAfter(safes, idx);
+    const ownCap = safe.cap || 0;
+    
+    let baseCap = 0;
+    if (ownCap > 0 && inheritedCap > 0) baseCap = Math.min(ownCap, inheritedCap);
+    else if (ownCap > 0) baseCap = ownCap;
+    else if (inheritedCap > 0) baseCap = inheritedCap;
+    else baseCap = preMoneyValuation;
+
+    if (baseCap > 0 && isMFN(safe) && safe.discount > 0 && inheritedCap === 0 && ownCap === 0) {
+        return baseCap * (1 - safe.discount);
+    }
+    
+    return baseCap;
+};
+
+/**
+ * Resolves Valuation Caps for all SAFEs, including MFNs.
+ * Iterates through notes to ensure MFN notes adopt the lowest cap found in the list.
+ */
+const populateSafeCaps = (safeNotes, preMoneyValuation = 0) => {
+    return safeNotes.map((safe, idx) => {
+        if (isMFN(safe)) {
+            return { ...safe, cap: getCapForSafe(idx, safeNotes, preMoneyValuation) };
+        }
+        return { ...safe };
+    });
+};
+
+/**
+ * Interest accrued on a convertible note from its issue date to its conversion date,
+ * rounded to the cent. Uses an actual/365 day count. Compound notes compound once every
+ * full 365-day year; the days after the last full year earn simple interest on the
+ * compounded balance.
+ */
+const calculateAccruedInterest = (note) => {
+    const issued = Date.parse(note.issueDate);
+    const converted = Date.parse(note.conversionDate);
+    if (isNaN(issued) || isNaN(converted) || converted <= issued) return 0;
+
+    const days = Math.round((converted - issued) / (24 * 60 * 60 * 1000));
+    const rate = note.interestRate || 0;
+    if (note.interestType !== "compound") {
+        return Math.round(note.principal * rate * (days / 365) * 100) / 100;
+    }
+    const fullYears = Math.floor(days / 365);
+    const stubYears = (days - fullYears * 365) / 365;
+    const balance = note.principal * Math.pow(1 + rate, fullYears) * (1 + rate * stubYears);
+    return Math.round((balance - note.principal) * 100) / 100;
+};
+
+/**
+ * Returns the SAFEs and convertible notes of a worksheet, in rowData order.
+ * Notes get an `investment` of principal plus accrued interest, so they go through
+ * the same cap/discount conversion as SAFEs.
+ */
+const getConvertibleRows = (rowData) => {
+    return rowData
+        .filter((r) => r.type === CapTableRowType.Safe || r.type === CapTableRowType.Note)
+        .map((r) => {
+            if (r.type !== CapTableRowType.Note) return r;
+            const accruedInterest = calculateAccruedInterest(r);
+            return { ...r, accruedInterest, investment: r.principal + accruedInterest };
+        });
+};
+
+const convertibleRowType = (row) => {
+    return row.type === CapTableRowType.Note ? CapTableRowType.Note : CapTableRowType.Safe;
+};
+
+// Exact conversion price of a SAFE or note: the lower of the discounted round price and cap / capitalization.
+const safeConversionPrice = (safe, preShares, postShares, pps) => {
+    const discountPPS = ratMul(ratSub(ONE, toRational(safe.discount || 0)), pps);
+    const shares = safe.conversionType === "pre" ? preShares : postShares;
+    if (!safe.cap || shares.n <= 0n) return discountPPS;
+    const capPPS = ratDiv(toRational(safe.cap), shares);
+    return ratCmp(capPPS, discountPPS) < 0 ? capPPS : discountPPS;
+};
+
+const isExactSafe = (safe) => allFinite(safe.investment, safe.cap || 0, safe.discount || 0);
+
+const safeConvert = (safe, preShares, postShares, pps) => {
+    if (!isExactSafe(safe) || !allFinite(preShares, postShares, pps)) return NaN;
+    return ratToNumber(safeConversionPrice(safe, toRational(preShares), toRational(postShares), toRational(pps)));
+};
+
+// Conversion price of each SAFE or note, rounded up like the round price.
+const safeConversionPPSs = (safes, pps, preMoneyShares, postMoneyShares, roundingStrategy) => {
+    if (!allFinite(pps, preMoneyShares, postMoneyShares)) return safes.map(() => NaN);
+    const [ppsR, preR, postR] = [pps, preMoneyShares, postMoneyShares].map(toRational);
+    return safes.map((safe) => {
+        if (!isExactSafe(safe)) return NaN;
+        return ratToNumber(roundPPSRational(safeConversionPrice(safe, preR, postR, ppsR), roundingStrategy.roundPPSPlaces));
+    });
+};
+
+const sumSafeConvertedShares = (safes, pps, preMoneyShares, postMoneyShares, roundingStrategy) => {
+    if (!safes.every(isExactSafe) || !allFinite(pps, preMoneyShares, postMoneyShares)) return NaN;
+    const mode = getShareRoundingMode(roundingStrategy);
+    const [ppsR, preR, postR] = [pps, preMoneyShares, postMoneyShares].map(toRational);
+    let total = ZERO;
+    for (const safe of safes) {
+        const price = roundPPSRational(safeConversionPrice(safe, preR, postR, ppsR), roundingStrategy.roundPPSPlaces);
+        if (price.n <= 0n) return Infinity;
+        total = ratAdd(total, roundRational(ratDiv(toRational(safe.investment), price), mode));
+    }
+    return ratToNumber(total);
+};
+
+/**
+ * Every input and intermediate value of each SAFE's or note's conversion in a solved round,
+ * in rowData order, for checking against the SAFE documents:
+ * - the valuation cap and where it came from (`capSource`: "own", "inherited" from the
+ *   SAFE named in `inheritedFrom` via getMFNCapAfter, "preMoney" for an MFN with no cap to
+ *   inherit, or "none"),
+ * - the cap price, cap / the pre- or post-money capitalization the SAFE prices against,
+ * - the discount price, round price × (1 - discount),
+ * - which of the two won (`method`), that price rounded up like the round price,
+ * - investment / that price, before and after share rounding.
+ * Prices are numbers rounded from the exact rationals the round was solved with.
+ */
+const explainSafeConversions = (rowData, preMoneyValuation, pricedConversion, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const rows = getConvertibleRows(rowData);
+    const { pps, preMoneyShares, postMoneyShares } = pricedConversion;
+    if (!allFinite(pps, preMoneyShares, postMoneyShares)) return [];
+    const [ppsR, preR, postR] = [pps, preMoneyShares, postMoneyShares].map(toRational);
+    const mode = getShareRoundingMode(roundingStrategy);
+
+    return rows.map((row, idx) => {
+        const mfn = isMFN(row);
+        const ownCap = row.cap || 0;
+        const inheritedCap = mfn ? getMFNCapAfter(rows, idx) : 0;
+        const cap = getCapForSafe(idx, rows, preMoneyValuation) || 0;
+        let capSource = ownCap > 0 ? "own" : "none";
+        if (mfn && inheritedCap > 0 && (ownCap === 0 || inheritedCap < ownCap)) capSource = "inherited";
+        else if (mfn && ownCap === 0 && inheritedCap === 0 && cap > 0) capSource = "preMoney";
+        const inheritedFrom = capSource === "inherited"
+            ? rows.slice(idx + 1).find((r) => !isMFN(r) && r.conversionType !== "pre" && r.cap === inheritedCap)
+            : null;
+
+        const safe = { ...row, cap };
+        const capitalization = row.conversionType === "pre" ? "pre" : "post";
+        const capSharesR = capitalization === "pre" ? preR : postR;
+        const discountPPS = ratMul(ratSub(ONE, toRational(row.discount || 0)), ppsR);
+        const capPPS = cap > 0 && capSharesR.n > 0n ? ratDiv(toRational(cap), capSharesR) : null;
+        const conversionPPS = ratToNumber(roundPPSRational(safeConversionPrice(safe, preR, postR, ppsR), roundingStrategy.roundPPSPlaces));
+        // Divide by the price as the cap table holds it, so the shares match it exactly.
+        const exactShares = conversionPPS > 0 ? ratDiv(toRational(row.investment), toRational(conversionPPS)) : null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            type: convertibleRowType(row),
+            conversionType: row.conversionType,
+            isMFN: mfn,
+            principal: row.type === CapTableRowType.Note ? row.principal : null,
+            accruedInterest: row.type === CapTableRowType.Note ? row.accruedInterest : null,
+            investment: row.investment,
+            ownCap,
+            inheritedCap,
+            inheritedFrom: inheritedFrom ? inheritedFrom.name : null,
+            cap,
+            capSource,
+            capitalization,
+            capitalizationShares: capitalization === "pre" ? preMoneyShares : postMoneyShares,
+            capPPS: capPPS ? ratToNumber(capPPS) : null,
+            roundPPS: pps,
+            discount: row.discount || 0,
+            discountPPS: ratToNumber(discountPPS),
+            method: capPPS && ratCmp(capPPS, discountPPS) < 0 ? "cap" : "discount",
+            conversionPPS,
+            exactShares: exactShares ? ratToNumber(exactShares) : NaN,
+            shares: exactShares ? ratToNumber(roundRational(exactShares, mode)) : NaN,
+        };
+    });
+};
+
+const checkSafeNotesForErrors = (safeNotes) => {
+    const errors = {};
+    safeNotes.forEach((safe) => {
+        const label = safe.type === CapTableRowType.Note ? "Note" : "SAFE";
+        if (safe.investment >= safe.cap && safe.cap !== 0) {
+            errors[safe.id] = safe.type === CapTableRowType.Note
+                ? "Note principal plus accrued interest cannot be greater than or equal to the valuation cap."
+                : "SAFE investment cannot be greater than or equal to the valuation cap.";
+        }
+        if (safe.discount >= 1) {
+            errors[safe.id] = `${label} "${safe.name}" has a discount of 100% or more. This results in a zero share price, which is mathematically invalid for the calculation.`;
+        }
+        if (safe.type === CapTableRowType.Note && Date.parse(safe.conversionDate) < Date.parse(safe.issueDate)) {
+            errors[safe.id] = `Note "${safe.name}" has a conversion date before its issue date.`;
+        }
+    });
+    return errors;
+};
+
+/**
+ * Errors on the worksheet's secondary-sale rows, keyed by row id: a seller that isn't a
+ * shareholder, a buyer that isn't an investor in the round (or invests nothing in it),
+ * a 100% discount, or sellers selling more shares than they hold across all their sales.
+ */
+const checkSecondarySalesForErrors = (rowData) => {
+    const errors = {};
+    const sold = {};
+    rowData.filter((r) => r.type === CapTableRowType.Secondary).forEach((sale) => {
+        const seller = rowData.find((r) => r.id === sale.sellerId && r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool");
+        const buyer = rowData.find((r) => r.id === sale.buyerId && r.type === CapTableRowType.Series);
+        if (!seller) {
+            errors[sale.id] = "Choose the shareholder selling in this secondary sale.";
+        } else if (!buyer) {
+            errors[sale.id] = "Choose the investor buying in this secondary sale.";
+        } else if (!(buyer.investment > 0)) {
+            errors[sale.id] = `"${buyer.name || "New Investor"}" has no investment in the round, so it can't buy in a secondary sale.`;
+        } else if ((sale.discount || 0) >= 1) {
+            errors[sale.id] = "A secondary sale can't be discounted by 100% or more.";
+        } else {
+            sold[seller.id] = (sold[seller.id] || 0) + (sale.shares || 0);
+            if (sold[seller.id] > seller.shares) {
+                errors[sale.id] = `"${seller.name}" can't sell more than their ${seller.shares.toLocaleString("en-US")} shares.`;
+            }
+        }
+    });
+    return errors;
+};
+
+/**
+ * Errors on follow-on rounds, keyed by round id: a round needs a pre-money valuation to be
+ * priced, and every later round is built on top of it.
+ */
+const checkFollowOnRoundsForErrors = (followOnRounds = []) => {
+    const errors = {};
+    followOnRounds.forEach((round) => {
+        if (!(round.preMoney > 0)) {
+            errors[round.id] = `${round.roundName || "A follow-on round"} needs a pre-money valuation greater than 0.`;
+        }
+    });
+    return errors;
+};
+
+/**
+ * Unrounded pool size the top-up aims for, or null when the pool grows by a set number of
+ * shares. `seriesShares` are the shares the new money buys at the round price.
+ */
+const targetPoolRational = (optionPool, totalSharesR, seriesShares, targetOptionsPct) => {
+    const pct = ratDiv(toRational(targetOptionsPct || 0), HUNDRED);
+    if (optionPool.mode === OptionPoolMode.FixedShares) return null;
+    if (optionPool.mode === OptionPoolMode.PreMoney) return ratMul(ratSub(totalSharesR, toRational(seriesShares)), pct);
+    return ratMul(totalSharesR, pct);
+};
+
+/**
+ * Core algebraic solver for the Price Per Share (PPS).
+ * Uses the formula: PPS = (Pre-Money + New Investment) / (Total Post-Money Shares)
+ * This function accounts for dilution from SAFEs and Option pool top-ups.
+ * The pool is sized by `optionPool` (see OptionPoolMode). Its top-up always comes before the
+ * new money, so the new investors' stake is set by the price alone. preMoneyShares and
+ * postMoneyShares are the capitalizations pre- and post-money SAFE caps price against,
+ * with or without the top-up as optionPool.safeCapitalization says.
+ */
+const calculatePreAndPostMoneyShares = (
+    preMoneyValuation,
+    commonShares,
+    unusedOptions,
+    targetOptionsPct,
+    seriesInvestments,
+    totalShares,
+    roundingStrategy = DEFAULT_ROUNDING_STRATEGY,
+    optionPool = DEFAULT_OPTION_POOL
+) => {
+    if (!allFinite(preMoneyValuation, totalShares, targetOptionsPct || 0, optionPool.newShares || 0, ...seriesInvestments)) {
+        return {
+            preMoneyShares: NaN,
+            postMoneyShares: NaN,
+            pps: NaN,
+            optionsPool: NaN,
+            increaseInOptionsPool: NaN,
+            totalShares: NaN,
+            seriesShares: NaN,
+            totalSeriesInvestment: NaN,
+        };
+    }
+    const mode = getShareRoundingMode(roundingStrategy);
+    const totalSharesR = toRational(totalShares);
+    const seriesInvestmentR = seriesInvestments.reduce((acc, inv) => ratAdd(acc, toRational(inv)), ZERO);
+    const seriesInvestmentTotal = ratToNumber(seriesInvestmentR);
+    const ppsR = totalShares > 0
+        ? roundPPSRational(ratDiv(ratAdd(toRational(preMoneyValuation), seriesInvestmentR), totalSharesR), roundingStrategy.roundPPSPlaces)
+        : ZERO;
+    const pps = ratToNumber(ppsR);
+    const seriesShares = ppsR.n > 0n
+        ? ratToNumber(seriesInvestments.reduce((acc, inv) => ratAdd(acc, roundRational(ratDiv(toRational(inv), ppsR), mode)), ZERO))
+        : 0;
+    const targetPool = targetPoolRational(optionPool, totalSharesR, seriesShares, targetOptionsPct);
+    let optionsPool = targetPool
+        ? ratToNumber(roundRational(targetPool, mode))
+        : unusedOptions + roundShares(optionPool.newShares || 0, roundingStrategy);
+    if (optionsPool < unusedOptions) optionsPool = unusedOptions;
+    const increaseInOptionsPool = optionsPool - unusedOptions;
+    // Everything held before the new money, less the top-up.
+    const capitalization = totalShares - seriesShares - increaseInOptionsPool;
+    const { safeCapitalization } = optionPool;
+
+    return {
+        preMoneyShares: commonShares + unusedOptions + (safeCapitalization === SafeCapitalization.Exclude ? 0 : increaseInOptionsPool),
+        postMoneyShares: capitalization + (safeCapitalization === SafeCapitalization.Include ? increaseInOptionsPool : 0),
+        pps,
+        optionsPool,
+        increaseInOptionsPool,
+        totalShares: capitalization + increaseInOptionsPool + seriesShares,
+        seriesShares,
+        totalSeriesInvestment: seriesInvestmentTotal,
+    };
+};
+
+const attemptFit = (preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, safes, seriesInvestments, totalShares, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const results = calculatePreAndPostMoneyShares(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, seriesInvestments, totalShares, roundingStrategy, optionPool);
+    const safeShares = sumSafeConvertedShares(safes, results.pps, results.preMoneyShares, results.postMoneyShares, roundingStrategy);
+    return results.seriesShares + commonShares + results.optionsPool + safeShares;
+};
+
+// Fixed-point limits. A whole-share fit must land exactly; an unrounded one within a millionth of a share.
+const FIT_MAX_ITERATIONS = 100;
+const FIT_TOLERANCE_SHARES = 1e-6;
+// Iterations in a row the residual may grow before the share count is treated as running away.
+const FIT_DIVERGENCE_RUN = 5;
+// Coarse price rounding can make the residual grow for a while on a round that does settle, so
+// when the unrounded round has a solution only growth past this multiple of it counts.
+const FIT_RUNAWAY_FACTOR = 2;
+
+const SolverStatus = {
+    Converged: "converged",
+    Oscillating: "oscillating",
+    Diverging: "diverging",
+    MaxIterations: "maxIterations",
+};
+
+/**
+ * Iterates `fit` (total shares in, total shares out) from `startShares` until it reaches a
+ * fixed point, revisits a value (oscillation), runs away (divergence) or hits the limit.
+ * Each trace step records the share count tried, the count it produced and their difference.
+ * An oscillation resolves to the step of the cycle with the smallest residual, the larger
+ * share count on a tie, so it always settles on the same value. A divergence has no answer
+ * to offer, so its share count is NaN rather than the cap table the iteration started from.
+ * Growth only counts as running away once the share count passes `runawayShares`; below it
+ * the iteration carries on to the limit. A fit still closing in when the limit is hit keeps
+ * its latest value.
+ */
+const solveTotalShares = (fit, startShares, maxIterations = FIT_MAX_ITERATIONS, runawayShares = 0) => {
+    const trace = [];
+    const tried = new Set();
+    let totalShares = startShares;
+    let status = SolverStatus.MaxIterations;
+    let growingSteps = 0;
+    for (let i = 0; i < maxIterations; i++) {
+        const next = fit(totalShares);
+        const residual = next - totalShares;
+        trace.push({ iteration: i + 1, totalShares, next, residual });
+        if (!Number.isFinite(next)) {
+            status = SolverStatus.Diverging;
+            break;
+        }
+        if (Math.abs(residual) <= FIT_TOLERANCE_SHARES) {
+            status = SolverStatus.Converged;
+            totalShares = next;
+            break;
+        }
+        tried.add(totalShares);
+        if (tried.has(next)) {
+            status = SolverStatus.Oscillating;
+            break;
+        }
+        const previous = trace[trace.length - 2];
+        growingSteps = previous && Math.abs(residual) > Math.abs(previous.residual) ? growingSteps + 1 : 0;
+        if (growingSteps >= FIT_DIVERGENCE_RUN && next > runawayShares) {
+            status = SolverStatus.Diverging;
+            break;
+        }
+        totalShares = next;
+    }
+
+    const converged = status === SolverStatus.Converged;
+    let residual = trace[trace.length - 1].residual;
+    if (status === SolverStatus.Diverging) {
+        totalShares = NaN;
+    } else if (status === SolverStatus.Oscillating) {
+        const last = trace[trace.length - 1];
+        const best = trace
+            .slice(trace.findIndex((step) => step.totalShares === last.next))
+            .reduce((a, step) => {
+                if (!a || Math.abs(step.residual) < Math.abs(a.residual)) return step;
+                return Math.abs(step.residual) === Math.abs(a.residual) && step.totalShares > a.totalShares ? step : a;
+            }, null);
+        if (best) {
+            totalShares = best.totalShares;
+            residual = best.residual;
+        }
+    }
+
+    return {
+        totalShares,
+        solver: { converged, status, iterations: trace.length, residual, trace },
+    };
+};
+
+// How the starting point of the fixed-point pass was found.
+const SolverMethod = {
+    ClosedForm: "closedForm",
+    Bracketed: "bracketed",
+    Iteration: "iteration",
+};
+
+// The exact pass gets this many iterations to land from the warm start before the fit falls
+// back to iterating from the bare cap table.
+const FIT_WARM_START_ITERATIONS = 50;
+// Bisection on the unrounded model stops once the bracket is this narrow, in shares.
+const FIT_BRACKET_TOLERANCE = 0.5;
+const FIT_BRACKET_MAX_DOUBLINGS = 60;
+
+/**
+ * Estimates the fully diluted share count of a priced round without rounding, as a starting
+ * point for the exact fixed-point pass. Returns { totalShares, lowerBound, method } or null
+ * when the round has no finite solution, in which case the fit iterates from the bare cap table.
+ *
+ * With only capped post-money SAFEs the answer is closed-form. The SAFEs own inv/cap of the
+ * post-money capitalization M, which is everything but the new money and the pool top-up:
+ *   M = (common + unused options) / (1 - sum(inv / cap))
+ * The new money buys I / (pre-money + I) of the total and the pool is pool% of it, so
+ *   T = (M - unused options) / (1 - pool% - I / (pre-money + I))
+ * or, when the current pool already meets the target, T = M * (pre-money + I) / pre-money.
+ * Other mixes (pre-money SAFEs, discounts that beat the cap, uncapped SAFEs, pools sized
+ * other than on post-money or counted in post-money SAFE capitalization) are solved by
+ * bisection on the same unrounded model.
+ *
+ * Rounding moves the fit by at most a share or so per holder, plus what rounding each price
+ * up costs its investor. Rounded fits can have several fixed points within that spread of T,
+ * and iterating from the bare cap table always climbs onto the lowest. `lowerBound` is a share
+ * count far enough below T that the rounded fit still grows there, so climbing from it lands
+ * on that same fixed point.
+ */
+const estimateTotalShares = (preMoneyValuation, commonShares, safes, unusedOptions, targetOptionsPct, seriesInvestments, roundingStrategy, optionPool = DEFAULT_OPTION_POOL) => {
+    const investment = seriesInvestments.reduce((a, b) => a + b, 0);
+    const poolPct = (targetOptionsPct || 0) / 100;
+    const values = [preMoneyValuation, commonShares, unusedOptions, poolPct, investment, optionPool.newShares || 0, ...safes.flatMap((s) => [s.investment, s.cap || 0, s.discount || 0])];
+    if (!allFinite(...values) || !(preMoneyValuation > 0)) return null;
+    const baseShares = commonShares + unusedOptions;
+    const newMoneyShare = investment / (preMoneyValuation + investment);
+    const { mode, safeCapitalization } = optionPool;
+
+    // attemptFit without rounding, in floats, less the share count it was given.
+    const poolShares = (totalShares) => {
+        if (mode === OptionPoolMode.FixedShares) return unusedOptions + (optionPool.newShares || 0);
+        const poolBase = mode === OptionPoolMode.PreMoney ? totalShares * (1 - newMoneyShare) : totalShares;
+        return Math.max(unusedOptions, poolBase * poolPct);
+    };
+    const safePrices = (totalShares) => {
+        const topUp = poolShares(totalShares) - unusedOptions;
+        const pps = (preMoneyValuation + investment) / totalShares;
+        const preMoneyShares = baseShares + (safeCapitalization === SafeCapitalization.Exclude ? 0 : topUp);
+        const postMoneyShares = totalShares - investment / pps - (safeCapitalization === SafeCapitalization.Include ? 0 : topUp);
+        return safes.map((s) => {
+            const capShares = s.conversionType === "pre" ? preMoneyShares : postMoneyShares;
+            return Math.min((1 - (s.discount || 0)) * pps, s.cap > 0 && capShares > 0 ? s.cap / capShares : Infinity);
+        });
+    };
+    const excess = (totalShares) => {
+        const pool = poolShares(totalShares);
+        const seriesShares = investment * totalShares / (preMoneyValuation + investment);
+        const safeShares = safePrices(totalShares).reduce((a, price, i) => a + safes[i].investment / price, 0);
+        return commonShares + pool + seriesShares + safeShares - totalShares;
+    };
+
+    const solve = () => {
+        const closedForm = mode === OptionPoolMode.PostMoney && safeCapitalization !== SafeCapitalization.Include &&
+            safes.every((s) => s.conversionType !== "pre" && s.cap > 0);
+        if (closedForm) {
+            const safeOwnership = safes.reduce((a, s) => a + s.investment / s.cap, 0);
+            const postMoneyShares = baseShares / (1 - safeOwnership);
+            let totalShares = (postMoneyShares - unusedOptions) / (1 - poolPct - newMoneyShare);
+            if (!(poolPct * totalShares > unusedOptions)) totalShares = postMoneyShares / (1 - newMoneyShare);
+            const pps = (preMoneyValuation + investment) / totalShares;
+            const capsBind = safes.every((s) => s.cap / postMoneyShares <= (1 - (s.discount || 0)) * pps);
+            if (safeOwnership < 1 && totalShares > 0 && Number.isFinite(totalShares) && capsBind) {
+                return { totalShares, method: SolverMethod.ClosedForm };
+            }
+        }
+        let lo = Math.max(baseShares, 1);
+        let hi = lo * 2;
+        for (let i = 0; excess(hi) > 0; i++) {
+            if (i >= FIT_BRACKET_MAX_DOUBLINGS) return null;
+            lo = hi;
+            hi *= 2;
+        }
+        while (hi - lo > FIT_BRACKET_TOLERANCE) {
+            const mid = (lo + hi) / 2;
+            // Past 2^52 shares the bracket can't narrow to a whole share.
+            if (mid === lo || mid === hi) break;
+            if (excess(mid) > 0) lo = mid;
+            else hi = mid;
+        }
+        return { totalShares: hi, method: SolverMethod.Bracketed };
+    };
+
+    const estimate = solve();
+    if (!estimate || !Number.isFinite(estimate.totalShares)) return null;
+    const { totalShares } = estimate;
+    // How far rounding can move the fit, in shares. Rounded shares also feed the post-money
+    // capitalization the caps price against, hence the doubling.
+    const ppsStep = roundingStrategy.roundPPSPlaces >= 0 ? 10 ** -roundingStrategy.roundPPSPlaces : 0;
+    const pps = (preMoneyValuation + investment) / totalShares;
+    const priceSpread = safePrices(totalShares).reduce((a, price, i) => a + safes[i].investment / (price * price), investment / (pps * pps));
+    const roundedHolders = getShareRoundingMode(roundingStrategy) === RoundingMode.None ? 0 : seriesInvestments.length + safes.length + 2;
+    const spread = 2 * (roundedHolders + ppsStep * priceSpread);
+    // The unrounded fit falls behind the share count at this rate (one minus the slope).
+    const step = Math.max(1, totalShares * 1e-6);
+    const gap = (excess(totalShares - step) - excess(totalShares + step)) / (2 * step);
+    if (!(gap > 0) || !Number.isFinite(spread)) return null;
+    return { ...estimate, lowerBound: Math.floor(totalShares - 2 * spread / gap) - 1 };
+};
+
+/**
+ * Warning for a round whose solver didn't converge, or null when it did.
+ */
+const describeSolverWarning = (roundName, solver) => {
+    if (!solver || solver.converged) return null;
+    const off = Math.abs(Math.round(solver.residual)).toLocaleString("en-US");
+    if (solver.status === SolverStatus.Oscillating) {
+        return `${roundName} didn't settle: rounding makes the share count flip between nearby values. The closest fit is shown, ${off} shares off.`;
+    }
+    if (solver.status === SolverStatus.Diverging) {
+        return `${roundName} can't be solved with these terms: the share count keeps growing as the price falls. Check the SAFE caps and the option pool target against the pre-money valuation.`;
+    }
+    return `${roundName} was still settling after ${solver.iterations} iterations, so share counts may be off by about ${off} shares.`;
+};
+
+/**
+ * Iterative "FIT" solver to handle circular dependencies.
+ * In many startup rounds, the Option pool size depends on the Post-Money Valuation,
+ * which in turn depends on the Price Per Share, which depends on the Option pool size.
+ * The iteration starts just below an estimate of the answer (see estimateTotalShares), so it
+ * usually lands in a few steps, on the same share count as a full iteration would. It starts
+ * from the bare cap table when there is no estimate or the warm start doesn't settle.
+ * Without an estimate the unrounded round has no finite solution, so steady growth is taken as
+ * divergence straight away; with one, only growth well past it is.
+ * `solver` reports how it went; see solveTotalShares.
+ */
+const fitConversion = (
+    preMoneyValuation,
+    commonShares,
+    safes,
+    unusedOptions,
+    targetOptionsPct,
+    seriesInvestments,
+    roundingStrategy = DEFAULT_ROUNDING_STRATEGY,
+    optionPool = DEFAULT_OPTION_POOL
+) => {
+    const fit = (shares) => attemptFit(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, safes, seriesInvestments, shares, roundingStrategy, optionPool);
+    const startShares = commonShares + unusedOptions;
+    const estimate = estimateTotalShares(preMoneyValuation, commonShares, safes, unusedOptions, targetOptionsPct, seriesInvestments, roundingStrategy, optionPool);
+    const runawayShares = estimate ? estimate.totalShares * FIT_RUNAWAY_FACTOR : 0;
+    let solution = null;
+    if (estimate) {
+        solution = solveTotalShares(fit, Math.max(startShares, estimate.lowerBound), FIT_WARM_START_ITERATIONS, runawayShares);
+        solution.solver.method = estimate.method;
+        solution.solver.estimate = estimate.totalShares;
+    }
+    if (!solution || !solution.solver.converged) {
+        solution = solveTotalShares(fit, startShares, FIT_MAX_ITERATIONS, runawayShares);
+        solution.solver.method = SolverMethod.Iteration;
+    }
+    const { totalShares, solver } = solution;
+    const res = calculatePreAndPostMoneyShares(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, seriesInvestments, totalShares, roundingStrategy, optionPool);
+    const ppss = safeConversionPPSs(safes, res.pps, res.preMoneyShares, res.postMoneyShares, roundingStrategy);
+    const convertedSafeShares = sumSafeConvertedShares(safes, res.pps, res.preMoneyShares, res.postMoneyShares, roundingStrategy);
+    const totalSeriesInvestment = seriesInvestments.reduce((a, b) => a + b, 0);
+
+    return {
+        ...res,
+        ppss,
+        totalShares,
+        newSharesIssued: totalShares - commonShares - unusedOptions,
+        convertedSafeShares,
+        totalOptions: res.increaseInOptionsPool + unusedOptions,
+        additionalOptions: res.increaseInOptionsPool,
+        totalInvested: totalSeriesInvestment + safes.reduce((acc, safe) => acc + safe.investment, 0),
+        totalSeriesInvestment,
+        solver,
+    };
+};
+
+const buildTBDPreRoundCapTable = (safeNotes, common) => {
+    const totalInvestment = safeNotes.reduce((acc, investor) => acc + investor.investment, 0);
+    const totalShares = common.reduce((acc, c) => acc + c.shares, 0);
+    const reason = "Unable to model Pre-Round cap table with uncapped SAFE's";
+    return {
+        common: common.map((c) => ({
+            ...c,
+            ownershipPct: 0,
+            ownershipError: { type: "tbd", reason },
+        })),
+        safes: safeNotes.map((s) => ({
+            ...s,
+            ownershipError: { type: "tbd", reason },
+            type: convertibleRowType(s),
+        })),
+        total: {
+            name: "Total",
+            shares: totalShares,
+            investment: totalInvestment,
+            ownershipPct: 1,
+            type: CapTableRowType.Total,
+        },
+    };
+};
+
+const buildErrorPreRoundCapTable = (safeNotes, common) => {
+    const totalInvestment = safeNotes.reduce((acc, investor) => acc + investor.investment, 0);
+    const totalShares = common.reduce((acc, c) => acc + c.shares, 0);
+    return {
+        common: common.map((c) => ({
+            ...c,
+            ownershipPct: 0,
+            ownershipError: { type: "error" },
+        })),
+        safes: safeNotes.map((s) => {
+            const error = { type: "error" };
+            if (s.investment >= s.cap && s.cap !== 0) error.reason = "SAFE investment cannot equal or exceed the valuation cap";
+            return { ...s, ownershipError: error, type: convertibleRowType(s) };
+        }),
+        total: {
+            name: "Total",
+            shares: totalShares,
+            investment: totalInvestment,
+            ownershipPct: 1,
+            type: CapTableRowType.Total,
+        },
+    };
+};
+
+const buildStrictlyPreRoundCapTable = (rowData) => {
+    const common = rowData.filter((r) => r.type === CapTableRowType.Common);
+    const totalShares = common.reduce((acc, r) => acc + r.shares, 0);
+
+    return {
+        common: common.map((c) => ({
+            ...c,
+            ownershipPct: totalShares > 0 ? c.shares / totalShares : 0,
+        })),
+        safes: getConvertibleRows(rowData)
+            .map((s) => ({ ...s, shares: 0, ownershipPct: 0 })),
+        total: {
+            shares: totalShares,
+            investment: 0,
+            ownershipPct: 1,
+            type: CapTableRowType.Total,
+        },
+    };
+};
+
+const buildEstimatedPreRoundCapTable = (
+    rowData,
+    roundingStrategy = DEFAULT_ROUNDING_STRATEGY
+) => {
+
+    const common = rowData.filter((r) => r.type === CapTableRowType.Common);
+    const preMoneyShares = common.reduce((acc, r) => acc + r.shares, 0);
+    const safeNotes = populateSafeCaps(getConvertibleRows(rowData));
+
+    if (safeNotes.length === 0) {
+        return buildStrictlyPreRoundCapTable(rowData);
+    }
+
+    if (safeNotes.some((s) => s.cap !== 0 && s.cap <= s.investment)) {
+
+        return buildErrorPreRoundCapTable(safeNotes, common);
+
+    }
+
+    const maxCap = safeNotes.reduce((max, s) => Math.max(max, s.cap), 0);
+
+    if (maxCap === 0) return buildTBDPreRoundCapTable(safeNotes, common);
+
+    let safeRows = safeNotes.map((safe) => {
+
+        const cap = safe.cap === 0 ? maxCap : safe.cap;
+
+        if (safe.conversionType === "pre") {
+
+            const shares = roundShares(
+
+                (safe.investment / cap) * preMoneyShares,
+
+                roundingStrategy
+
+            );
+
+            return { ...safe, shares, type: convertibleRowType(safe) };
+
+        } else {
+
+            return {
+
+                ...safe,
+
+                ownershipPct: safe.investment / cap,
+
+                type: convertibleRowType(safe),
+
+            };
+
+        }
+
+    });
+
+    const preMoneySafeShares = safeRows.reduce(
+
+        (acc, s) => acc + (s.shares || 0),
+
+        0
+
+    );
+
+    const postSharePct = safeRows.reduce(
+
+        (acc, s) => acc + (s.ownershipPct || 0),
+
+        0
+
+    );
+
+    const postCap = roundShares(
+
+        (preMoneyShares + preMoneySafeShares) / (1 - postSharePct),
+
+        roundingStrategy
+
+    );
+
+    safeRows = safeRows.map((s) => {
+
+        if (s.shares) return { ...s, ownershipPct: s.shares / postCap };
+
+        return {
+
+            ...s,
+
+            shares: roundShares((s.ownershipPct || 0) * postCap, roundingStrategy),
+
+        };
+
+    });
+
+    const finalTotalShares =
+
+        preMoneyShares + safeRows.reduce((acc, s) => acc + (s.shares || 0), 0);
+
+    return {
+
+        common: common.map((c) => ({ ...c, ownershipPct: c.shares / postCap })),
+
+        safes: safeRows,
+
+        total: {
+
+            shares: finalTotalShares,
+
+            investment: safeNotes.reduce((a, s) => a + s.investment, 0),
+
+            ownershipPct: 1,
+
+            type: CapTableRowType.Total,
+
+        },
+
+    };
+
+};
+
+// Id suffix of the common row that holds the shares a series investor buys in secondary sales.
+const SECONDARY_ID_SUFFIX = "-secondary";
+
+/**
+ * Moves the shares of the worksheet's secondary sales between holders of a priced-round
+ * table. Sellers keep a `secondarySold` count; each buyer gets one common row, apart from
+ * their preferred shares, with the shares they bought and `secondaryOf` set to their id.
+ * The price is the round price less the sale's discount, rounded up like the round price.
+ * No shares are issued, so the total and everyone else's ownership stay put. Sales that
+ * checkSecondarySalesForErrors rejects are left out; `secondarySales` lists the rest.
+ */
+const applySecondarySales = (capTable, rowData, pps, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const sales = rowData.filter((r) => r.type === CapTableRowType.Secondary && r.shares > 0);
+    const errors = checkSecondarySalesForErrors(rowData);
+    const common = capTable.common.map((c) => ({ ...c }));
+    const buyerRows = [];
+    const secondarySales = [];
+
+    sales.filter((sale) => !errors[sale.id] && Number.isFinite(pps)).forEach((sale) => {
+        const seller = common.find((c) => c.id === sale.sellerId);
+        const buyer = capTable.series.find((se) => se.id === sale.buyerId);
+        if (!seller || !buyer) return;
+        const price = ratToNumber(roundPPSRational(ratMul(toRational(pps), ratSub(ONE, toRational(sale.discount || 0))), roundingStrategy.roundPPSPlaces));
+        seller.shares -= sale.shares;
+        seller.secondarySold = (seller.secondarySold || 0) + sale.shares;
+
+        let holding = buyerRows.find((r) => r.secondaryOf === buyer.id);
+        if (!holding) {
+            holding = {
+                id: buyer.id + SECONDARY_ID_SUFFIX,
+                type: CapTableRowType.Common,
+                name: `${buyer.name || "New Investor"} (secondary)`,
+                category: "Investor",
+                shares: 0,
+                secondaryPaid: 0,
+                secondaryOf: buyer.id,
+            };
+            buyerRows.push(holding);
+        }
+        const proceeds = Math.round(sale.shares * price * 100) / 100;
+        // Average price over the buyer's sales.
+        holding.pps = ((holding.pps || 0) * holding.shares + price * sale.shares) / (holding.shares + sale.shares);
+        holding.shares += sale.shares;
+        holding.secondaryPaid += proceeds;
+        secondarySales.push({
+            id: sale.id,
+            sellerId: seller.id,
+            sellerName: seller.name,
+            buyerId: buyer.id,
+            buyerName: buyer.name || "New Investor",
+            shares: sale.shares,
+            discount: sale.discount || 0,
+            pps: price,
+            proceeds,
+        });
+    });
+
+    const totalShares = capTable.total.shares;
+    return {
+        ...capTable,
+        common: [...common, ...buyerRows].map((c) => (c.secondarySold || c.secondaryOf ? { ...c, ownershipPct: c.shares / totalShares } : c)),
+        secondarySales,
+    };
+};
+
+/**
+ * Maps the solved priced round data back into a readable Cap Table format.
+ * Calculates final share counts for Founders, SAFEs, and New Investors.
+ */
+const buildPricedRoundCapTable = (pricedConversion, rowData, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+
+    const common = rowData.filter(
+
+        (r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool"
+
+    );
+
+    const safes = getConvertibleRows(rowData);
+
+    const series = rowData.filter((r) => r.type === CapTableRowType.Series);
+
+    const totalShares = pricedConversion.totalShares;
+
+    const totalInvestment =
+
+        series.reduce((a, s) => a + s.investment, 0) +
+
+        safes.reduce((a, s) => a + s.investment, 0);
+
+    return applySecondarySales({
+
+        common: common.map((c) => ({ ...c, ownershipPct: c.shares / totalShares })),
+
+        safes: safes.map((s, idx) => {
+
+            const pps = pricedConversion.ppss[idx];
+
+            const shares = convertToShares(s.investment, pps, roundingStrategy);
+
+            return {
+
+                ...s,
+
+                pps,
+
+                shares,
+
+                ownershipPct: shares / totalShares,
+
+                type: convertibleRowType(s),
+                isMFN: isMFN(s),
+
+            };
+
+        }),
+
+        series: series.map((se) => {
+
+            const shares = convertToShares(se.investment, pricedConversion.pps, roundingStrategy);
+
+            return {
+
+                ...se,
+
+                pps: pricedConversion.pps,
+
+                shares,
+
+                ownershipPct: shares / totalShares,
+
+                type: CapTableRowType.Series,
+
+            };
+
+        }),
+
+        refreshedOptionsPool: {
+
+            name: "Refreshed Options Pool",
+
+            shares: pricedConversion.totalOptions,
+
+            ownershipPct: pricedConversion.totalOptions / totalShares,
+
+            type: CapTableRowType.RefreshedOptions,
+
+        },
+
+        total: {
+
+            name: "Total",
+
+            shares: totalShares,
+
+            investment: totalInvestment,
+
+            ownershipPct: 1,
+
+            type: CapTableRowType.Total,
+
+        },
+
+    }, rowData, pricedConversion.pps, roundingStrategy);
+
+};
+
+/**
+ * Rounding report for the first priced round: each holder's exact (fractional) share count
+ * next to the rounded count in the post-round table, the total residual, and how far the
+ * rounded rows are from pricedConversion.totalShares (`unreconciled`).
+ */
+const buildRoundingReconciliation = (pricedConversion, postRound, targetOptionsPct, optionPool = DEFAULT_OPTION_POOL) => {
+    const exactShares = (investment, pps) => (pps > 0 && allFinite(investment, pps)
+        ? ratDiv(toRational(investment), toRational(pps))
+        : null);
+    const pool = postRound.refreshedOptionsPool;
+    const poolTarget = pricedConversion.additionalOptions > 0 && allFinite(pricedConversion.totalShares, pricedConversion.seriesShares, targetOptionsPct || 0)
+        ? targetPoolRational(optionPool, toRational(pricedConversion.totalShares), pricedConversion.seriesShares, targetOptionsPct)
+        : null;
+
+    const holders = [
+        ...postRound.common.map((c) => ({ id: c.id, name: c.name, category: c.category, shares: c.shares, exact: null })),
+        ...postRound.safes.map((s) => ({ id: s.id, name: s.name, category: s.type === CapTableRowType.Note ? "Note" : "SAFE", shares: s.shares, exact: exactShares(s.investment, s.pps) })),
+        ...postRound.series.map((se) => ({ id: se.id, name: se.name || "New Investor", category: "Investor", shares: se.shares, exact: exactShares(se.investment, se.pps) })),
+        { id: "UnusedOptionsPool", name: "Option pool", category: "Option pool", shares: pool.shares, exact: poolTarget },
+    ];
+
+    let residual = ZERO;
+    const rows = holders.map(({ exact, ...holder }) => {
+        if (!exact || !Number.isFinite(holder.shares)) {
+            return { ...holder, fractionalShares: holder.shares, residual: 0 };
+        }
+        const rowResidual = ratSub(toRational(holder.shares), exact);
+        residual = ratAdd(residual, rowResidual);
+        return { ...holder, fractionalShares: ratToNumber(exact), residual: ratToNumber(rowResidual) };
+    });
+    const shares = rows.reduce((a, r) => a + r.shares, 0);
+
+    return {
+        rows,
+        shares,
+        fractionalShares: rows.reduce((a, r) => a + r.fractionalShares, 0),
+        residual: ratToNumber(residual),
+        totalShares: pricedConversion.totalShares,
+        unreconciled: shares - pricedConversion.totalShares,
+    };
+};
+
+const sumFounderOwnership = (capTable) => {
+    return capTable.common
+        .filter((c) => c.category === "Founder")
+        .reduce((a, c) => a + c.ownershipPct, 0);
+};
+
+const sumSeriesOwnership = (capTable) => {
+    return (capTable.series || []).reduce((a, se) => a + se.ownershipPct, 0);
+};
+
+/**
+ * Runs the first priced round of a worksheet at the given pre-money valuation:
+ * resolves SAFE and note caps, solves the conversion and builds the post-round table.
+ */
+const calculatePricedRound = (rowData, preMoneyValuation, targetOptionsPct, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const safes = populateSafeCaps(getConvertibleRows(rowData), preMoneyValuation);
+    const esopRow = rowData.find((r) => r.id === "UnusedOptionsPool");
+    const commonShares = rowData
+        .filter((r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool")
+        .reduce((a, r) => a + r.shares, 0);
+    const seriesInvestments = rowData
+        .filter((r) => r.type === CapTableRowType.Series)
+        .map((r) => r.investment);
+
+    const pricedConversion = fitConversion(
+        preMoneyValuation,
+        commonShares,
+        safes,
+        esopRow ? esopRow.shares : 0,
+        targetOptionsPct,
+        seriesInvestments,
+        roundingStrategy,
+        optionPool
+    );
+
+    return {
+        safes,
+        pricedConversion,
+        postRound: buildPricedRoundCapTable(pricedConversion, rowData, roundingStrategy),
+    };
+};
+
+/**
+ * Who bears the option pool top-up of the first priced round: each group's ownership in the
+ * round as solved, against the same round with no top-up. Positive values are ownership
+ * given up to the pool. Returns null when the round doesn't top up the pool.
+ */
+const calculatePoolDilution = (rowData, preMoneyValuation, targetOptionsPct, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const withTopUp = calculatePricedRound(rowData, preMoneyValuation, targetOptionsPct, roundingStrategy, optionPool);
+    const topUpShares = withTopUp.pricedConversion.additionalOptions;
+    if (!(topUpShares > 0)) return null;
+    const withoutTopUp = calculatePricedRound(rowData, preMoneyValuation, 0, roundingStrategy, { ...optionPool, newShares: 0 });
+
+    const groups = ({ postRound }) => ({
+        founders: sumFounderOwnership(postRound),
+        otherHolders: postRound.common.filter((c) => c.category !== "Founder").reduce((a, c) => a + c.ownershipPct, 0),
+        safeHolders: postRound.safes.reduce((a, sf) => a + sf.ownershipPct, 0),
+        seriesInvestors: sumSeriesOwnership(postRound),
+    });
+    const before = groups(withoutTopUp);
+    const after = groups(withTopUp);
+    return {
+        topUpShares,
+        poolPct: withTopUp.postRound.refreshedOptionsPool.ownershipPct - withoutTopUp.postRound.refreshedOptionsPool.ownershipPct,
+        ...Object.fromEntries(Object.keys(before).map((key) => [key, before[key] - after[key]])),
+    };
+};
+
+/**
+ * Whether a row holds a pro-rata right in the first priced round: SAFE and note holders,
+ * and prior investors on the common table, flagged with `proRata`.
+ */
+const hasProRataRight = (row) => row.proRata === true && (
+    row.type === CapTableRowType.Safe ||
+    row.type === CapTableRowType.Note ||
+    (row.type === CapTableRowType.Common && row.category === "Investor")
+);
+
+// Id suffix of the series row a pro-rata holder invests through.
+const PRO_RATA_ID_SUFFIX = "-prorata";
+const PRO_RATA_MAX_ITERATIONS = 100;
+// How far short of where the amounts look set to settle a jump stops: this share of the
+// jump, plus this many shares per holder at the round price.
+const PRO_RATA_JUMP_MARGIN = 0.01;
+const PRO_RATA_JUMP_SHARES = 10;
+
+/**
+ * Adds one series row per pro-rata holder to rowData, investing `amounts[holderId]`.
+ */
+const addProRataInvestments = (rowData, holders, amounts) => [
+    ...rowData,
+    ...holders.map((h) => ({
+        id: h.id + PRO_RATA_ID_SUFFIX,
+        type: CapTableRowType.Series,
+        name: `${h.name} (pro-rata)`,
+        investment: amounts[h.id] || 0,
+        proRataOf: h.id,
+    })),
+];
+
+/**
+ * Pro-rata participation in the first priced round. Every holder with a pro-rata right
+ * invests enough to own the same share of the post-round cap table as it holds right
+ * after SAFE and note conversion, before the new money and the pool top-up:
+ *   amount = pps × (ownership after conversion × post-round shares - shares held)
+ * with the shares rounded up to a whole share and the amount to the dollar. Those investments raise the round size, which moves the price
+ * and the conversions, so the round is re-solved until the amounts settle.
+ * Returns null when no row holds a pro-rata right or the round has no price. Otherwise
+ * `rowData` is the worksheet with the pro-rata investments added as series rows,
+ * `addedFounderDilution` is how much founder ownership they cost, and `settled` is false
+ * when the amounts never settle: rounding keeps them cycling, or they are still moving
+ * after PRO_RATA_MAX_ITERATIONS re-solves.
+ */
+const calculateProRata = (rowData, preMoneyValuation, targetOptionsPct, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const holders = rowData.filter(hasProRataRight);
+    if (holders.length === 0) return null;
+    const base = calculatePricedRound(rowData, preMoneyValuation, targetOptionsPct, roundingStrategy, optionPool);
+    if (!(base.pricedConversion.pps > 0)) return null;
+    const commonShares = rowData
+        .filter((r) => r.type === CapTableRowType.Common)
+        .reduce((a, r) => a + r.shares, 0);
+
+    const measure = (round) => {
+        const convertedShares = round.postRound.safes.reduce((a, sf) => a + sf.shares, 0);
+        const postConversionShares = commonShares + convertedShares;
+        const { pps, totalShares } = round.pricedConversion;
+        return holders.map((h) => {
+            const converted = round.postRound.safes.find((sf) => sf.id === h.id);
+            const shares = converted ? converted.shares : h.shares;
+            const ownershipPct = shares / postConversionShares;
+            const neededShares = ownershipPct * totalShares - shares;
+            return {
+                id: h.id,
+                name: h.name,
+                shares,
+                ownershipPct,
+                amount: neededShares > 0 ? Math.ceil(Math.ceil(neededShares) * pps) : 0,
+            };
+        });
+    };
+
+    const amountsFor = (priced) => Object.fromEntries(measure(priced).map((h) => [h.id, h.amount]));
+    const total = (byHolder) => holders.reduce((a, h) => a + (byHolder[h.id] || 0), 0);
+    const priceWith = (byHolder) => calculatePricedRound(addProRataInvestments(rowData, holders, byHolder), preMoneyValuation, targetOptionsPct, roundingStrategy, optionPool);
+    let amounts = {};
+    let round = base;
+    let settled = false;
+    let previous = null;
+    const tried = new Set();
+    for (let i = 0; i < PRO_RATA_MAX_ITERATIONS; i++) {
+        const next = amountsFor(round);
+        if (!Object.values(next).every(Number.isFinite)) break;
+        settled = holders.every((h) => next[h.id] === (amounts[h.id] || 0));
+        if (settled) break;
+        // Revisiting a set of amounts means rounding keeps them cycling.
+        const key = holders.map((h) => next[h.id]).join();
+        if (tried.has(key)) break;
+        tried.add(key);
+        const last = previous;
+        previous = { amounts, next };
+        // The round mostly sees the pro-rata amounts through their total, and each pass closes
+        // about the same share of the gap between the total and where it settles. So jump most
+        // of the rest of the way, split as the last pass split it. The jump stops short by
+        // PRO_RATA_JUMP_MARGIN of itself plus a few shares' worth per holder, and is kept only
+        // if the total still climbs from there: rounding can leave several settled amounts close
+        // together, and climbing from below lands on the one plain passes from zero would.
+        const slope = last && (total(next) - total(last.next)) / (total(amounts) - total(last.amounts));
+        if (slope > 0 && slope < 1) {
+            const gap = (total(next) - total(amounts)) * slope / (1 - slope);
+            const margin = gap * PRO_RATA_JUMP_MARGIN + holders.length * PRO_RATA_JUMP_SHARES * round.pricedConversion.pps;
+            const scale = (total(next) + gap - margin) / total(next);
+            const jump = Object.fromEntries(holders.map((h) => [h.id, Math.max(next[h.id], Math.floor(next[h.id] * scale))]));
+            const jumped = priceWith(jump);
+            const climbing = amountsFor(jumped);
+            if (total(climbing) >= total(jump)) {
+                amounts = jump;
+                round = jumped;
+                previous = null;
+                continue;
+            }
+        }
+        amounts = next;
+        round = priceWith(amounts);
+    }
+    const proRataRowData = addProRataInvestments(rowData, holders, amounts);
+
+    const settledHolders = measure(round);
+    const founderPctWithout = sumFounderOwnership(base.postRound);
+    const founderPctWith = sumFounderOwnership(round.postRound);
+    return {
+        holders: settledHolders.map((h) => {
+            const purchase = round.postRound.series.find((se) => se.proRataOf === h.id);
+            const newShares = purchase ? purchase.shares : 0;
+            return {
+                ...h,
+                amount: amounts[h.id] || 0,
+                newShares,
+                postRoundPct: (h.shares + newShares) / round.pricedConversion.totalShares,
+            };
+        }),
+        totalAmount: Object.values(amounts).reduce((a, b) => a + b, 0),
+        rowData: proRataRowData,
+        pricedConversion: round.pricedConversion,
+        postRound: round.postRound,
+        founderPctWithout,
+        founderPctWith,
+        addedFounderDilution: founderPctWithout - founderPctWith,
+        settled,
+    };
+};
+
+// Search ranges for goal-seek, in dollars.
+const GOAL_SEEK_MIN_PRE_MONEY = 1;
+const GOAL_SEEK_MAX_PRE_MONEY = 1e13;
+const GOAL_SEEK_MAX_INVESTMENT = 1e13;
+
+/**
+ * The lowest pre-money valuation, to the cent, at which `solves(preMoney)` holds, or null
+ * when not even GOAL_SEEK_MAX_PRE_MONEY solves. A round whose SAFEs own too much at a low
+ * valuation has no solution there (the fit diverges), so searches over the valuation start
+ * from here rather than from GOAL_SEEK_MIN_PRE_MONEY.
+ */
+const findLowestSolvablePreMoney = (solves) => {
+    if (solves(GOAL_SEEK_MIN_PRE_MONEY)) return GOAL_SEEK_MIN_PRE_MONEY;
+    if (!solves(GOAL_SEEK_MAX_PRE_MONEY)) return null;
+    let low = GOAL_SEEK_MIN_PRE_MONEY;
+    let high = GOAL_SEEK_MAX_PRE_MONEY;
+    for (let i = 0; i < 100 && high - low > 0.005; i++) {
+        const mid = (low + high) / 2;
+        if (solves(mid)) high = mid;
+        else low = mid;
+    }
+    const preMoney = Math.ceil(high * 100) / 100;
+    return solves(preMoney) ? preMoney : high;
+};
+
+/**
+ * Goal-seek: finds the pre-money valuation at which the first priced round leaves
+ * founders (metric "founder") or the new series investors (metric "investor") with
+ * `targetPct` of the post-round cap table.
+ * Founder ownership rises with the valuation and investor ownership falls, so the
+ * search is a bisection between the lowest valuation whose round solves (see
+ * findLowestSolvablePreMoney) and GOAL_SEEK_MAX_PRE_MONEY. Valuations whose fit doesn't
+ * converge count as missing the target.
+ * When the target lies outside what any valuation can produce, returns
+ * `{ reachable: false }` with the achievable range.
+ */
+const solvePreMoneyForTarget = (rowData, targetOptionsPct, metric, targetPct, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const measure = (preMoney) => {
+        const { pricedConversion, postRound } = calculatePricedRound(rowData, preMoney, targetOptionsPct, roundingStrategy, optionPool);
+        if (!pricedConversion.solver.converged) return NaN;
+        return metric === "investor" ? sumSeriesOwnership(postRound) : sumFounderOwnership(postRound);
+    };
+    const increasing = metric !== "investor";
+    const lowest = findLowestSolvablePreMoney((preMoney) => Number.isFinite(measure(preMoney)));
+    if (lowest === null) return { reachable: false, minPct: NaN, maxPct: NaN };
+    const atMin = measure(lowest);
+    const atMax = measure(GOAL_SEEK_MAX_PRE_MONEY);
+    const minPct = Math.min(atMin, atMax);
+    const maxPct = Math.max(atMin, atMax);
+
+    if (!(targetPct >= minPct && targetPct <= maxPct)) {
+        return { reachable: false, minPct, maxPct };
+    }
+
+    // Either way the target is reached from the top of the range down to some valuation;
+    // `high` converges on the lowest valuation that still reaches it.
+    let low = lowest;
+    let high = GOAL_SEEK_MAX_PRE_MONEY;
+    const reached = (preMoney) => {
+        const pct = measure(preMoney);
+        return increasing ? pct >= targetPct : pct <= targetPct;
+    };
+    for (let i = 0; i < 100 && high - low > 0.5; i++) {
+        const mid = (low + high) / 2;
+        if (reached(mid)) high = mid;
+        else low = mid;
+    }
+
+    const preMoney = Math.ceil(high);
+    return { reachable: true, preMoney, achievedPct: measure(preMoney), minPct, maxPct };
+};
+
+/**
+ * Solves the investment of one series investor (the lead) so that it owns `targetPct`
+ * of the post-round cap table at a fixed pre-money valuation. SAFE conversion and the
+ * option pool top-up are re-solved by fitConversion for every candidate amount.
+ * The lead's ownership grows with its investment but levels off below 100%, so the
+ * upper bound is doubled until it reaches the target, up to GOAL_SEEK_MAX_INVESTMENT.
+ * Amounts whose fit doesn't converge count as missing the target.
+ */
+const solveInvestmentForTarget = (rowData, preMoneyValuation, targetOptionsPct, leadId, targetPct, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const measure = (investment) => {
+        const rows = rowData.map((r) => (r.id === leadId ? { ...r, investment } : r));
+        const { pricedConversion, postRound } = calculatePricedRound(rows, preMoneyValuation, targetOptionsPct, roundingStrategy, optionPool);
+        if (!pricedConversion.solver.converged) return NaN;
+        const lead = postRound.series.find((se) => se.id === leadId);
+        return lead ? lead.ownershipPct : 0;
+    };
+
+    let low = 0;
+    let high = Math.max(preMoneyValuation, 1);
+    // What the lead reached on the way up, for when no amount reaches the target. NaN
+    // when no amount gives the round a solution.
+    const solvedPcts = [];
+    for (let pct = measure(high); !(pct >= targetPct); pct = measure(high)) {
+        if (Number.isFinite(pct)) solvedPcts.push(pct);
+        low = high;
+        high *= 2;
+        if (high > GOAL_SEEK_MAX_INVESTMENT) {
+            solvedPcts.push(measure(GOAL_SEEK_MAX_INVESTMENT));
+            const maxPct = Math.max(...solvedPcts.filter(Number.isFinite));
+            return { reachable: false, maxPct: Number.isFinite(maxPct) ? maxPct : NaN };
+        }
+    }
+
+    for (let i = 0; i < 100 && high - low > 0.5; i++) {
+        const mid = (low + high) / 2;
+        if (measure(mid) >= targetPct) high = mid;
+        else low = mid;
+    }
+
+    const investment = Math.ceil(high);
+    return { reachable: true, investment, achievedPct: measure(investment) };
+};
+
+/**
+ * The pre-money valuation of the first priced round, from whichever figure the scenario's
+ * roundInput fixes (see RoundInputBasis):
+ * - preMoney: scenario.preMoney as entered.
+ * - postMoney: the post-money less the new money. Pro-rata investments that join the round
+ *   are new money too, and they move with the valuation, so that case is iterated.
+ * - pps: the lowest valuation, to the cent, at which fitConversion prices the round at
+ *   `pps` or above. The price rises with the valuation, so the search is a bisection
+ *   between the lowest valuation whose round solves (see findLowestSolvablePreMoney) and
+ *   GOAL_SEEK_MAX_PRE_MONEY. Valuations whose fit doesn't converge count as pricing below.
+ * Returns `{ basis, reachable: false }` when no positive valuation gives the figure, with
+ * the achievable price range for a price input.
+ */
+const resolveRoundPreMoney = (scenario, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const { basis, postMoney, pps } = getRoundInputTerms(scenario.roundInput);
+    if (basis === RoundInputBasis.PreMoney) {
+        return { basis, reachable: scenario.preMoney > 0, preMoney: scenario.preMoney };
+    }
+
+    const optionPool = getOptionPoolTerms(scenario.optionPool);
+    const addsProRata = Boolean(scenario.proRata && scenario.proRata.autoAdd);
+    const priceRound = (preMoney) => {
+        const proRata = addsProRata
+            ? calculateProRata(scenario.rowData, preMoney, scenario.targetOptionsPool, roundingStrategy, optionPool)
+            : null;
+        return (proRata || calculatePricedRound(scenario.rowData, preMoney, scenario.targetOptionsPool, roundingStrategy, optionPool)).pricedConversion;
+    };
+
+    if (basis === RoundInputBasis.PostMoney) {
+        const seriesTotal = scenario.rowData
+            .filter((r) => r.type === CapTableRowType.Series)
+            .reduce((a, r) => a + (r.investment || 0), 0);
+        let preMoney = postMoney - seriesTotal;
+        for (let i = 0; addsProRata && preMoney > 0 && i < PRO_RATA_MAX_ITERATIONS; i++) {
+            const next = postMoney - priceRound(preMoney).totalSeriesInvestment;
+            if (next === preMoney) break;
+            preMoney = next;
+        }
+        return preMoney > 0 ? { basis, reachable: true, preMoney } : { basis, reachable: false };
+    }
+
+    const solvedPps = (preMoney) => {
+        const round = priceRound(preMoney);
+        return round.solver.converged ? round.pps : NaN;
+    };
+    const lowest = findLowestSolvablePreMoney((preMoney) => Number.isFinite(solvedPps(preMoney)));
+    if (lowest === null) return { basis, reachable: false, minPps: NaN, maxPps: NaN };
+    const minPps = solvedPps(lowest);
+    const maxPps = solvedPps(GOAL_SEEK_MAX_PRE_MONEY);
+    if (!(pps > 0 && pps >= minPps && pps <= maxPps)) {
+        return { basis, reachable: false, minPps, maxPps };
+    }
+
+    let low = lowest;
+    let high = GOAL_SEEK_MAX_PRE_MONEY;
+    for (let i = 0; i < 100 && high - low > 0.005; i++) {
+        const mid = (low + high) / 2;
+        if (solvedPps(mid) >= pps) high = mid;
+        else low = mid;
+    }
+    return { basis, reachable: true, preMoney: Math.ceil(high * 100) / 100 };
+};
+
+// Id of the series row scaleSeriesInvestments adds when the worksheet has no round investors.
+const RAISE_INVESTOR_ID = "RoundInvestor";
+
+/**
+ * Scales the series investors of rowData so the round raises `raise` in total, keeping
+ * their relative split. Without any investment to scale, the raise is split equally, and
+ * without any series row it goes to a new one (RAISE_INVESTOR_ID).
+ */
+const scaleSeriesInvestments = (rowData, raise) => {
+    const series = rowData.filter((r) => r.type === CapTableRowType.Series);
+    if (series.length === 0) {
+        return raise > 0
+            ? [...rowData, { id: RAISE_INVESTOR_ID, type: CapTableRowType.Series, name: "New Investor", investment: Math.round(raise) }]
+            : rowData;
+    }
+    const seriesTotal = series.reduce((a, r) => a + r.investment, 0);
+    return rowData.map((r) => {
+        if (r.type !== CapTableRowType.Series) return r;
+        const investment = seriesTotal > 0 ? (r.investment / seriesTotal) * raise : raise / series.length;
+        return { ...r, investment: Math.round(investment) };
+    });
+};
+
+/**
+ * Sensitivity grid of the first priced round over pre-money valuations (rows) and
+ * round sizes (columns). Each cell holds post-round founder ownership and the total
+ * founder dilution from today's cap table, i.e. SAFE conversion plus the round. A cell
+ * whose round doesn't converge has no solution: its figures are NaN.
+ */
+const buildSensitivityGrid = (rowData, targetOptionsPct, preMoneyValues, raiseValues, roundingStrategy = DEFAULT_ROUNDING_STRATEGY, optionPool = DEFAULT_OPTION_POOL) => {
+    const founderPctToday = sumFounderOwnership(buildStrictlyPreRoundCapTable(rowData));
+
+    return preMoneyValues.map((preMoney) => raiseValues.map((raise) => {
+        const { pricedConversion, postRound } = calculatePricedRound(
+            scaleSeriesInvestments(rowData, raise),
+            preMoney,
+            targetOptionsPct,
+            roundingStrategy,
+            optionPool
+        );
+        const founderPct = pricedConversion.solver.converged ? sumFounderOwnership(postRound) : NaN;
+        return {
+            preMoney,
+            raise,
+            pps: pricedConversion.solver.converged ? pricedConversion.pps : NaN,
+            founderPct,
+            dilution: founderPctToday - founderPct,
+        };
+    }));
+};
+
+/**
+ * Rolls a post-round cap table forward into rowData for the next priced round.
+ * Every holder of the closed round becomes an existing shareholder, and the
+ * refreshed options pool becomes the next round's unused options. Investors of the
+ * closed round keep their preferred class and invested amount for the exit waterfall.
+ * Prior preferred holders carry their conversion price as adjusted by anti-dilution so far,
+ * with the shares and price they started from (see calculateAntiDilutionAdjustments).
+ */
+const buildNextRoundRowData = (postRound, roundId) => {
+    const toPreferred = (r) => ({
+        ...r,
+        category: "Investor",
+        preferredClass: roundId,
+        invested: r.investment,
+        conversionPrice: r.pps,
+        antiDilution: r.antiDilution || "none",
+    });
+    const holders = [
+        ...postRound.common,
+        ...postRound.safes.map(toPreferred),
+        ...postRound.series.map(toPreferred),
+    ];
+
+    return [
+        ...holders.map((h) => ({
+            id: h.id,
+            type: CapTableRowType.Common,
+            name: h.name,
+            shares: h.shares,
+            category: h.category || "Other",
+            ...(h.preferredClass ? {
+                preferredClass: h.preferredClass,
+                invested: h.invested,
+                conversionPrice: h.conversionPrice,
+                antiDilution: h.antiDilution,
+                ...(h.originalShares !== undefined && {
+                    originalShares: h.originalShares,
+                    originalConversionPrice: h.originalConversionPrice,
+                }),
+            } : {}),
+        })),
+        {
+            id: "UnusedOptionsPool",
+            type: CapTableRowType.Common,
+            name: "Option pool",
+            shares: postRound.refreshedOptionsPool.shares,
+            category: "Option pool",
+        },
+    ];
+};
+
+/**
+ * Adjusted conversion price of a prior preferred holder after a down round.
+ * Weighted average: CP2 = CP1 × (A + B) / (A + C), where A is the shares outstanding
+ * before the round (fully diluted for broad-based, prior preferred only for narrow-based),
+ * B the shares the new money would buy at CP1 and C the shares actually issued.
+ * Full ratchet resets the conversion price to the new round price.
+ */
+const calculateAdjustedConversionPrice = (method, conversionPrice, pps, { broadShares, narrowShares, newMoney, newShares }) => {
+    if (!method || method === "none" || !(pps < conversionPrice)) return conversionPrice;
+    if (method === "full") return pps;
+    const outstanding = method === "narrow" ? narrowShares : broadShares;
+    const sharesAtOldPrice = newMoney / conversionPrice;
+    return conversionPrice * (outstanding + sharesAtOldPrice) / (outstanding + newShares);
+};
+
+/**
+ * Extra shares owed to each protected prior preferred holder at the given round price.
+ * `rowData` is the follow-on round input before any adjustment shares were issued.
+ * A holder adjusted in an earlier round comes in with that round's conversion price and
+ * its shares including the adjustment; `originalShares` and `originalConversionPrice` are
+ * what it bought. The new price adjusts the current conversion price, and the holder is
+ * owed originalShares × originalConversionPrice / adjusted price in all, less what it holds.
+ */
+const calculateAntiDilutionAdjustments = (rowData, pricedConversion, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const common = rowData.filter((r) => r.type === CapTableRowType.Common);
+    const terms = {
+        broadShares: common.reduce((a, r) => a + r.shares, 0),
+        narrowShares: common.filter((r) => r.preferredClass).reduce((a, r) => a + r.shares, 0),
+        newMoney: pricedConversion.totalSeriesInvestment,
+        newShares: pricedConversion.seriesShares,
+    };
+
+    return common
+        .filter((r) => r.preferredClass && r.conversionPrice > pricedConversion.pps && r.antiDilution && r.antiDilution !== "none")
+        .map((r) => {
+            const originalShares = r.originalShares ?? r.shares;
+            const originalConversionPrice = r.originalConversionPrice ?? r.conversionPrice;
+            const adjustedConversionPrice = calculateAdjustedConversionPrice(r.antiDilution, r.conversionPrice, pricedConversion.pps, terms);
+            const extraShares = roundShares(originalShares * (originalConversionPrice / adjustedConversionPrice), roundingStrategy) - r.shares;
+            return {
+                id: r.id,
+                name: r.name,
+                method: r.antiDilution,
+                conversionPrice: r.conversionPrice,
+                adjustedConversionPrice,
+                originalShares,
+                originalConversionPrice,
+                extraShares,
+            };
+        });
+};
+
+/**
+ * Solves a follow-on priced round (e.g. Series B) on top of the previous round's
+ * post-round cap table. Follow-on rounds have no SAFEs: anything that converted
+ * earlier is already held as shares.
+ *
+ * In a down round, anti-dilution shares are issued to protected prior preferred holders
+ * before the round closes. They add to pre-money shares, which lowers the round price,
+ * which in turn grows the adjustment, so the round is re-solved until the extra shares settle.
+ */
+const fitFollowOnRound = (priorPostRound, priorRoundId, round, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
+    const baseRowData = [
+        ...buildNextRoundRowData(priorPostRound, priorRoundId),
+        ...round.investors.map((inv) => ({ ...inv, type: CapTableRowType.Series })),
+    ];
+
+    const solve = (rows) => fitConversion(
+        round.preMoney,
+        rows
+            .filter((r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool")
+            .reduce((a, r) => a + r.shares, 0),
+        [],
+        priorPostRound.refreshedOptionsPool.shares,
+        round.targetOptionsPool,
+        round.investors.map((inv) => inv.investment),
+        roundingStrategy
+    );
+
+    const unadjustedConversion = solve(baseRowData);
+    const priorPPS = priorPostRound.series.reduce((max, se) => Math.max(max, se.pps || 0), 0);
+
+    let rowData = baseRowData;
+    let pricedConversion = unadjustedConversion;
+    let adjustments = [];
+    for (let i = 0; i < 20; i++) {
+        const next = calculateAntiDilutionAdjustments(baseRowData, pricedConversion, roundingStrategy);
+        const settled = next.length === adjustments.length &&
+            next.every((adj, idx) => adj.extraShares === adjustments[idx].extraShares);
+        if (settled) break;
+        adjustments = next;
+        rowData = baseRowData.map((r) => {
+            const adj = adjustments.find((a) => a.id === r.id);
+            return adj ? {
+                ...r,
+                shares: r.shares + adj.extraShares,
+                antiDilutionShares: adj.extraShares,
+                conversionPrice: adj.adjustedConversionPrice,
+                originalShares: adj.originalShares,
+                originalConversionPrice: adj.originalConversionPrice,
+            } : r;
+        });
+        pricedConversion = solve(rowData);
+    }
+
+    const postRound = buildPricedRoundCapTable(pricedConversion, rowData, roundingStrategy);
+    const unadjustedPostRound = buildPricedRoundCapTable(unadjustedConversion, baseRowData, roundingStrategy);
+
+    return {
+        rowData,
+        pricedConversion,
+        postRound,
+        antiDilution: {
+            priorPPS,
+            isDownRound: priorPPS > 0 && unadjustedConversion.pps < priorPPS,
+            adjustments,
+            extraShares: adjustments.reduce((a, adj) => a + adj.extraShares, 0),
+            addedFounderDilution: sumFounderOwnership(unadjustedPostRound) - sumFounderOwnership(postRound),
+        },
+    };
+};
+
+/**
+ * Flattens a cap table (pre-round, post-round or follow-on) into one row per holder,
+ * as shown in the breakdown table. The refreshed option pool comes last.
+ */
+const getRowData = (data) => {
+    const rows = [];
+    if (!data) return rows;
+
+    if (data.common) {
+        data.common.forEach((r) => {
+            rows.push({
+                id: r.id,
+                name: r.name,
+                category: r.category || "Other",
+                shares: r.shares || 0,
+                ownershipPct: r.ownershipPct || 0,
+                isPricedOrSafe: false,
+                antiDilutionShares: r.antiDilutionShares || 0,
+                ...(r.secondarySold && { secondarySold: r.secondarySold }),
+                ...(r.secondaryOf && { secondaryOf: r.secondaryOf, pps_val: r.pps }),
+            });
+        });
+    }
+
+    if (data.safes) {
+        data.safes.forEach((s) => {
+            rows.push({
+                id: s.id,
+                name: s.name,
+                category: "Investor", // Branding for SAFEs in the table
+                shares: s.shares || 0,
+                ownershipPct: s.ownershipPct || 0,
+                isPricedOrSafe: true,
+                pps_val: s.pps,
+                conversionType: s.conversionType,
+                isMFN: isMFN(s),
+                isNote: s.type === CapTableRowType.Note,
+            });
+        });
+    }
+
+    if (data.series) {
+        data.series.forEach((se) => {
+            rows.push({
+                id: se.id,
+                name: se.name || "New Investor",
+                category: "Investor",
+                shares: se.shares || 0,
+                ownershipPct: se.ownershipPct || 0,
+                isPricedOrSafe: true,
+                pps_val: se.pps,
+            });
+        });
+    }
+
+    if (data.refreshedOptionsPool && data.refreshedOptionsPool.shares > 0) {
+        rows.push({
+            id: "UnusedOptionsPool",
+            name: "Option pool",
+            category: "Option pool",
+            shares: data.refreshedOptionsPool.shares || 0,
+            ownershipPct: data.refreshedOptionsPool.ownershipPct || 0,
+            isPricedOrSafe: false,
+        });
+    }
+
+    return rows;
+};
+
+/**
+ * Runs the whole worksheet pipeline on a plain scenario
+ * ({ rowData, preMoney, roundInput, targetOptionsPool, optionPool, followOnRounds, rounding, proRata }):
+ * the post-SAFE pre-round table, the first priced round and any follow-on rounds. The round's
+ * pre-money valuation comes from its roundInput (see resolveRoundPreMoney) and is returned
+ * as `preMoney`, with the resolution in `roundInput`. Rounding
+ * follows the scenario's own policy unless a strategy is passed. The option pool policy
+ * applies to the first priced round; follow-on rounds size their pools on post-money.
+ * Pro-rata investments (see calculateProRata) are always worked out, and join the round
+ * when proRata.autoAdd is set.
+ * `ready` is false when there is no pre-money yet, a SAFE or note can't convert or a
+ * secondary sale is invalid; `errors` then says which.
+ */
+const calculateScenario = (scenario, roundingStrategy = getRoundingStrategy(scenario.rounding)) => {
+    // SAFEs and notes that can't convert are reported at the valuation as entered, before
+    // any other round input is resolved against them. So are invalid secondary sales and
+    // follow-on rounds.
+    const enteredSafes = populateSafeCaps(getConvertibleRows(scenario.rowData), scenario.preMoney);
+    const enteredErrors = {
+        ...checkSafeNotesForErrors(enteredSafes),
+        ...checkSecondarySalesForErrors(scenario.rowData),
+        ...checkFollowOnRoundsForErrors(scenario.followOnRounds),
+    };
+    if (Object.keys(enteredErrors).length > 0) {
+        return { ready: false, safes: enteredSafes, errors: enteredErrors, roundInput: { basis: getRoundInputTerms(scenario.roundInput).basis, reachable: false } };
+    }
+    const roundInput = resolveRoundPreMoney(scenario, roundingStrategy);
+    const preMoney = roundInput.reachable ? roundInput.preMoney : 0;
+    const safes = populateSafeCaps(getConvertibleRows(scenario.rowData), preMoney);
+    const errors = checkSafeNotesForErrors(safes);
+    if (!(preMoney > 0) || Object.keys(errors).length > 0) {
+        return { ready: false, safes, errors, roundInput };
+    }
+
+    const preRound = buildEstimatedPreRoundCapTable(scenario.rowData, roundingStrategy);
+    const optionPool = getOptionPoolTerms(scenario.optionPool);
+    const proRata = calculateProRata(scenario.rowData, preMoney, scenario.targetOptionsPool, roundingStrategy, optionPool);
+    const proRataAdded = Boolean(proRata && scenario.proRata && scenario.proRata.autoAdd);
+    const roundRowData = proRataAdded ? proRata.rowData : scenario.rowData;
+    const { pricedConversion, postRound } = proRataAdded ? proRata : calculatePricedRound(
+        roundRowData,
+        preMoney,
+        scenario.targetOptionsPool,
+        roundingStrategy,
+        optionPool
+    );
+    const poolDilution = calculatePoolDilution(roundRowData, preMoney, scenario.targetOptionsPool, roundingStrategy, optionPool);
+
+    // Synchronize SAFE shares between Pre and Post if a priced round exists.
+    // This ensures the "Pre" column shows the actual conversion realized in the round,
+    // rather than a standalone estimate.
+    preRound.safes = preRound.safes.map((preSafe) => {
+        const postSafe = postRound.safes.find((ps) => ps.id === preSafe.id);
+        return postSafe ? { ...preSafe, shares: postSafe.shares } : preSafe;
+    });
+
+    // Recalculate pre-round totals and percentages based on synchronized shares
+    preRound.total.shares = preRound.common.reduce((a, c) => a + (c.shares || 0), 0) +
+                            preRound.safes.reduce((a, s) => a + (s.shares || 0), 0);
+    preRound.common.forEach((c) => c.ownershipPct = c.shares / preRound.total.shares);
+    preRound.safes.forEach((s) => s.ownershipPct = s.shares / preRound.total.shares);
+
+    const followOnSteps = [];
+    let finalPostRound = postRound;
+    let finalRoundId = PRIMARY_ROUND_ID;
+    for (const round of scenario.followOnRounds || []) {
+        const step = fitFollowOnRound(finalPostRound, finalRoundId, round, roundingStrategy);
+        followOnSteps.push({
+            ...step,
+            roundId: round.id,
+            roundName: round.roundName,
+            founderPct: sumFounderOwnership(step.postRound),
+        });
+        finalPostRound = step.postRound;
+        finalRoundId = round.id;
+    }
+
+    // All "Pre" figures are 'Post-SAFE Pre-Round'
+    const founderSharesPre = preRound.common
+        .filter((c) => c.category === "Founder")
+        .reduce((a, c) => a + c.shares, 0);
+    const founderPctPre = preRound.total.shares > 0 ? founderSharesPre / preRound.total.shares : 0;
+    const founderPctPost = sumFounderOwnership(postRound);
+
+    return {
+        ready: true,
+        safes,
+        errors,
+        preRound,
+        pricedConversion,
+        postRound,
+        preMoney,
+        roundInput,
+        postMoney: pricedConversion.totalShares * pricedConversion.pps,
+        founderPctPre,
+        founderPctPost,
+        dilution: founderPctPre > 0 ? founderPctPre - founderPctPost : NaN,
+        proRata,
+        proRataAdded,
+        optionPool,
+        poolDilution,
+        followOnSteps,
+        finalPostRound,
+        finalRoundId,
+    };
+};
+
+/**
+ * Flattens a post-round cap table into exit waterfall holders. SAFEs, notes and
+ * series investors of the round hold its preferred class; holders carried over from
+ * earlier rounds keep theirs. The refreshed options pool is unissued and takes nothing.
+ */
+const buildExitHolders = (postRound, roundId) => {
+    const toPreferred = (r) => ({
+        id: r.id,
+        name: r.name,
+        category: "Investor",
+        shares: r.shares,
+        preferredClass: roundId,
+        invested: r.investment,
+    });
+
+    return [
+        ...postRound.common.map((c) => ({
+            id: c.id,
+            name: c.name,
+            category: c.category,
+            shares: c.shares,
+            preferredClass: c.preferredClass || null,
+            invested: c.invested || 0,
+        })),
+        ...postRound.safes.map(toPreferred),
+        ...postRound.series.map(toPreferred),
+    ].filter((h) => h.shares > 0);
+};
+
+/**
+ * Pays out one exit given which preferred classes have converted to common.
+ * Preferences are paid from the highest seniority down (equal seniority is pari passu);
+ * what is left goes to common, converted preferred and participating preferred pro rata,
+ * with capped participants dropping out once they hit their cap.
+ */
+const distributeExitProceeds = (holders, classes, exitValue, converted) => {
+    const isPreferred = (h) => h.preferredClass && classes[h.preferredClass] && !converted.has(h.preferredClass);
+    const results = holders.map((h) => ({
+        ...h,
+        preference: 0,
+        participation: 0,
+        converted: !!h.preferredClass && converted.has(h.preferredClass),
+    }));
+
+    let remaining = exitValue;
+    const seniorities = Array.from(new Set(results.filter(isPreferred).map((h) => classes[h.preferredClass].seniority)))
+        .sort((a, b) => b - a);
+
+    seniorities.forEach((seniority) => {
+        const level = results.filter((h) => isPreferred(h) && classes[h.preferredClass].seniority === seniority);
+        const owed = level.reduce((a, h) => a + h.invested * classes[h.preferredClass].multiple, 0);
+        const paid = Math.min(remaining, owed);
+        level.forEach((h) => {
+            h.preference = owed > 0 ? paid * (h.invested * classes[h.preferredClass].multiple) / owed : 0;
+        });
+        remaining -= paid;
+    });
+
+    let active = results.filter((h) => !isPreferred(h) || classes[h.preferredClass].participating);
+    for (;;) {
+        const activeShares = active.reduce((a, h) => a + h.shares, 0);
+        const perShare = activeShares > 0 ? remaining / activeShares : 0;
+        const capped = active.filter((h) => {
+            const terms = isPreferred(h) ? classes[h.preferredClass] : null;
+            return terms && terms.participationCap > 0 &&
+                h.preference + perShare * h.shares > terms.participationCap * h.invested;
+        });
+
+        if (capped.length === 0) {
+            active.forEach((h) => { h.participation = perShare * h.shares; });
+            break;
+        }
+
+        capped.forEach((h) => {
+            h.participation = Math.max(0, classes[h.preferredClass].participationCap * h.invested - h.preference);
+            remaining -= h.participation;
+        });
+        active = active.filter((h) => !capped.includes(h));
+    }
+
+    return results.map((h) => ({ ...h, total: h.preference + h.participation }));
+};
+
+/**
+ * Exit waterfall for a post-round cap table.
+ * `classes` maps a preferred class id to { name, multiple, participating, participationCap, seniority }.
+ * Non-participating and capped participating classes convert to common, one class at a time,
+ * whenever converting pays their holders more than staying preferred.
+ */
+const runExitWaterfall = (holders, classes, exitValue) => {
+    const classIds = Object.keys(classes).filter((id) => holders.some((h) => h.preferredClass === id));
+    const classTotal = (payouts, id) => payouts
+        .filter((h) => h.preferredClass === id)
+        .reduce((a, h) => a + h.total, 0);
+
+    const converted = new Set();
+    let payouts = distributeExitProceeds(holders, classes, exitValue, converted);
+
+    for (let i = 0; i < classIds.length; i++) {
+        const candidate = classIds.find((id) => {
+            const terms = classes[id];
+            if (converted.has(id) || (terms.participating && !(terms.participationCap > 0))) return false;
+            const asConverted = distributeExitProceeds(holders, classes, exitValue, new Set([...converted, id]));
+            return classTotal(asConverted, id) > classTotal(payouts, id);
+        });
+        if (!candidate) break;
+        converted.add(candidate);
+        payouts = distributeExitProceeds(holders, classes, exitValue, converted);
+    }
+
+    return {
+        exitValue,
+        payouts,
+        convertedClasses: Array.from(converted),
+        totalDistributed: payouts.reduce((a, h) => a + h.total, 0),
+    };
+};
+
+return {
+    CapTableRowType,
+    CommonRowType,
+    PRIMARY_ROUND_ID,
+    DEFAULT_ROUNDING_STRATEGY,
+    SolverStatus,
+    SolverMethod,
+    describeSolverWarning,
+    SHARE_ROUNDING_STRATEGIES,
+    DEFAULT_ROUNDING_POLICY,
+    getRoundingStrategy,
+    OptionPoolMode,
+    SafeCapitalization,
+    DEFAULT_OPTION_POOL,
+    getOptionPoolTerms,
+    RoundInputBasis,
+    DEFAULT_ROUND_INPUT,
+    getRoundInputTerms,
+    RoundingMode,
+    roundShares,
+    roundPPSToPlaces,
+    isMFN,
+    getMFNCapAfter,
+    getCapForSafe,
+    populateSafeCaps,
+    calculateAccruedInterest,
+    getConvertibleRows,
+    convertibleRowType,
+    safeConvert,
+    sumSafeConvertedShares,
+    explainSafeConversions,
+    checkSafeNotesForErrors,
+    checkSecondarySalesForErrors,
+    calculatePreAndPostMoneyShares,
+    attemptFit,
+    fitConversion,
+    buildTBDPreRoundCapTable,
+    buildErrorPreRoundCapTable,
+    buildStrictlyPreRoundCapTable,
+    buildEstimatedPreRoundCapTable,
+    applySecondarySales,
+    buildPricedRoundCapTable,
+    buildRoundingReconciliation,
+    sumFounderOwnership,
+    sumSeriesOwnership,
+    calculatePricedRound,
+    calculatePoolDilution,
+    hasProRataRight,
+    calculateProRata,
+    GOAL_SEEK_MIN_PRE_MONEY,
+    GOAL_SEEK_MAX_PRE_MONEY,
+    GOAL_SEEK_MAX_INVESTMENT,
+    solvePreMoneyForTarget,
+    solveInvestmentForTarget,
+    resolveRoundPreMoney,
+    scaleSeriesInvestments,
+    buildSensitivityGrid,
+    buildNextRoundRowData,
+    calculateAdjustedConversionPrice,
+    calculateAntiDilutionAdjustments,
+    fitFollowOnRound,
+    getRowData,
+    calculateScenario,
+    buildExitHolders,
+    distributeExitProceeds,
+    runExitWaterfall,
+};
+});
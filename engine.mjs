@@ -0,0 +1,73 @@
+// ES module entry for the calculation engine. engine.js is the single source;
+// this file only re-exports it.
+import engine from "./engine.js";
+
+export const {
+    CapTableRowType,
+    CommonRowType,
+    PRIMARY_ROUND_ID,
+    DEFAULT_ROUNDING_STRATEGY,
+    SolverStatus,
+    SolverMethod,
+    describeSolverWarning,
+    SHARE_ROUNDING_STRATEGIES,
+    DEFAULT_ROUNDING_POLICY,
+    getRoundingStrategy,
+    OptionPoolMode,
+    SafeCapitalization,
+    DEFAULT_OPTION_POOL,
+    getOptionPoolTerms,
+    RoundInputBasis,
+    DEFAULT_ROUND_INPUT,
+    getRoundInputTerms,
+    RoundingMode,
+    roundShares,
+    roundPPSToPlaces,
+    isMFN,
+    getMFNCapAfter,
+    getCapForSafe,
+    populateSafeCaps,
+    calculateAccruedInterest,
+    getConvertibleRows,
+    convertibleRowType,
+    safeConvert,
+    sumSafeConvertedShares,
+    explainSafeConversions,
+    checkSafeNotesForErrors,
+    checkSecondarySalesForErrors,
+    calculatePreAndPostMoneyShares,
+    attemptFit,
+    fitConversion,
+    buildTBDPreRoundCapTable,
+    buildErrorPreRoundCapTable,
+    buildStrictlyPreRoundCapTable,
+    buildEstimatedPreRoundCapTable,
+    applySecondarySales,
+    buildPricedRoundCapTable,
+    buildRoundingReconciliation,
+    sumFounderOwnership,
+    sumSeriesOwnership,
+    calculatePricedRound,
+    calculatePoolDilution,
+    hasProRataRight,
+    calculateProRata,
+    GOAL_SEEK_MIN_PRE_MONEY,
+    GOAL_SEEK_MAX_PRE_MONEY,
+    GOAL_SEEK_MAX_INVESTMENT,
+    solvePreMoneyForTarget,
+    solveInvestmentForTarget,
+    resolveRoundPreMoney,
+    scaleSeriesInvestments,
+    buildSensitivityGrid,
+    buildNextRoundRowData,
+    calculateAdjustedConversionPrice,
+    calculateAntiDilutionAdjustments,
+    fitFollowOnRound,
+    getRowData,
+    calculateScenario,
+    buildExitHolders,
+    distributeExitProceeds,
+    runExitWaterfall,
+} = engine;
+
+export default engine;
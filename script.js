@@ -1,26 +1,46 @@
 /* 
 ================================================================
 PART 1: CORE ENGINE
-Constants, Formatting, and calculation logic.
+Constants and formatting. The calculation logic lives in engine.js,
+which the page must load before this script.
 ================================================================
 */
-const CapTableRowType = {
-    Common: "common",
-    Safe: "safe",
-    Series: "series",
-    Total: "total",
-    RefreshedOptions: "refreshedOptions",
-};
-
-const CommonRowType = {
-    Shareholder: "shareholder",
-    UnusedOptions: "unusedOptions",
-};
+if (!window.SAFEEngine) {
+    console.error("Dependency Missing: SAFEEngine. Please ensure engine.js is included before script.js in your Webflow page settings.");
+}
 
-const DEFAULT_ROUNDING_STRATEGY = {
-    roundShares: true,
-    roundPPSPlaces: 8,
-};
+const {
+    CapTableRowType,
+    PRIMARY_ROUND_ID,
+    isMFN,
+    getCapForSafe,
+    populateSafeCaps,
+    getConvertibleRows,
+    getRowData,
+    checkSafeNotesForErrors,
+    buildRoundingReconciliation,
+    explainSafeConversions,
+    hasProRataRight,
+    SHARE_ROUNDING_STRATEGIES,
+    DEFAULT_ROUNDING_POLICY,
+    getRoundingStrategy,
+    OptionPoolMode,
+    SafeCapitalization,
+    DEFAULT_OPTION_POOL,
+    getOptionPoolTerms,
+    RoundInputBasis,
+    DEFAULT_ROUND_INPUT,
+    getRoundInputTerms,
+    resolveRoundPreMoney,
+    describeSolverWarning,
+    solvePreMoneyForTarget,
+    solveInvestmentForTarget,
+    scaleSeriesInvestments,
+    buildSensitivityGrid,
+    calculateScenario,
+    buildExitHolders,
+    runExitWaterfall,
+} = window.SAFEEngine || {};
 
 const stringToNumber = (value) => {
     
@@ -121,538 +141,1930 @@ const formatDiscountLive = (input) => {
 
 window.formatDiscountLive = formatDiscountLive;
 
-const roundShares = (num, strategy = DEFAULT_ROUNDING_STRATEGY) => {
-    if (strategy.roundDownShares) return Math.floor(num);
-    if (strategy.roundShares) return Math.round(num);
-    return num;
+
+/* 
+================================================================
+PART 2: UI & RENDERING
+State management, updateUI, and chart rendering.
+================================================================
+*/
+const INITIAL_STATE = {
+    name: "Standalone Worksheet",
+    roundName: "Series A",
+    rowData: [
+        {
+            id: "1",
+            type: "common",
+            name: "Founder 1",
+            shares: 4000000,
+            category: "Founder",
+        },
+        {
+            id: "2",
+            type: "common",
+            name: "Founder 2",
+            shares: 4000000,
+            category: "Founder",
+        },
+        {
+            id: "UnusedOptionsPool",
+            type: "common",
+            name: "Option pool",
+            shares: 2000000,
+            category: "Option pool",
+        },
+        {
+            id: "3",
+            type: "safe",
+            name: "SAFE 1",
+            investment: 500000,
+            cap: 1000000,
+            discount: 0.2, 
+            conversionType: "post",
+        },
+        { id: "4", type: "series", name: "Investor 1", investment: 2000000 },
+    ],
+    preMoney: 10000000,
+    targetOptionsPool: null,
+    pricedRounds: 1, 
+    // Rounds after the first, e.g. Series B. Each one starts from the previous round's post-round table.
+    followOnRounds: [],
+    // Liquidation preference of the first round's preferred. Higher seniority is paid first.
+    liquidationPreference: { multiple: 1, participating: false, participationCap: null, seniority: 1 },
+    exitValue: 0,
+    // Goal-seek inputs: solve the pre-money for a target founder or new-investor ownership (in %).
+    goalSeek: { metric: "founder", targetPct: null },
+    // Round-size solve: the series row treated as the lead and its target post-round ownership (in %).
+    leadSeek: { leadId: null, targetPct: null },
+    // Heatmap ranges. Null bounds follow the current round: 50% to 150% of its pre-money and raise.
+    sensitivity: {
+        preMoneyMin: null,
+        preMoneyMax: null,
+        preMoneySteps: 5,
+        raiseMin: null,
+        raiseMax: null,
+        raiseSteps: 5,
+        metric: "founder",
+    },
+    // How converted share counts round ("nearest", "down" or "none") and how many decimals
+    // the price per share is rounded up to (-1 for none). Applies to every round.
+    rounding: { ...DEFAULT_ROUNDING_POLICY },
+    // Pro-rata rights are flagged per row (`proRata: true`). With autoAdd the amounts they
+    // call for join the first priced round as series investments.
+    proRata: { autoAdd: false },
+    // How the first priced round sizes its pool top-up (mode, newShares for "fixedShares") and
+    // whether SAFE caps count the top-up in their capitalization. See OptionPoolMode in engine.js.
+    optionPool: { ...DEFAULT_OPTION_POOL },
+    // Which figure the term sheet fixes: the pre-money above, or postMoney / pps here. When it
+    // isn't the pre-money, updateUI writes the derived valuation back into preMoney.
+    roundInput: { ...DEFAULT_ROUND_INPUT },
 };
 
-const roundPPSToPlaces = (num, places) => {
-    if (places < 0) return num;
-    const factor = Math.pow(10, places);
-    return Math.ceil(num * factor) / factor;
+let state = JSON.parse(JSON.stringify(INITIAL_STATE));
+
+window.resetCalculator = () => {
+    const name = state.name;
+    state = JSON.parse(JSON.stringify(INITIAL_STATE));
+    state.name = name;
+    clearGlobalErrors();
+    updateUI();
 };
 
+// =========================================================================
+// SAVED WORKSHEETS (localStorage)
+// =========================================================================
+const WORKSHEETS_STORAGE_KEY = "safeCalculator.worksheets";
+
+// Bump when the shape of `state` changes, and add the matching step to WORKSHEET_MIGRATIONS.
+const WORKSHEET_SCHEMA_VERSION = 6;
+
+// WORKSHEET_MIGRATIONS[v] upgrades a saved state from schema version v to v + 1.
+const WORKSHEET_MIGRATIONS = [
+    // 0 -> 1: saves from before worksheets were versioned. Missing fields are filled in below.
+    (saved) => saved,
+    // 1 -> 2: rounding became a setting. Earlier saves were calculated with the default policy.
+    (saved) => ({ ...saved, rounding: { ...DEFAULT_ROUNDING_POLICY } }),
+    // 2 -> 3: pro-rata rights. Earlier saves flag no holders, so nothing is added to the round.
+    (saved) => ({ ...saved, proRata: { autoAdd: false } }),
+    // 3 -> 4: pool modes. Earlier saves sized the pool on post-money, with the SAFE forms' capitalization.
+    (saved) => ({ ...saved, optionPool: { ...DEFAULT_OPTION_POOL } }),
+    // 4 -> 5: round inputs. Earlier saves always priced the round from the pre-money.
+    (saved) => ({ ...saved, roundInput: { ...DEFAULT_ROUND_INPUT } }),
+    // 5 -> 6: secondary-sale rows. Earlier saves have none, so nothing changes.
+    (saved) => saved,
+];
+
+let activeWorksheetId = null;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
 /**
- * Checks if a SAFE note is a "Most Favored Nation" (MFN) note.
- * MFN SAFEs don't have their own cap but adopt the best cap (lowest) 
- * from other SAFEs in the same round.
+ * Brings a saved state up to the current schema: runs the migration steps from its
+ * version onwards, then gives any field added since then its INITIAL_STATE default.
  */
-const isMFN = (safe) => {
-    return (
-        safe.conversionType === "mfn" ||
-        safe.conversionType === "ycmfn" ||
-        (safe.sideLetters && safe.sideLetters.includes("mfn"))
-    );
-};
-
-const getMFNCapAfter = (rows, idx) => {
-    return (
-        rows.slice(idx + 1).reduce((val, row) => {
-            if (isMFN(row) || row.conversionType === "pre") return val;
-            if (val === 0) return row.cap;
-            if (val > 0 && row.cap > 0 && row.cap < val) return row.cap;
-            return val;
-        }, 0) || 0
-    );
-};
-
-const getCapForSafe = (idx, safes, preMoneyValuation = 0) => {
-    const safe = safes[idx];
-    if (!isMFN(safe)) return safe.cap;
-    const inheritedCap = getMFNCapAfter(safes, idx);
-    const ownCap = safe.cap || 0;
-    
-    let baseCap = 0;
-    if (ownCap > 0 && inheritedCap > 0) baseCap = Math.min(ownCap, inheritedCap);
-    else if (ownCap > 0) baseCap = ownCap;
-    else if (inheritedCap > 0) baseCap = inheritedCap;
-    else baseCap = preMoneyValuation;
+const migrateWorksheetState = (saved, schemaVersion = 0) => {
+    let migrated = JSON.parse(JSON.stringify(saved));
+    for (let v = schemaVersion; v < WORKSHEET_SCHEMA_VERSION; v++) {
+        migrated = WORKSHEET_MIGRATIONS[v](migrated);
+    }
+
+    const defaults = JSON.parse(JSON.stringify(INITIAL_STATE));
+    Object.keys(defaults).forEach((key) => {
+        if (migrated[key] === undefined) {
+            migrated[key] = defaults[key];
+        } else if (isPlainObject(defaults[key]) && isPlainObject(migrated[key])) {
+            migrated[key] = { ...defaults[key], ...migrated[key] };
+        }
+    });
+    migrated.followOnRounds = migrated.followOnRounds.map((round, idx) => ({
+        ...round,
+        liquidationPreference: round.liquidationPreference || { ...defaults.liquidationPreference, seniority: idx + 2 },
+    }));
+    return migrated;
+};
 
-    if (baseCap > 0 && isMFN(safe) && safe.discount > 0 && inheritedCap === 0 && ownCap === 0) {
-        return baseCap * (1 - safe.discount);
+const readWorksheetStore = () => {
+    try {
+        const raw = window.localStorage.getItem(WORKSHEETS_STORAGE_KEY);
+        const store = raw ? JSON.parse(raw) : null;
+        if (store && Array.isArray(store.worksheets)) return store;
+    } catch (e) {
+        console.error("Could not read saved worksheets:", e);
+    }
+    return { activeId: null, worksheets: [] };
+};
+
+const writeWorksheetStore = (store) => {
+    try {
+        window.localStorage.setItem(WORKSHEETS_STORAGE_KEY, JSON.stringify(store));
+        return true;
+    } catch (e) {
+        console.error("Could not save worksheets:", e);
+        return false;
     }
-    
-    return baseCap;
 };
 
 /**
- * Resolves Valuation Caps for all SAFEs, including MFNs.
- * Iterates through notes to ensure MFN notes adopt the lowest cap found in the list.
+ * Writes the current state into the active worksheet, creating it on first use.
+ * Called on every updateUI, so a refresh never loses more than the field being edited.
  */
-const populateSafeCaps = (safeNotes, preMoneyValuation = 0) => {
-    return safeNotes.map((safe, idx) => {
-        if (isMFN(safe)) {
-            return { ...safe, cap: getCapForSafe(idx, safeNotes, preMoneyValuation) };
-        }
-        return { ...safe };
-    });
+const persistActiveWorksheet = () => {
+    // A read-only shared view is never written over the viewer's own worksheets.
+    if (isReadOnlyView) return false;
+    const store = readWorksheetStore();
+    if (!activeWorksheetId) activeWorksheetId = generateRowId();
+
+    const worksheet = {
+        id: activeWorksheetId,
+        name: state.name,
+        schemaVersion: WORKSHEET_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        state: JSON.parse(JSON.stringify(state)),
+    };
+    const idx = store.worksheets.findIndex((ws) => ws.id === activeWorksheetId);
+    if (idx === -1) store.worksheets.push(worksheet);
+    else store.worksheets[idx] = worksheet;
+    store.activeId = activeWorksheetId;
+    return writeWorksheetStore(store);
 };
 
-const safeConvert = (safe, preShares, postShares, pps) => {
-    if (safe.cap === 0) return (1 - (safe.discount || 0)) * pps;
-    const discountPPS = (1 - (safe.discount || 0)) * pps;
-    const shares = safe.conversionType === "pre" ? preShares : postShares;
-    const capPPS = safe.cap / shares;
-    return Math.min(discountPPS, capPPS);
+const loadWorksheet = (worksheet) => {
+    state = migrateWorksheetState(worksheet.state, worksheet.schemaVersion);
+    state.name = worksheet.name || state.name;
+    activeWorksheetId = worksheet.id;
+    isReadOnlyView = false;
 };
 
-const sumSafeConvertedShares = (safes, pps, preMoneyShares, postMoneyShares, roundingStrategy) => {
-    return safes.reduce((acc, safe) => {
-        const discountPPS = roundPPSToPlaces(
-            safeConvert(safe, preMoneyShares, postMoneyShares, pps),
-            roundingStrategy.roundPPSPlaces
-        );
-        const postSafeShares = safe.investment / discountPPS;
-        return acc + roundShares(postSafeShares, roundingStrategy);
-    }, 0);
+const uniqueWorksheetName = (name, worksheets) => {
+    const names = new Set(worksheets.map((ws) => ws.name));
+    if (!names.has(name)) return name;
+    let n = 2;
+    while (names.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
 };
 
-const checkSafeNotesForErrors = (safeNotes) => {
-    const errors = {};
-    safeNotes.forEach((safe) => {
-        if (safe.investment >= safe.cap && safe.cap !== 0) {
-            errors[safe.id] = "SAFE investment cannot be greater than or equal to the valuation cap.";
-        }
-        if (safe.discount >= 1) {
-            errors[safe.id] = `SAFE "${safe.name}" has a discount of 100% or more. This results in a zero share price, which is mathematically invalid for the calculation.`;
-        }
-    });
-    return errors;
+const renderScenarioSwitcher = () => {
+    const store = readWorksheetStore();
+
+    const switcher = document.getElementById("scenario-switcher");
+    if (switcher) {
+        switcher.innerHTML = store.worksheets
+            .map((ws) => `<option value="${escapeHTML(ws.id)}">${escapeHTML(ws.name)}</option>`)
+            .join("");
+        if (activeWorksheetId) switcher.value = activeWorksheetId;
+    }
+
+    const nameInput = document.getElementById("scenario-name-input");
+    if (nameInput && document.activeElement !== nameInput) nameInput.value = state.name;
 };
 
-/**
- * Core algebraic solver for the Price Per Share (PPS).
- * Uses the formula: PPS = (Pre-Money + New Investment) / (Total Post-Money Shares)
- * This function accounts for dilution from SAFEs and Option pool top-ups.
- */
-const calculatePreAndPostMoneyShares = (
-    preMoneyValuation,
-    commonShares,
-    unusedOptions,
-    targetOptionsPct,
-    seriesInvestments,
-    totalShares,
-    roundingStrategy = DEFAULT_ROUNDING_STRATEGY
-) => {
-    let optionsPool = roundShares(totalShares * (targetOptionsPct / 100), roundingStrategy);
-    if (optionsPool < unusedOptions) optionsPool = unusedOptions;
-    const increaseInOptionsPool = optionsPool - unusedOptions;
-    const seriesInvestmentTotal = seriesInvestments.reduce((a, b) => a + b, 0);
-    const pps = totalShares > 0
-        ? roundPPSToPlaces((preMoneyValuation + seriesInvestmentTotal) / totalShares, roundingStrategy.roundPPSPlaces)
-        : 0;
-    const seriesShares = pps > 0
-        ? seriesInvestments.reduce((acc, inv) => acc + roundShares(inv / pps, roundingStrategy), 0)
-        : 0;
-    const preMoneyShares = commonShares + unusedOptions + increaseInOptionsPool;
-    const postMoneyShares = totalShares - seriesShares - increaseInOptionsPool;
+window.saveScenario = () => {
+    if (isReadOnlyView) {
+        window.editSharedCopy();
+        return;
+    }
+    if (persistActiveWorksheet()) showToast(`Saved "${state.name}"`, 'success');
+    else showToast('Could not save the worksheet to browser storage.', 'error');
+    renderScenarioSwitcher();
+};
 
-    return {
-        preMoneyShares,
-        postMoneyShares,
-        pps,
-        optionsPool,
-        increaseInOptionsPool,
-        totalShares: postMoneyShares + increaseInOptionsPool + seriesShares,
-        seriesShares,
-        totalSeriesInvestment: seriesInvestmentTotal,
-    };
+window.newScenario = () => {
+    persistActiveWorksheet();
+    const store = readWorksheetStore();
+    state = JSON.parse(JSON.stringify(INITIAL_STATE));
+    state.name = uniqueWorksheetName(INITIAL_STATE.name, store.worksheets);
+    activeWorksheetId = generateRowId();
+    isReadOnlyView = false;
+    clearGlobalErrors();
+    updateUI();
 };
 
-const attemptFit = (preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, safes, seriesInvestments, totalShares, roundingStrategy = DEFAULT_ROUNDING_STRATEGY) => {
-    const results = calculatePreAndPostMoneyShares(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, seriesInvestments, totalShares, roundingStrategy);
-    const safeShares = sumSafeConvertedShares(safes, results.pps, results.preMoneyShares, results.postMoneyShares, roundingStrategy);
-    return results.seriesShares + commonShares + results.optionsPool + safeShares;
+window.renameScenario = (name) => {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+        renderScenarioSwitcher();
+        return;
+    }
+    const others = readWorksheetStore().worksheets.filter((ws) => ws.id !== activeWorksheetId);
+    state.name = uniqueWorksheetName(trimmed, others);
+    markHistoryField("name");
+    updateUI();
 };
 
-/**
- * Iterative "FIT" solver to handle circular dependencies.
- * In many startup rounds, the Option pool size depends on the Post-Money Valuation,
- * which in turn depends on the Price Per Share, which depends on the Option pool size.
- * This function runs multiple iterations to converge on the mathematically correct PPS.
- */
-const fitConversion = (
-    preMoneyValuation,
-    commonShares,
-    safes,
-    unusedOptions,
-    targetOptionsPct,
-    seriesInvestments,
-    roundingStrategy = DEFAULT_ROUNDING_STRATEGY
-) => {
-    let totalShares = commonShares + unusedOptions;
-    let lastTotalShares = totalShares;
-    for (let i = 0; i < 100; i++) {
-        totalShares = attemptFit(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, safes, seriesInvestments, totalShares, roundingStrategy);
-        if (totalShares === lastTotalShares) break;
-        lastTotalShares = totalShares;
-    }
-    const res = calculatePreAndPostMoneyShares(preMoneyValuation, commonShares, unusedOptions, targetOptionsPct, seriesInvestments, totalShares, roundingStrategy);
-    const ppss = safes.map((safe) =>
-        roundPPSToPlaces(safeConvert(safe, res.preMoneyShares, res.postMoneyShares, res.pps), roundingStrategy.roundPPSPlaces)
-    );
-    const convertedSafeShares = sumSafeConvertedShares(safes, res.pps, res.preMoneyShares, res.postMoneyShares, roundingStrategy);
-    const totalSeriesInvestment = seriesInvestments.reduce((a, b) => a + b, 0);
+window.duplicateScenario = () => {
+    persistActiveWorksheet();
+    const store = readWorksheetStore();
+    state = JSON.parse(JSON.stringify(state));
+    state.name = uniqueWorksheetName(`${state.name} (copy)`, store.worksheets);
+    activeWorksheetId = generateRowId();
+    isReadOnlyView = false;
+    updateUI();
+    showToast(`Duplicated as "${state.name}"`, 'success');
+};
 
-    return {
-        ...res,
-        ppss,
-        totalShares,
-        newSharesIssued: totalShares - commonShares - unusedOptions,
-        convertedSafeShares,
-        totalOptions: res.increaseInOptionsPool + unusedOptions,
-        additionalOptions: res.increaseInOptionsPool,
-        totalInvested: totalSeriesInvestment + safes.reduce((acc, safe) => acc + safe.investment, 0),
-        totalSeriesInvestment,
-    };
+window.deleteScenario = () => {
+    const store = readWorksheetStore();
+    const idx = store.worksheets.findIndex((ws) => ws.id === activeWorksheetId);
+    const deletedName = state.name;
+    if (idx !== -1) store.worksheets.splice(idx, 1);
+
+    const next = store.worksheets[Math.min(Math.max(idx, 0), store.worksheets.length - 1)];
+    store.activeId = next ? next.id : null;
+    writeWorksheetStore(store);
+
+    if (next) {
+        loadWorksheet(next);
+    } else {
+        state = JSON.parse(JSON.stringify(INITIAL_STATE));
+        activeWorksheetId = null;
+    }
+    clearGlobalErrors();
+    updateUI();
+    showToast(`Deleted "${deletedName}"`, 'success');
 };
 
-const buildTBDPreRoundCapTable = (safeNotes, common) => {
-    const totalInvestment = safeNotes.reduce((acc, investor) => acc + investor.investment, 0);
-    const totalShares = common.reduce((acc, c) => acc + c.shares, 0);
-    const reason = "Unable to model Pre-Round cap table with uncapped SAFE's";
-    return {
-        common: common.map((c) => ({
-            ...c,
-            ownershipPct: 0,
-            ownershipError: { type: "tbd", reason },
-        })),
-        safes: safeNotes.map((s) => ({
-            ...s,
-            ownershipError: { type: "tbd", reason },
-            type: CapTableRowType.Safe,
-        })),
-        total: {
-            name: "Total",
-            shares: totalShares,
-            investment: totalInvestment,
-            ownershipPct: 1,
-            type: CapTableRowType.Total,
-        },
-    };
+window.switchScenario = (id) => {
+    if (id === activeWorksheetId) return;
+    persistActiveWorksheet();
+    const worksheet = readWorksheetStore().worksheets.find((ws) => ws.id === id);
+    if (!worksheet) return;
+    loadWorksheet(worksheet);
+    clearGlobalErrors();
+    updateUI();
 };
 
-const buildErrorPreRoundCapTable = (safeNotes, common) => {
-    const totalInvestment = safeNotes.reduce((acc, investor) => acc + investor.investment, 0);
-    const totalShares = common.reduce((acc, c) => acc + c.shares, 0);
-    return {
-        common: common.map((c) => ({
-            ...c,
-            ownershipPct: 0,
-            ownershipError: { type: "error" },
-        })),
-        safes: safeNotes.map((s) => {
-            const error = { type: "error" };
-            if (s.investment >= s.cap && s.cap !== 0) error.reason = "SAFE investment cannot equal or exceed the valuation cap";
-            return { ...s, ownershipError: error, type: CapTableRowType.Safe };
-        }),
-        total: {
-            name: "Total",
-            shares: totalShares,
-            investment: totalInvestment,
-            ownershipPct: 1,
-            type: CapTableRowType.Total,
-        },
-    };
+// =========================================================================
+// SHAREABLE LINKS (URL fragment)
+// =========================================================================
+const SHARE_LINK_PARAM = "worksheet";
+const SHARE_LINK_READ_ONLY_PARAM = "readonly";
+// Decoded payloads above this size are rejected rather than parsed.
+const SHARE_LINK_MAX_BYTES = 1000000;
+const SHARE_LINK_MAX_ROWS = 500;
+const SHARE_LINK_CONVERSION_TYPES = ["pre", "post", "mfn", "ycmfn"];
+const SHARE_LINK_CATEGORIES = ["Founder", "Investor", "Option pool"];
+const SHARE_LINK_ANTI_DILUTION_METHODS = ["none", "broad", "narrow", "full"];
+const SHARE_LINK_INTEREST_TYPES = ["simple", "compound"];
+const SHARE_LINK_GOAL_SEEK_METRICS = ["founder", "investor"];
+const SHARE_LINK_SENSITIVITY_METRICS = ["founder", "dilution"];
+
+let isReadOnlyView = false;
+
+const bytesToBase64Url = (bytes) => {
+    let binary = "";
+    bytes.forEach((b) => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 };
 
-const buildStrictlyPreRoundCapTable = (rowData) => {
-    const common = rowData.filter((r) => r.type === CapTableRowType.Common);
-    const totalShares = common.reduce((acc, r) => acc + r.shares, 0);
+const base64UrlToBytes = (text) => {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
 
-    return {
-        common: common.map((c) => ({
-            ...c,
-            ownershipPct: totalShares > 0 ? c.shares / totalShares : 0,
-        })),
-        safes: rowData
-            .filter((r) => r.type === CapTableRowType.Safe)
-            .map((s) => ({ ...s, shares: 0, ownershipPct: 0 })),
-        total: {
-            shares: totalShares,
-            investment: 0,
-            ownershipPct: 1,
-            type: CapTableRowType.Total,
-        },
-    };
+const transformBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
 };
 
-const buildEstimatedPreRoundCapTable = (
-    rowData,
-    roundingStrategy = DEFAULT_ROUNDING_STRATEGY
-) => {
+/**
+ * Encodes a payload for the URL fragment. Deflated ("z.") where the browser has
+ * CompressionStream, plain base64url JSON ("j.") otherwise.
+ */
+const encodeSharePayload = async (payload) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === "function") {
+        try {
+            return `z.${bytesToBase64Url(await transformBytes(bytes, new CompressionStream("deflate-raw")))}`;
+        } catch (e) {
+            console.error("Compression failed, sharing uncompressed:", e);
+        }
+    }
+    return `j.${bytesToBase64Url(bytes)}`;
+};
 
-    const common = rowData.filter((r) => r.type === CapTableRowType.Common);
-    const preMoneyShares = common.reduce((acc, r) => acc + r.shares, 0);
-    const safeNotes = populateSafeCaps(
-        rowData.filter((r) => r.type === CapTableRowType.Safe)
-    );
+const decodeSharePayload = async (token) => {
+    const [format, data] = [token.slice(0, 2), token.slice(2)];
+    if (format !== "z." && format !== "j.") throw new Error("Unknown link format.");
+    if (format === "z." && typeof DecompressionStream !== "function") {
+        throw new Error("This browser can't open compressed links.");
+    }
 
-    if (safeNotes.length === 0) {
-        return buildStrictlyPreRoundCapTable(rowData);
+    let bytes;
+    try {
+        bytes = base64UrlToBytes(data);
+        if (format === "z.") bytes = await transformBytes(bytes, new DecompressionStream("deflate-raw"));
+    } catch (e) {
+        throw new Error("The link looks incomplete or damaged.");
     }
+    if (bytes.length > SHARE_LINK_MAX_BYTES) throw new Error("The linked worksheet is too large.");
+    try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error("The link looks incomplete or damaged.");
+    }
+};
 
-    if (safeNotes.some((s) => s.cap !== 0 && s.cap <= s.investment)) {
+// Names end up in innerHTML, so markup characters never make it in from a link.
+const sanitizeLinkText = (value, fallback) =>
+    typeof value === "string" ? value.replace(/[<>"`]/g, "").slice(0, 200) : fallback;
 
-        return buildErrorPreRoundCapTable(safeNotes, common);
+const isLinkNumber = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+const isLinkId = (value) => typeof value === "string" && /^[\w.-]{1,64}$/.test(value);
+const isLinkPercent = (value) => isLinkNumber(value) && value <= 100;
+const isOptionalLink = (value, check) => value === null || value === undefined || check(value);
 
+const isLinkPreference = (terms) => isPlainObject(terms) &&
+    isLinkNumber(terms.multiple) &&
+    typeof terms.participating === "boolean" &&
+    isOptionalLink(terms.participationCap, isLinkNumber) &&
+    isLinkNumber(terms.seniority);
+
+/**
+ * Checks a decoded link before it is allowed anywhere near `state`: every row and
+ * round needs a safe id, a known type and finite, non-negative numbers, and every
+ * enum-like setting one of the values the UI can produce.
+ * Throws with a short reason; returns the migrated state otherwise.
+ */
+const validateSharedWorksheet = (payload) => {
+    if (!isPlainObject(payload) || !isPlainObject(payload.state)) throw new Error("The link has no worksheet.");
+    const version = payload.v;
+    if (!Number.isInteger(version) || version < 0 || version > WORKSHEET_SCHEMA_VERSION) {
+        throw new Error("The link was made by a newer version of the calculator.");
     }
 
-    const maxCap = safeNotes.reduce((max, s) => Math.max(max, s.cap), 0);
+    const saved = payload.state;
+    if (!Array.isArray(saved.rowData) || saved.rowData.length === 0 || saved.rowData.length > SHARE_LINK_MAX_ROWS) {
+        throw new Error("The link has no cap table.");
+    }
+    const rowTypes = Object.values(CapTableRowType);
+    const ids = new Set();
+    const rowData = saved.rowData.map((row) => {
+        if (!isPlainObject(row) || !isLinkId(row.id) || ids.has(row.id) || !rowTypes.includes(row.type)) {
+            throw new Error("The link has an invalid cap table row.");
+        }
+        ids.add(row.id);
+        ["shares", "investment", "cap", "discount", "principal", "interestRate"].forEach((field) => {
+            if (row[field] !== undefined && !isLinkNumber(row[field])) {
+                throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an invalid ${field}.`);
+            }
+        });
+        if (row.type === CapTableRowType.Common && !isLinkNumber(row.shares)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has no share count.`);
+        }
+        if ((row.type === CapTableRowType.Safe || row.type === CapTableRowType.Series) && !isLinkNumber(row.investment)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has no investment amount.`);
+        }
+        if (row.type === CapTableRowType.Note && !isLinkNumber(row.principal)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has no principal.`);
+        }
+        if (row.type === CapTableRowType.Secondary && !(isLinkNumber(row.shares) &&
+            [row.sellerId, row.buyerId].every((ref) => ref === "" || isLinkId(ref)))) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" is an invalid secondary sale.`);
+        }
+        if (row.proRata !== undefined && typeof row.proRata !== "boolean") {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an invalid pro-rata flag.`);
+        }
+        if (row.conversionType !== undefined && !SHARE_LINK_CONVERSION_TYPES.includes(row.conversionType)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an unknown SAFE type.`);
+        }
+        if (row.category !== undefined && !SHARE_LINK_CATEGORIES.includes(row.category)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an unknown category.`);
+        }
+        if (row.antiDilution !== undefined && !SHARE_LINK_ANTI_DILUTION_METHODS.includes(row.antiDilution)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an unknown anti-dilution method.`);
+        }
+        if (row.interestType !== undefined && !SHARE_LINK_INTEREST_TYPES.includes(row.interestType)) {
+            throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an unknown interest type.`);
+        }
+        ["issueDate", "maturityDate", "conversionDate"].forEach((field) => {
+            if (row[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(row[field])) {
+                throw new Error(`"${sanitizeLinkText(row.name, row.id)}" has an invalid ${field}.`);
+            }
+        });
+        return { ...row, name: sanitizeLinkText(row.name, "") };
+    });
 
-    if (maxCap === 0) return buildTBDPreRoundCapTable(safeNotes, common);
+    if (!isLinkNumber(saved.preMoney)) throw new Error("The link has an invalid pre-money valuation.");
+    if (!isOptionalLink(saved.targetOptionsPool, isLinkPercent)) {
+        throw new Error("The link has an invalid option pool target.");
+    }
+    if (saved.liquidationPreference !== undefined && !isLinkPreference(saved.liquidationPreference)) {
+        throw new Error("The link has invalid liquidation preference terms.");
+    }
+    if (saved.exitValue !== undefined && !isLinkNumber(saved.exitValue)) {
+        throw new Error("The link has an invalid exit value.");
+    }
+    if (saved.goalSeek !== undefined) {
+        const validGoalSeek = isPlainObject(saved.goalSeek) &&
+            SHARE_LINK_GOAL_SEEK_METRICS.includes(saved.goalSeek.metric) &&
+            isOptionalLink(saved.goalSeek.targetPct, isLinkPercent);
+        if (!validGoalSeek) throw new Error("The link has an invalid goal-seek setting.");
+    }
+    if (saved.sensitivity !== undefined) {
+        const cfg = saved.sensitivity;
+        // Step counts are clamped to MAX_SENSITIVITY_STEPS when the grid is built, like typed ones.
+        const validSensitivity = isPlainObject(cfg) &&
+            SHARE_LINK_SENSITIVITY_METRICS.includes(cfg.metric) &&
+            ["preMoneyMin", "preMoneyMax", "raiseMin", "raiseMax"].every((field) => isOptionalLink(cfg[field], isLinkNumber)) &&
+            isLinkNumber(cfg.preMoneySteps) && isLinkNumber(cfg.raiseSteps);
+        if (!validSensitivity) throw new Error("The link has an invalid sensitivity setting.");
+    }
+    if (saved.rounding !== undefined) {
+        const validRounding = isPlainObject(saved.rounding) &&
+            Object.keys(SHARE_ROUNDING_STRATEGIES).includes(saved.rounding.shares) &&
+            Number.isInteger(saved.rounding.ppsPlaces) &&
+            saved.rounding.ppsPlaces >= -1 && saved.rounding.ppsPlaces <= MAX_PPS_PLACES;
+        if (!validRounding) throw new Error("The link has an invalid rounding setting.");
+    }
+    if (saved.proRata !== undefined && !(isPlainObject(saved.proRata) && typeof saved.proRata.autoAdd === "boolean")) {
+        throw new Error("The link has an invalid pro-rata setting.");
+    }
+    if (saved.optionPool !== undefined) {
+        const validPool = isPlainObject(saved.optionPool) &&
+            Object.values(OptionPoolMode).includes(saved.optionPool.mode) &&
+            isLinkNumber(saved.optionPool.newShares) &&
+            Object.values(SafeCapitalization).includes(saved.optionPool.safeCapitalization);
+        if (!validPool) throw new Error("The link has an invalid option pool setting.");
+    }
+    if (saved.roundInput !== undefined) {
+        const validInput = isPlainObject(saved.roundInput) &&
+            Object.values(RoundInputBasis).includes(saved.roundInput.basis) &&
+            isLinkNumber(saved.roundInput.postMoney) &&
+            isLinkNumber(saved.roundInput.pps);
+        if (!validInput) throw new Error("The link has an invalid round input.");
+    }
 
-    let safeRows = safeNotes.map((safe) => {
+    const followOnRounds = saved.followOnRounds;
+    if (followOnRounds !== undefined) {
+        if (!Array.isArray(followOnRounds) || followOnRounds.length > SHARE_LINK_MAX_ROWS) {
+            throw new Error("The link has invalid follow-on rounds.");
+        }
+        followOnRounds.forEach((round) => {
+            const validRound = isPlainObject(round) && isLinkId(round.id) && isLinkNumber(round.preMoney) &&
+                isOptionalLink(round.targetOptionsPool, isLinkPercent) &&
+                (round.liquidationPreference === undefined || isLinkPreference(round.liquidationPreference)) &&
+                Array.isArray(round.investors) &&
+                round.investors.every((inv) => isPlainObject(inv) && isLinkId(inv.id) && isLinkNumber(inv.investment) &&
+                    (inv.antiDilution === undefined || SHARE_LINK_ANTI_DILUTION_METHODS.includes(inv.antiDilution)));
+            if (!validRound) throw new Error("The link has an invalid follow-on round.");
+        });
+    }
 
-        const cap = safe.cap === 0 ? maxCap : safe.cap;
+    const migrated = migrateWorksheetState({
+        ...saved,
+        name: sanitizeLinkText(saved.name, INITIAL_STATE.name) || INITIAL_STATE.name,
+        roundName: sanitizeLinkText(saved.roundName, INITIAL_STATE.roundName),
+        rowData,
+        ...(followOnRounds !== undefined && {
+            followOnRounds: followOnRounds.map((round) => ({
+                ...round,
+                roundName: sanitizeLinkText(round.roundName, ""),
+                investors: round.investors.map((inv) => ({ ...inv, name: sanitizeLinkText(inv.name, "") })),
+            })),
+        }),
+    }, version);
+    migrated.pricedRounds = 1 + migrated.followOnRounds.length;
+    return migrated;
+};
 
-        if (safe.conversionType === "pre") {
+/**
+ * Reads a shared worksheet from the URL fragment, if there is one.
+ * Returns { state, readOnly }, or null when there is no link or it doesn't validate.
+ */
+const readSharedWorksheetLink = async () => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get(SHARE_LINK_PARAM);
+    if (!token) return null;
+    try {
+        const shared = validateSharedWorksheet(await decodeSharePayload(token));
+        return { state: shared, readOnly: params.get(SHARE_LINK_READ_ONLY_PARAM) === "1" };
+    } catch (e) {
+        console.error("Ignoring shared link:", e);
+        showToast(`This link couldn't be opened. ${e.message}`, 'error');
+        return null;
+    }
+};
 
-            const shares = roundShares(
+const clearShareLinkFromUrl = () => {
+    if (window.location.hash && window.history?.replaceState) {
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+};
 
-                (safe.investment / cap) * preMoneyShares,
+const applyReadOnlyMode = () => {
+    document.body.classList.toggle("read-only-view", isReadOnlyView);
+    if (!document.getElementById("read-only-view-style")) {
+        const style = document.createElement("style");
+        style.id = "read-only-view-style";
+        style.textContent = `
+            .read-only-view .row-trash-btn,
+            .read-only-view .add-round-investor-btn,
+            .read-only-view [onclick*="addRow"],
+            .read-only-view [onclick*="deleteRow"],
+            .read-only-view [onclick*="addFollowOnRound"],
+            .read-only-view .hide-when-read-only { display: none !important; }
+        `;
+        document.head.appendChild(style);
+    }
+    const banner = document.getElementById("read-only-banner");
+    if (banner) banner.style.display = isReadOnlyView ? "block" : "none";
+};
 
-                roundingStrategy
+window.copyShareLink = async (readOnly = false) => {
+    try {
+        const token = await encodeSharePayload({ v: WORKSHEET_SCHEMA_VERSION, state });
+        const fragment = `${SHARE_LINK_PARAM}=${token}${readOnly ? `&${SHARE_LINK_READ_ONLY_PARAM}=1` : ""}`;
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
 
-            );
+        if (navigator.clipboard?.writeText) {
+            await navigator.clipboard.writeText(url);
+            showToast(readOnly ? 'Read-only link copied' : 'Link copied', 'success');
+        } else {
+            window.prompt("Copy this link:", url);
+        }
+        return url;
+    } catch (e) {
+        console.error("Could not create share link:", e);
+        showToast('Could not create a link for this worksheet.', 'error');
+        return null;
+    }
+};
 
-            return { ...safe, shares, type: CapTableRowType.Safe };
+// Turns a read-only shared view into an ordinary, editable worksheet of your own.
+window.editSharedCopy = () => {
+    if (!isReadOnlyView) return;
+    isReadOnlyView = false;
+    activeWorksheetId = generateRowId();
+    state.name = uniqueWorksheetName(state.name, readWorksheetStore().worksheets);
+    clearShareLinkFromUrl();
+    updateUI();
+    showToast(`Saved as "${state.name}"`, 'success');
+};
 
-        } else {
+// =========================================================================
+// UNDO / REDO HISTORY
+// =========================================================================
+const HISTORY_LIMIT = 100;
+// Edits to the same field closer together than this become a single undo step.
+const HISTORY_MERGE_MS = 1000;
+
+// Snapshots are JSON strings of `state`; `committedSnapshot` is what's on screen.
+let undoStack = [];
+let redoStack = [];
+let committedSnapshot = null;
+let historyWorksheetId = null;
+let historyFieldKey = null;
+let lastHistoryKey = null;
+let lastHistoryAt = 0;
+
+// Field-level mutators call this before updateUI so that repeated edits to one field can merge.
+const markHistoryField = (key) => {
+    historyFieldKey = key;
+};
 
-            return {
+/**
+ * Called from updateUI: if `state` changed since the last render, the previous snapshot
+ * becomes an undo step. Switching worksheets starts a fresh history. A read-only view
+ * keeps none, so a saved copy of it starts from an empty history too.
+ */
+const recordHistory = () => {
+    const key = historyFieldKey;
+    historyFieldKey = null;
+    const snapshot = JSON.stringify(state);
+
+    if (committedSnapshot === null || historyWorksheetId !== activeWorksheetId || isReadOnlyView) {
+        undoStack = [];
+        redoStack = [];
+        committedSnapshot = snapshot;
+        historyWorksheetId = activeWorksheetId;
+        lastHistoryKey = null;
+        return;
+    }
+    if (snapshot === committedSnapshot) return;
 
-                ...safe,
+    const now = Date.now();
+    const merges = key !== null && key === lastHistoryKey && now - lastHistoryAt < HISTORY_MERGE_MS && undoStack.length > 0;
+    if (!merges) {
+        undoStack.push(committedSnapshot);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    committedSnapshot = snapshot;
+    lastHistoryKey = key;
+    lastHistoryAt = now;
+};
 
-                ownershipPct: safe.investment / cap,
+// For fields updateUI derives and writes back into `state`: they belong to the step just recorded.
+const amendHistorySnapshot = () => {
+    if (committedSnapshot !== null) committedSnapshot = JSON.stringify(state);
+};
 
-                type: CapTableRowType.Safe,
+const renderHistoryButtons = () => {
+    const undoBtn = document.getElementById("undo-btn");
+    if (undoBtn) undoBtn.disabled = isReadOnlyView || undoStack.length === 0;
+    const redoBtn = document.getElementById("redo-btn");
+    if (redoBtn) redoBtn.disabled = isReadOnlyView || redoStack.length === 0;
+};
 
-            };
+// Lets a half-typed value commit (its change event fires on blur) before history moves,
+// and frees the input so updateUI can overwrite it.
+const commitFocusedInput = () => {
+    if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+};
+
+const restoreHistorySnapshot = (snapshot) => {
+    state = JSON.parse(snapshot);
+    committedSnapshot = snapshot;
+    lastHistoryKey = null;
+    clearGlobalErrors();
+    updateUI();
+};
+
+window.undoChange = () => {
+    if (isReadOnlyView) return;
+    commitFocusedInput();
+    if (undoStack.length === 0) return;
+    redoStack.push(committedSnapshot);
+    restoreHistorySnapshot(undoStack.pop());
+};
+
+window.redoChange = () => {
+    if (isReadOnlyView) return;
+    commitFocusedInput();
+    if (redoStack.length === 0) return;
+    undoStack.push(committedSnapshot);
+    restoreHistorySnapshot(redoStack.pop());
+};
+
+// Inputs that don't take typed text, so they have no undo of their own.
+const NON_TEXT_INPUT_TYPES = ["checkbox", "radio", "button", "submit", "reset", "file", "range", "color"];
+
+const isTextEditable = (el) => Boolean(el) && (
+    el.isContentEditable ||
+    el.tagName === "TEXTAREA" ||
+    (el.tagName === "INPUT" && !NON_TEXT_INPUT_TYPES.includes(el.type))
+);
+
+// While a text field has focus, Ctrl+Z is the browser's own undo of the typing.
+document.addEventListener("keydown", (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (isTextEditable(event.target)) return;
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        window.undoChange();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        window.redoChange();
+    }
+});
+
+// =========================================================================
+// SCENARIO COMPARISON
+// =========================================================================
+let comparisonIds = { a: null, b: null };
+
+const COMPARISON_TAG_STYLE = "font-size: 10px; padding: 2px 6px; border-radius: 4px; font-family: 'Inter', sans-serif;";
 
+/**
+ * Delta badge in the breakdown tag style: green when the value went up from A to B,
+ * red when it went down, nothing when it is unchanged.
+ */
+const comparisonDeltaTag = (delta, label) => {
+    if (!Number.isFinite(delta) || Math.abs(delta) < 1e-9) return "";
+    const colors = delta > 0 ? "background: #f0fdf4; color: #16a34a;" : "background: #fef2f2; color: #dc2626;";
+    return `<span class="tag tag-delta" style="${COMPARISON_TAG_STYLE} ${colors}">${delta > 0 ? "+" : "−"}${label}</span>`;
+};
+
+/**
+ * Wraps `compute` so a call with the same arguments as the one before returns that call's
+ * result instead of working it out again. Arguments are compared as JSON, so they must be
+ * plain data, and the result is shared between calls, so it must not be changed.
+ */
+const memoizeLatest = (compute) => {
+    let lastKey = null;
+    let lastResult;
+    return (...args) => {
+        const key = JSON.stringify(args);
+        if (key !== lastKey) {
+            lastResult = compute(...args);
+            lastKey = key;
         }
+        return lastResult;
+    };
+};
+
+// The page's round, worked out again only when something calculateScenario reads changes:
+// edits to the round name, chart settings or goal-seek inputs reuse it.
+const calculatePageScenario = memoizeLatest((rowData, preMoney, roundInput, targetOptionsPool, rounding, optionPool, proRata, followOnRounds) =>
+    calculateScenario({ rowData, preMoney, roundInput, targetOptionsPool, rounding, optionPool, proRata, followOnRounds }));
+
+// Each side of the comparison only changes when its worksheet does.
+const calculateComparedScenarios = {
+    a: memoizeLatest((savedState, schemaVersion) => calculateScenario(migrateWorksheetState(savedState, schemaVersion))),
+    b: memoizeLatest((savedState, schemaVersion) => calculateScenario(migrateWorksheetState(savedState, schemaVersion))),
+};
 
+/**
+ * Pairs holders of two post-round tables: by id first (duplicated worksheets keep their ids),
+ * then by name for anyone left over. Returns [rowA, rowB] pairs, either side possibly null.
+ */
+const pairComparisonRows = (rowsA, rowsB) => {
+    const unmatchedA = [...rowsA];
+    const pairs = rowsB.map((rowB) => {
+        let idx = unmatchedA.findIndex((rowA) => rowA.id === rowB.id);
+        if (idx === -1) {
+            const name = (rowB.name || "").trim().toLowerCase();
+            idx = unmatchedA.findIndex((rowA) => name && (rowA.name || "").trim().toLowerCase() === name);
+        }
+        const rowA = idx === -1 ? null : unmatchedA.splice(idx, 1)[0];
+        return [rowA, rowB];
     });
+    return [...unmatchedA.map((rowA) => [rowA, null]), ...pairs];
+};
 
-    const preMoneySafeShares = safeRows.reduce(
+const renderScenarioComparison = () => {
+    const metricsContainer = document.getElementById("scenario-comparison-metrics");
+    const tableBody = document.getElementById("scenario-comparison-table");
+    if (!metricsContainer && !tableBody) return;
 
-        (acc, s) => acc + (s.shares || 0),
+    const worksheets = readWorksheetStore().worksheets;
+    const selectA = document.getElementById("compare-scenario-a");
+    const selectB = document.getElementById("compare-scenario-b");
 
-        0
+    if (!worksheets.some((ws) => ws.id === comparisonIds.a)) comparisonIds.a = activeWorksheetId;
+    if (!worksheets.some((ws) => ws.id === comparisonIds.b)) {
+        comparisonIds.b = worksheets.find((ws) => ws.id !== comparisonIds.a)?.id || null;
+    }
 
-    );
+    [[selectA, comparisonIds.a], [selectB, comparisonIds.b]].forEach(([select, id]) => {
+        if (!select) return;
+        select.innerHTML = worksheets.map((ws) => `<option value="${escapeHTML(ws.id)}">${escapeHTML(ws.name)}</option>`).join("");
+        if (id) select.value = id;
+    });
 
-    const postSharePct = safeRows.reduce(
+    if (metricsContainer) metricsContainer.innerHTML = "";
+    if (tableBody) tableBody.innerHTML = "";
 
-        (acc, s) => acc + (s.ownershipPct || 0),
+    const wsA = worksheets.find((ws) => ws.id === comparisonIds.a);
+    const wsB = worksheets.find((ws) => ws.id === comparisonIds.b);
+    if (!wsA || !wsB || wsA.id === wsB.id) {
+        if (metricsContainer) {
+            metricsContainer.innerHTML = `<p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #9ca3af; margin: 0;">Save at least two scenarios to compare them side by side.</p>`;
+        }
+        return;
+    }
 
-        0
+    document.querySelectorAll(".compare-label-a").forEach((el) => el.textContent = wsA.name);
+    document.querySelectorAll(".compare-label-b").forEach((el) => el.textContent = wsB.name);
+
+    const resultA = calculateComparedScenarios.a(wsA.state, wsA.schemaVersion);
+    const resultB = calculateComparedScenarios.b(wsB.state, wsB.schemaVersion);
+    const notReady = [[wsA, resultA], [wsB, resultB]].filter(([, result]) => !result.ready);
+    if (notReady.length > 0) {
+        if (metricsContainer) {
+            metricsContainer.innerHTML = notReady.map(([ws]) => `
+                <p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #dc2626; margin: 0 0 4px 0;">"${escapeHTML(ws.name)}" has no valid priced round yet. Set a pre-money valuation and fix any SAFE errors to compare it.</p>
+            `).join("");
+        }
+        return;
+    }
 
-    );
+    const metrics = [
+        { label: "Price per share", a: resultA.pricedConversion.pps, b: resultB.pricedConversion.pps, format: safeFormatPPS },
+        { label: "Post-money valuation", a: resultA.postMoney, b: resultB.postMoney, format: safeFormatCurrency },
+        { label: "Founder ownership", a: resultA.founderPctPost, b: resultB.founderPctPost, format: safeFormatPercent, isPct: true },
+        { label: "Founder dilution", a: resultA.dilution, b: resultB.dilution, format: safeFormatPercent, isPct: true },
+        { label: "Pool top-up", a: resultA.pricedConversion.additionalOptions, b: resultB.pricedConversion.additionalOptions, format: safeFormatNumber },
+    ];
 
-    const postCap = roundShares(
+    if (metricsContainer) {
+        const cellStyle = "padding: 8px 12px; border-bottom: 1px solid #f1f5f9; font-family: 'Inter', sans-serif; font-size: 13px;";
+        metricsContainer.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr>
+                        <th style="${cellStyle} text-align: left; color: #444266; font-weight: 500;">Metric</th>
+                        <th style="${cellStyle} text-align: right; color: #444266; font-weight: 500;">${escapeHTML(wsA.name)}</th>
+                        <th style="${cellStyle} text-align: right; color: #444266; font-weight: 500;">${escapeHTML(wsB.name)}</th>
+                        <th style="${cellStyle} text-align: right; color: #444266; font-weight: 500;">Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${metrics.map((m) => {
+                        const delta = m.b - m.a;
+                        const deltaLabel = m.isPct ? `${(Math.abs(delta) * 100).toFixed(2)} pts` : m.format(Math.abs(delta));
+                        return `
+                            <tr>
+                                <td style="${cellStyle} color: #0d0a40;">${m.label}</td>
+                                <td style="${cellStyle} text-align: right; color: #0d0a40;">${m.format(m.a)}</td>
+                                <td style="${cellStyle} text-align: right; color: #0d0a40;">${m.format(m.b)}</td>
+                                <td style="${cellStyle} text-align: right;">${comparisonDeltaTag(delta, deltaLabel) || `<span style="color: #9ca3af;">—</span>`}</td>
+                            </tr>
+                        `;
+                    }).join("")}
+                </tbody>
+            </table>
+        `;
+    }
 
-        (preMoneyShares + preMoneySafeShares) / (1 - postSharePct),
+    const template = document.getElementById("breakdown-row-template");
+    if (!tableBody || !template) return;
 
-        roundingStrategy
+    // Same row template as the breakdown table: the "pre" columns hold scenario A,
+    // the "post" columns scenario B and the last column the change in ownership.
+    pairComparisonRows(getRowData(resultA.postRound), getRowData(resultB.postRound)).forEach(([rowA, rowB]) => {
+        const a = rowA || { shares: 0, ownershipPct: 0 };
+        const b = rowB || { shares: 0, ownershipPct: 0 };
 
-    );
+        const clone = template.content.cloneNode(true);
+        const tr = clone.querySelector("tr");
+        tr.id = `compare-row-${(rowB || rowA).id}`;
 
-    safeRows = safeRows.map((s) => {
+        clone.querySelector(".row-display-name").textContent = b.name || a.name || "—";
+        let tagsHtml = "";
+        if (!rowA) tagsHtml += `<span class="tag tag-new" style="${COMPARISON_TAG_STYLE} background: #f1f5f9; color: #475569;">Only in ${escapeHTML(wsB.name)}</span>`;
+        if (!rowB) tagsHtml += `<span class="tag tag-new" style="${COMPARISON_TAG_STYLE} background: #f1f5f9; color: #475569;">Only in ${escapeHTML(wsA.name)}</span>`;
+        const shareDelta = b.shares - a.shares;
+        tagsHtml += comparisonDeltaTag(shareDelta, `${formatNumberWithCommas(Math.abs(shareDelta))} shares`);
+        clone.querySelector(".row-tags").innerHTML = tagsHtml;
 
-        if (s.shares) return { ...s, ownershipPct: s.shares / postCap };
+        clone.querySelector(".row-pre-shares").textContent = rowA ? safeFormatNumber(a.shares) : "—";
+        clone.querySelector(".row-post-shares").textContent = rowB ? safeFormatNumber(b.shares) : "—";
+        clone.querySelector(".row-pre-pct").textContent = rowA ? safeFormatPercent(a.ownershipPct) : "—";
+        clone.querySelector(".row-post-pct").textContent = rowB ? safeFormatPercent(b.ownershipPct) : "—";
 
-        return {
+        const pctDelta = b.ownershipPct - a.ownershipPct;
+        clone.querySelector(".row-pps").innerHTML =
+            comparisonDeltaTag(pctDelta, `${(Math.abs(pctDelta) * 100).toFixed(2)} pts`) || "—";
 
-            ...s,
+        tableBody.appendChild(clone);
+    });
 
-            shares: roundShares((s.ownershipPct || 0) * postCap, roundingStrategy),
+    const totalTr = document.createElement("tr");
+    totalTr.className = "total-row";
+    totalTr.style.fontWeight = "500";
+    totalTr.style.backgroundColor = "var(--slate-50)";
+    totalTr.innerHTML = `
+        <td class="col-name">Total</td>
+        <td class="text-right pre-value col-shares-pre">${safeFormatNumber(resultA.postRound.total.shares)}</td>
+        <td class="text-right post-value post-shares-value col-shares-post">${safeFormatNumber(resultB.postRound.total.shares)}</td>
+        <td class="text-right pre-value col-pct-pre">100.00%</td>
+        <td class="text-right post-value post-pct-value col-pct-post">100.00%</td>
+        <td class="text-right col-pps"></td>
+    `;
+    tableBody.appendChild(totalTr);
+};
 
-        };
+window.updateComparison = (side, id) => {
+    if (side !== "a" && side !== "b") return;
+    comparisonIds[side] = id;
+    renderScenarioComparison();
+};
 
-    });
+// =========================================================================
+// CSV IMPORT
+// =========================================================================
+const CSV_IMPORT_FIELDS = {
+    shareholders: [
+        { key: "name", label: "Name", required: true, aliases: ["name", "shareholder", "holder", "stakeholder"] },
+        { key: "shares", label: "Shares", required: true, aliases: ["shares", "share count", "number of shares", "quantity"] },
+        { key: "category", label: "Category", required: false, aliases: ["category", "type", "class", "role"] },
+    ],
+    safes: [
+        { key: "name", label: "Name", required: true, aliases: ["name", "investor", "holder", "safe"] },
+        { key: "investment", label: "Investment", required: true, aliases: ["investment", "amount", "purchase amount", "principal"] },
+        { key: "cap", label: "Valuation cap", required: false, aliases: ["cap", "valuation cap", "post-money cap", "pre-money cap"] },
+        { key: "discount", label: "Discount", required: false, aliases: ["discount", "discount rate"] },
+        { key: "type", label: "Type", required: false, aliases: ["type", "safe type", "conversion type", "kind"] },
+    ],
+};
 
-    const finalTotalShares =
+const CSV_SAFE_TYPES = {
+    "post": "post", "post-money": "post", "post money": "post",
+    "pre": "pre", "pre-money": "pre", "pre money": "pre",
+    "mfn": "mfn", "uncapped mfn": "mfn",
+    "ycmfn": "ycmfn", "yc mfn": "ycmfn",
+};
 
-        preMoneyShares + safeRows.reduce((acc, s) => acc + (s.shares || 0), 0);
+const OPTION_POOL_PATTERN = /option pool|options? reserved|unallocated options|available options|esop|^pool$/i;
 
-    return {
+let csvImport = null;
 
-        common: common.map((c) => ({ ...c, ownershipPct: c.shares / postCap })),
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+})[ch]);
 
-        safes: safeRows,
+/**
+ * Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF and a leading BOM.
+ * Returns one { cells, line } per row, where `line` is the file line the row starts on,
+ * dropping blank lines.
+ */
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const source = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === "\n" || (ch === "\r" && source[i + 1] !== "\n")) line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(field);
+            field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && source[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push({ cells: row, line: rowLine });
+            row = [];
+            field = "";
+            rowLine = ++line;
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+    return rows.filter((r) => r.cells.some((cell) => cell.trim() !== ""));
+};
 
-        total: {
+const guessCSVMapping = (kind, headers) => {
+    const normalized = headers.map((h) => h.trim().toLowerCase());
+    const used = new Set();
+    return CSV_IMPORT_FIELDS[kind].reduce((mapping, field) => {
+        const idx = normalized.findIndex((h, i) => !used.has(i) && field.aliases.includes(h));
+        if (idx !== -1) used.add(idx);
+        mapping[field.key] = idx;
+        return mapping;
+    }, {});
+};
+
+const parseCSVNumber = (raw) => {
+    const text = String(raw || "").trim();
+    if (text === "") return null;
+    const value = Number(text.replace(/[$,\s]/g, ""));
+    return Number.isFinite(value) ? value : NaN;
+};
+
+/**
+ * Turns one mapped CSV line into a cap table row, or explains why it can't be one.
+ * Returns { values, row, errors } where `row` is null when there are errors.
+ */
+const buildImportedRow = (kind, cells, mapping) => {
+    const cell = (key) => (mapping[key] >= 0 ? (cells[mapping[key]] || "").trim() : "");
+    const errors = [];
+    const name = cell("name");
+    if (!name) errors.push("Name is missing.");
+
+    if (kind === "shareholders") {
+        const shares = parseCSVNumber(cell("shares"));
+        if (shares === null) errors.push("Shares are missing.");
+        else if (!Number.isFinite(shares) || shares < 0 || !Number.isInteger(shares)) errors.push(`"${cell("shares")}" is not a whole number of shares.`);
+
+        const categoryText = cell("category").toLowerCase();
+        const isPool = OPTION_POOL_PATTERN.test(categoryText) || OPTION_POOL_PATTERN.test(name);
+        let category = "Investor";
+        if (isPool) category = "Option pool";
+        else if (categoryText.startsWith("founder")) category = "Founder";
+        else if (categoryText && !categoryText.startsWith("investor")) errors.push(`Unknown category "${cell("category")}". Use Founder, Investor or Option pool.`);
+
+        const values = { name, shares, category };
+        if (errors.length > 0) return { values, row: null, errors };
+        return {
+            values,
+            errors,
+            row: isPool
+                ? { id: "UnusedOptionsPool", type: CapTableRowType.Common, name: name || "Option pool", shares, category: "Option pool" }
+                : { id: generateRowId(), type: CapTableRowType.Common, name, shares, category },
+        };
+    }
 
-            shares: finalTotalShares,
+    const investment = parseCSVNumber(cell("investment"));
+    if (investment === null) errors.push("Investment is missing.");
+    else if (!Number.isFinite(investment) || investment <= 0) errors.push(`"${cell("investment")}" is not a valid investment.`);
 
-            investment: safeNotes.reduce((a, s) => a + s.investment, 0),
+    const cap = parseCSVNumber(cell("cap")) ?? 0;
+    if (!Number.isFinite(cap) || cap < 0) errors.push(`"${cell("cap")}" is not a valid cap.`);
 
-            ownershipPct: 1,
+    // A 20% discount is "20%" or "0.2". A bare "20" (or "1") is ambiguous, so it's rejected.
+    const discountText = cell("discount");
+    const isPercent = discountText.endsWith("%");
+    let discount = parseCSVNumber(isPercent ? discountText.slice(0, -1) : discountText) ?? 0;
+    if (isPercent) discount /= 100;
+    if (!Number.isFinite(discount) || discount < 0 || (isPercent && discount >= 1)) errors.push(`"${discountText}" is not a valid discount.`);
+    else if (discount >= 1) errors.push(`Discount "${discountText}" is ambiguous. Write a 20% discount as 20% or 0.2.`);
 
-            type: CapTableRowType.Total,
+    const typeText = cell("type").toLowerCase().replace(/\s*safe$/, "");
+    const conversionType = typeText ? CSV_SAFE_TYPES[typeText] : "post";
+    if (!conversionType) errors.push(`Unknown SAFE type "${cell("type")}". Use post-money, pre-money, MFN or YC MFN.`);
 
-        },
+    const isMFNType = conversionType === "mfn" || conversionType === "ycmfn";
+    if (!isMFNType && errors.length === 0 && cap === 0 && discount === 0) errors.push("A SAFE needs a valuation cap or a discount.");
 
+    const values = { name, investment, cap, discount, type: conversionType || cell("type") };
+    if (errors.length > 0) return { values, row: null, errors };
+    return {
+        values,
+        errors,
+        row: {
+            id: generateRowId(),
+            type: CapTableRowType.Safe,
+            name,
+            investment,
+            cap: isMFNType ? 0 : cap,
+            discount: isMFNType ? 0 : discount,
+            conversionType,
+        },
     };
+};
 
+const buildCSVImportPreview = () => {
+    if (!csvImport) return [];
+    return csvImport.rows.map(({ cells, line }) => ({ line, ...buildImportedRow(csvImport.kind, cells, csvImport.mapping) }));
 };
 
 /**
- * Maps the solved priced round data back into a readable Cap Table format.
- * Calculates final share counts for Founders, SAFEs, and New Investors.
+ * Replaces or merges imported rows into rowData. Merging matches existing rows by
+ * name (the option pool by its id); replacing swaps out every row of that kind,
+ * except that the option pool is only replaced when the file has one.
  */
-const buildPricedRoundCapTable = (pricedConversion, rowData) => {
+const mergeImportedRows = (rowData, kind, importedRows, mode) => {
+    const rowType = kind === "shareholders" ? CapTableRowType.Common : CapTableRowType.Safe;
+    let existing = rowData.filter((r) => r.type === rowType);
+    const others = rowData.filter((r) => r.type !== rowType);
+
+    if (mode === "replace") {
+        const importsPool = importedRows.some((r) => r.id === "UnusedOptionsPool");
+        existing = existing.filter((r) => r.id === "UnusedOptionsPool" && !importsPool);
+    }
 
-    const common = rowData.filter(
+    importedRows.forEach((imported) => {
+        const match = existing.find((r) => imported.id === "UnusedOptionsPool"
+            ? r.id === "UnusedOptionsPool"
+            : r.id !== "UnusedOptionsPool" && r.name.trim().toLowerCase() === imported.name.toLowerCase());
+        if (match) {
+            Object.assign(match, { ...imported, id: match.id });
+        } else {
+            existing.push(imported);
+        }
+    });
 
-        (r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool"
+    // Keep the option pool as the last shareholder, where the cap table UI expects it.
+    if (rowType === CapTableRowType.Common) {
+        existing = [...existing.filter((r) => r.id !== "UnusedOptionsPool"), ...existing.filter((r) => r.id === "UnusedOptionsPool")];
+    }
+    const firstOtherIdx = rowType === CapTableRowType.Common ? 0 : others.findIndex((r) => r.type === CapTableRowType.Series);
+    const insertAt = firstOtherIdx === -1 ? others.length : firstOtherIdx;
+    return [...others.slice(0, insertAt), ...existing, ...others.slice(insertAt)];
+};
 
-    );
+const renderCSVImport = () => {
+    const panel = document.getElementById("csv-import-panel");
+    if (!panel) return;
+    if (!csvImport) {
+        panel.innerHTML = "";
+        panel.style.display = "none";
+        return;
+    }
+    panel.style.display = "block";
+
+    const fields = CSV_IMPORT_FIELDS[csvImport.kind];
+    const preview = buildCSVImportPreview();
+    const validCount = preview.filter((p) => p.row).length;
+    const invalidCount = preview.length - validCount;
+    const missingRequired = fields.filter((f) => f.required && csvImport.mapping[f.key] < 0);
+    const cellStyle = "padding: 6px 10px; border-bottom: 1px solid #f1f5f9; font-family: 'Inter', sans-serif; font-size: 13px; text-align: left;";
+    const kindLabel = csvImport.kind === "shareholders" ? "shareholders" : "SAFEs";
+
+    const mappingHtml = fields.map((field) => `
+        <label style="display: flex; flex-direction: column; gap: 4px; font-family: 'Inter', sans-serif; font-size: 12px; color: #444266;">
+            ${field.label}${field.required ? " *" : ""}
+            <select class="csv-mapping-select" onchange="window.updateCSVMapping('${field.key}', this.value)">
+                <option value="-1">(not in file)</option>
+                ${csvImport.headers.map((h, i) => `<option value="${i}" ${csvImport.mapping[field.key] === i ? "selected" : ""}>${escapeHTML(h)}</option>`).join("")}
+            </select>
+        </label>
+    `).join("");
+
+    const previewHtml = preview.map((p) => `
+        <tr style="background: ${p.row ? "transparent" : "#fef2f2"};">
+            <td style="${cellStyle} color: #9ca3af;">${p.line}</td>
+            ${fields.map((f) => {
+                const value = p.values[f.key];
+                let label = value;
+                if (f.key === "shares" || f.key === "investment" || f.key === "cap") label = Number.isFinite(value) ? formatNumberWithCommas(value) : "";
+                if (f.key === "discount") label = Number.isFinite(value) && value > 0 ? `${+(value * 100).toFixed(4)}%` : "";
+                return `<td style="${cellStyle} color: #0d0a40;">${escapeHTML(label ?? "")}</td>`;
+            }).join("")}
+            <td style="${cellStyle} color: #dc2626;">${p.errors.map(escapeHTML).join("<br>")}</td>
+        </tr>
+    `).join("");
+
+    panel.innerHTML = `
+        <div style="font-family: 'Inter', sans-serif;">
+            <h4 style="margin: 0 0 4px 0; color: #0d0a40; font-size: 15px;">Import ${kindLabel} from ${escapeHTML(csvImport.fileName)}</h4>
+            <p style="margin: 0 0 12px 0; color: #444266; font-size: 13px;">Match each field to a column in your file, then check the preview.</p>
+            <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 12px;">${mappingHtml}</div>
+            <div style="max-height: 320px; overflow: auto; border: 1px solid #f1f5f9; border-radius: 6px;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead><tr>
+                        <th style="${cellStyle} color: #444266;">Line</th>
+                        ${fields.map((f) => `<th style="${cellStyle} color: #444266;">${f.label}</th>`).join("")}
+                        <th style="${cellStyle} color: #444266;">Problems</th>
+                    </tr></thead>
+                    <tbody>${previewHtml}</tbody>
+                </table>
+            </div>
+            <p style="margin: 8px 0; font-size: 13px; color: ${invalidCount > 0 || missingRequired.length > 0 ? "#dc2626" : "#444266"};">
+                ${missingRequired.length > 0
+                    ? `Choose a column for ${missingRequired.map((f) => f.label).join(" and ")}.`
+                    : `${validCount} of ${preview.length} rows are ready.${invalidCount > 0 ? ` ${invalidCount} with problems will be skipped.` : ""}`}
+            </p>
+            <div style="display: flex; gap: 16px; margin-bottom: 12px; font-size: 13px; color: #0d0a40;">
+                <label><input type="radio" name="csv-import-mode" value="merge" ${csvImport.mode === "merge" ? "checked" : ""} onchange="window.updateCSVImportMode('merge')"> Merge into current ${kindLabel} (same name updates)</label>
+                <label><input type="radio" name="csv-import-mode" value="replace" ${csvImport.mode === "replace" ? "checked" : ""} onchange="window.updateCSVImportMode('replace')"> Replace current ${kindLabel}</label>
+            </div>
+            <div style="display: flex; gap: 8px;">
+                <button type="button" onclick="window.applyCSVImport()" style="padding: 8px 14px; border: none; border-radius: 6px; background: #5F17EA; color: #ffffff; font-family: 'Inter', sans-serif; font-size: 13px; cursor: pointer;" ${validCount === 0 || missingRequired.length > 0 ? "disabled" : ""}>Import ${validCount} ${kindLabel}</button>
+                <button type="button" onclick="window.cancelCSVImport()" style="padding: 8px 14px; border: 1px solid #e2e8f0; border-radius: 6px; background: #ffffff; color: #444266; font-family: 'Inter', sans-serif; font-size: 13px; cursor: pointer;">Cancel</button>
+            </div>
+        </div>
+    `;
+};
 
-    const safes = rowData.filter((r) => r.type === CapTableRowType.Safe);
+// `kind` is "shareholders" or "safes"; `input` is the file input that triggered the import.
+window.importCSV = async (kind, input) => {
+    const file = input?.files?.[0];
+    if (!file || !CSV_IMPORT_FIELDS[kind]) return;
+    if (isReadOnlyView) return;
+    try {
+        const [header, ...rows] = parseCSV(await file.text());
+        if (!header || rows.length === 0) {
+            showToast('That file has no rows to import.', 'error');
+            return;
+        }
+        const headers = header.cells;
+        csvImport = { kind, fileName: file.name, headers, rows, mapping: guessCSVMapping(kind, headers), mode: "merge" };
+        renderCSVImport();
+    } catch (e) {
+        console.error("CSV import failed:", e);
+        showToast('Could not read that file as CSV.', 'error');
+    } finally {
+        input.value = "";
+    }
+};
 
-    const series = rowData.filter((r) => r.type === CapTableRowType.Series);
+window.updateCSVMapping = (fieldKey, columnIdx) => {
+    if (!csvImport) return;
+    csvImport.mapping[fieldKey] = parseInt(columnIdx, 10);
+    renderCSVImport();
+};
 
-    const totalShares = pricedConversion.totalShares;
+window.updateCSVImportMode = (mode) => {
+    if (!csvImport) return;
+    csvImport.mode = mode === "replace" ? "replace" : "merge";
+    renderCSVImport();
+};
 
-    const totalInvestment =
+window.applyCSVImport = () => {
+    if (!csvImport || isReadOnlyView) return;
+    const importedRows = buildCSVImportPreview().filter((p) => p.row).map((p) => p.row);
+    if (importedRows.length === 0) return;
 
-        series.reduce((a, s) => a + s.investment, 0) +
+    const { kind, mode } = csvImport;
+    state.rowData = mergeImportedRows(state.rowData, kind, importedRows, mode);
+    csvImport = null;
+    renderCSVImport();
+    clearGlobalErrors();
+    updateUI();
+    showToast(`Imported ${importedRows.length} ${kind === "shareholders" ? "shareholders" : "SAFEs"}`, 'success');
+};
 
-        safes.reduce((a, s) => a + s.investment, 0);
+window.cancelCSVImport = () => {
+    csvImport = null;
+    renderCSVImport();
+};
 
-    return {
+// =========================================================================
+// ROUNDING POLICY
+// =========================================================================
+const MAX_PPS_PLACES = 10;
 
-        common: common.map((c) => ({ ...c, ownershipPct: c.shares / totalShares })),
+const SHARE_ROUNDING_LABELS = {
+    nearest: "Nearest whole share",
+    down: "Round down",
+    none: "No rounding (fractional shares)",
+};
 
-        safes: safes.map((s, idx) => {
+const RECONCILIATION_CELL_STYLE = "padding: 6px 10px; border-bottom: 1px solid #f1f5f9; font-family: 'Inter', sans-serif; font-size: 13px;";
 
-            const pps = pricedConversion.ppss[idx];
+// Residuals are shown to 4 decimals; anything smaller is float noise from fractional share counts.
+const formatShareResidual = (value) => {
+    if (!Number.isFinite(value)) return "—";
+    const rounded = Number(value.toFixed(4));
+    if (rounded === 0) return "0";
+    return `${rounded > 0 ? "+" : ""}${rounded.toLocaleString("en-US", { maximumFractionDigits: 4 })}`;
+};
 
-            const shares = roundShares(s.investment / pps);
+const formatFractionalShares = (value) => {
+    if (!Number.isFinite(value)) return "—";
+    return value.toLocaleString("en-US", { maximumFractionDigits: 4 });
+};
 
-            return {
+const renderRoundingSettings = () => {
+    const container = document.getElementById("rounding-settings");
+    if (!container) return;
+    const policy = state.rounding;
+    const disabled = isReadOnlyView ? "disabled" : "";
+    const labelStyle = "display: flex; flex-direction: column; gap: 4px; font-family: 'Inter', sans-serif; font-size: 12px; color: #444266;";
+    const placeOptions = Array.from({ length: MAX_PPS_PLACES + 1 }, (_, places) =>
+        `<option value="${places}" ${policy.ppsPlaces === places ? "selected" : ""}>${places} decimal${places === 1 ? "" : "s"}</option>`
+    ).join("");
 
-                ...s,
+    container.innerHTML = `
+        <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+            <label style="${labelStyle}">
+                Share rounding
+                <select id="rounding-shares-select" onchange="window.updateRounding('shares', this.value)" ${disabled}>
+                    ${Object.keys(SHARE_ROUNDING_STRATEGIES).map((mode) => `<option value="${mode}" ${policy.shares === mode ? "selected" : ""}>${SHARE_ROUNDING_LABELS[mode]}</option>`).join("")}
+                </select>
+            </label>
+            <label style="${labelStyle}">
+                Price per share precision
+                <select id="rounding-pps-select" onchange="window.updateRounding('ppsPlaces', this.value)" ${disabled}>
+                    ${placeOptions}
+                    <option value="-1" ${policy.ppsPlaces === -1 ? "selected" : ""}>Unrounded</option>
+                </select>
+            </label>
+        </div>
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0 0 0;">Prices are rounded up to the chosen precision, so no one receives more shares than their money buys. Applies to every round.</p>
+    `;
+};
 
-                pps,
+/**
+ * Fills #rounding-reconciliation with each first-round holder's fractional and rounded
+ * share count, and how the rounded rows add up against the solved share total.
+ */
+const renderRoundingReconciliation = (results) => {
+    const container = document.getElementById("rounding-reconciliation");
+    if (!container) return;
+    if (!results || !results.ready) {
+        container.innerHTML = "";
+        return;
+    }
 
-                shares,
+    const report = buildRoundingReconciliation(results.pricedConversion, results.postRound, state.targetOptionsPool, results.optionPool);
+    const rowsHtml = report.rows.map((row) => `
+        <tr>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40;">${escapeHTML(row.name || "")}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #9ca3af;">${escapeHTML(row.category || "")}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${formatFractionalShares(row.fractionalShares)}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${formatFractionalShares(row.shares)}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${formatShareResidual(row.residual)}</td>
+        </tr>
+    `).join("");
+    const balanced = Math.abs(report.unreconciled) < 1e-6;
 
-                ownershipPct: shares / totalShares,
+    container.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse;">
+            <thead><tr>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Holder</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Type</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Fractional shares</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Rounded shares</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Residual</th>
+            </tr></thead>
+            <tbody>${rowsHtml}</tbody>
+            <tfoot><tr>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; font-weight: 500;" colspan="2">Total</td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${formatFractionalShares(report.fractionalShares)}</td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right; font-weight: 500;">${formatFractionalShares(report.shares)}</td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right; font-weight: 500;">${formatShareResidual(report.residual)}</td>
+            </tr></tfoot>
+        </table>
+        <p style="font-family: 'Inter', sans-serif; font-size: 13px; margin: 8px 0 0 0; color: ${balanced ? "#444266" : "#dc2626"};">
+            ${balanced
+                ? `The rounded rows add up to the ${formatNumberWithCommas(report.totalShares)} shares solved for the round.`
+                : `The rounded rows add up to ${formatNumberWithCommas(report.shares)} shares, ${formatShareResidual(report.unreconciled)} against the ${formatNumberWithCommas(report.totalShares)} solved for the round.`}
+        </p>
+    `;
+};
 
-                type: CapTableRowType.Safe,
-                isMFN: isMFN(s),
+window.updateRounding = (field, value) => {
+    if (isReadOnlyView) return;
+    markHistoryField(`rounding:${field}`);
+    if (field === "shares" && Object.keys(SHARE_ROUNDING_STRATEGIES).includes(value)) {
+        state.rounding = { ...state.rounding, shares: value };
+    } else if (field === "ppsPlaces") {
+        const places = parseInt(value, 10);
+        if (Number.isInteger(places) && places >= -1 && places <= MAX_PPS_PLACES) {
+            state.rounding = { ...state.rounding, ppsPlaces: places };
+        }
+    }
+    updateUI();
+};
 
-            };
+// =========================================================================
+// SOLVER DIAGNOSTICS
+// =========================================================================
+// Add ?debug=solver to the page URL to show each round's iteration trace.
+const SOLVER_TRACE_PARAM = "debug";
+const SOLVER_TRACE_VALUE = "solver";
+
+const SOLVER_STATUS_LABELS = {
+    converged: "converged",
+    oscillating: "oscillated",
+    diverging: "diverged",
+    maxIterations: "stopped at the iteration limit",
+};
 
-        }),
+// Where the iteration started; see estimateTotalShares in engine.js.
+const SOLVER_METHOD_LABELS = {
+    closedForm: "from the closed-form estimate",
+    bracketed: "from the bracketed estimate",
+    iteration: "from the bare cap table",
+};
 
-        series: series.map((se) => {
+const describeSolverStart = (solver) => {
+    const label = SOLVER_METHOD_LABELS[solver.method];
+    if (!label) return "";
+    return Number.isFinite(solver.estimate) ? ` ${label} (${formatFractionalShares(solver.estimate)} shares)` : ` ${label}`;
+};
 
-            const shares = roundShares(se.investment / pricedConversion.pps);
+const getSolverRounds = (results) => [
+    { name: state.roundName || "The priced round", solver: results.pricedConversion.solver },
+    ...results.followOnSteps.map((step) => ({ name: step.roundName || "A follow-on round", solver: step.pricedConversion.solver })),
+];
 
-            return {
+const renderSolverWarning = (results) => {
+    const container = document.getElementById("solver-warning");
+    if (!container) return;
+    const warnings = results && results.ready
+        ? getSolverRounds(results).map((round) => describeSolverWarning(round.name, round.solver)).filter(Boolean)
+        : [];
+    container.style.display = warnings.length > 0 ? "block" : "none";
+    container.innerHTML = warnings
+        .map((warning) => `<p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #dc2626; margin: 0 0 4px 0;">${escapeHTML(warning)}</p>`)
+        .join("");
+};
 
-                ...se,
+const renderSolverTrace = (results) => {
+    const container = document.getElementById("solver-trace");
+    if (!container) return;
+    const enabled = new URLSearchParams(window.location.search).get(SOLVER_TRACE_PARAM) === SOLVER_TRACE_VALUE;
+    if (!enabled || !results || !results.ready) {
+        container.innerHTML = "";
+        container.style.display = "none";
+        return;
+    }
+    container.style.display = "block";
+
+    container.innerHTML = getSolverRounds(results).map(({ name, solver }) => `
+        <details style="font-family: 'Inter', sans-serif; margin-bottom: 8px;" ${solver.converged ? "" : "open"}>
+            <summary style="font-size: 13px; color: ${solver.converged ? "#444266" : "#dc2626"}; cursor: pointer;">
+                ${escapeHTML(name)}: ${SOLVER_STATUS_LABELS[solver.status]} after ${solver.iterations} iteration${solver.iterations === 1 ? "" : "s"}${describeSolverStart(solver)}, residual ${formatShareResidual(solver.residual)}
+            </summary>
+            <div style="max-height: 320px; overflow: auto; border: 1px solid #f1f5f9; border-radius: 6px; margin-top: 6px;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead><tr>
+                        <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Iteration</th>
+                        <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Shares tried</th>
+                        <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Shares produced</th>
+                        <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Residual</th>
+                    </tr></thead>
+                    <tbody>${solver.trace.map((step) => `
+                        <tr>
+                            <td style="${RECONCILIATION_CELL_STYLE} color: #9ca3af; text-align: right;">${step.iteration}</td>
+                            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${formatFractionalShares(step.totalShares)}</td>
+                            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${formatFractionalShares(step.next)}</td>
+                            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${formatShareResidual(step.residual)}</td>
+                        </tr>
+                    `).join("")}</tbody>
+                </table>
+            </div>
+        </details>
+    `).join("");
+};
 
-                pps: pricedConversion.pps,
+// =========================================================================
+// PRO-RATA RIGHTS
+// =========================================================================
+/**
+ * Fills #pro-rata with the amount each pro-rata holder has to invest to keep its ownership
+ * after conversion, and what taking up those allocations costs the founders.
+ */
+const renderProRata = (results) => {
+    const container = document.getElementById("pro-rata");
+    if (!container) return;
+    const disabled = isReadOnlyView ? "disabled" : "";
+    const autoAdd = state.proRata.autoAdd;
+    const toggleHtml = `
+        <label style="display: flex; align-items: center; gap: 8px; font-family: 'Inter', sans-serif; font-size: 13px; color: #444266;">
+            <input type="checkbox" id="pro-rata-auto-add" onchange="window.updateProRata('autoAdd', this.checked)" ${autoAdd ? "checked" : ""} ${disabled}>
+            Add pro-rata investments to the round
+        </label>
+    `;
+    const proRata = results && results.ready ? results.proRata : null;
+    if (!proRata) {
+        container.innerHTML = `${toggleHtml}
+            <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0 0 0;">Tick "Pro-rata" on a SAFE, note or prior investor to work out their allocation in the round.</p>
+        `;
+        return;
+    }
 
-                shares,
+    const rowsHtml = proRata.holders.map((h) => `
+        <tr>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40;">${escapeHTML(h.name || "")}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${safeFormatPercent(h.ownershipPct)}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${formatUSDWithCommas(h.amount)}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${formatNumberWithCommas(h.newShares)}</td>
+            <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${safeFormatPercent(h.postRoundPct)}</td>
+        </tr>
+    `).join("");
+    const dilutionPoints = (proRata.addedFounderDilution * 100).toFixed(2);
+    const founderChange = `${safeFormatPercent(proRata.founderPctWithout)} → ${safeFormatPercent(proRata.founderPctWith)}`;
+    const summary = autoAdd
+        ? `Pro-rata investments add ${formatUSDWithCommas(proRata.totalAmount)} to the round and cost founders an extra ${dilutionPoints} percentage points (${founderChange}).`
+        : `Taking up these allocations would add ${formatUSDWithCommas(proRata.totalAmount)} to the round and cost founders an extra ${dilutionPoints} percentage points (${founderChange}). They are not in the round above.`;
+    const unsettledHtml = proRata.settled ? "" : `
+        <p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #dc2626; margin: 8px 0 0 0;">These amounts didn't settle: every re-solve of the round with them still moved the price. They are from the last re-solve and may be slightly off.</p>`;
+
+    container.innerHTML = `${toggleHtml}
+        <table style="width: 100%; border-collapse: collapse; margin-top: 8px;">
+            <thead><tr>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Holder</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Ownership after conversion</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Pro-rata amount</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">New shares</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Post-round ownership</th>
+            </tr></thead>
+            <tbody>${rowsHtml}</tbody>
+            <tfoot><tr>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; font-weight: 500;" colspan="2">Total</td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right; font-weight: 500;">${formatUSDWithCommas(proRata.totalAmount)}</td>
+                <td style="${RECONCILIATION_CELL_STYLE}" colspan="2"></td>
+            </tr></tfoot>
+        </table>
+        <p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #444266; margin: 8px 0 0 0;">${summary}</p>${unsettledHtml}
+    `;
+};
 
-                ownershipPct: shares / totalShares,
+window.updateProRata = (field, value) => {
+    if (isReadOnlyView) return;
+    markHistoryField(`proRata:${field}`);
+    if (field === "autoAdd") state.proRata = { ...state.proRata, autoAdd: Boolean(value) };
+    updateUI();
+};
 
-                type: CapTableRowType.Series,
+// =========================================================================
+// OPTION POOL
+// =========================================================================
+const OPTION_POOL_MODE_LABELS = {
+    postMoney: "Target % of post-money",
+    preMoney: "Target % of pre-money",
+    fixedShares: "Fixed number of new shares",
+};
 
-            };
+const SAFE_CAPITALIZATION_LABELS = {
+    standard: "As the SAFE forms define it",
+    include: "Include the top-up",
+    exclude: "Exclude the top-up",
+};
 
-        }),
+/** The pool target as worded in the advisor and report, e.g. "15% of post-money". */
+const describeOptionPoolTarget = () => {
+    const pool = getOptionPoolTerms(state.optionPool);
+    if (pool.mode === OptionPoolMode.FixedShares) return `${formatNumberWithCommas(pool.newShares)} new shares`;
+    return `${state.targetOptionsPool || 0}% of ${pool.mode === OptionPoolMode.PreMoney ? "pre" : "post"}-money`;
+};
 
-        refreshedOptionsPool: {
+/** Which holders the top-up falls on, before the numbers are in. */
+const describePoolBurden = (pool) => {
+    const sizing = pool.mode === OptionPoolMode.FixedShares
+        ? "The pool grows by a fixed number of shares"
+        : `The pool is topped up to ${state.targetOptionsPool || 0}% of the ${pool.mode === OptionPoolMode.PreMoney ? "pre-money (excluding new money)" : "post-money"} cap table`;
+    const safes = {
+        [SafeCapitalization.Standard]: "post-money SAFEs are protected from it and pre-money SAFEs share it",
+        [SafeCapitalization.Include]: "SAFE caps count it, so SAFE holders are protected from it",
+        [SafeCapitalization.Exclude]: "SAFE caps leave it out, so SAFE holders share it",
+    }[pool.safeCapitalization];
+    return `${sizing} before the new money comes in, so new investors don't bear it; ${safes}.`;
+};
 
-            name: "Refreshed Options Pool",
+/**
+ * Fills #option-pool-settings with the pool sizing controls and who bears the top-up
+ * in the first priced round, in percentage points of the post-round cap table.
+ */
+const renderOptionPoolSettings = (results) => {
+    const container = document.getElementById("option-pool-settings");
+    if (!container) return;
+    const pool = getOptionPoolTerms(state.optionPool);
+    const disabled = isReadOnlyView ? "disabled" : "";
+    const labelStyle = "display: flex; flex-direction: column; gap: 4px; font-family: 'Inter', sans-serif; font-size: 12px; color: #444266;";
+    const fixed = pool.mode === OptionPoolMode.FixedShares;
+
+    const dilution = results && results.ready ? results.poolDilution : null;
+    const points = (value) => `${(Math.abs(value) < 0.00005 ? 0 : value * 100).toFixed(2)} pts`;
+    const breakdownHtml = dilution ? `
+        <table style="width: 100%; border-collapse: collapse; margin-top: 8px;">
+            <thead><tr>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Holders</th>
+                <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Ownership lost to the top-up</th>
+            </tr></thead>
+            <tbody>
+                ${[
+                    ["Founders", dilution.founders],
+                    ["SAFE and note holders", dilution.safeHolders],
+                    ["Other holders", dilution.otherHolders],
+                    ["New investors", dilution.seriesInvestors],
+                ].map(([label, value]) => `
+                    <tr>
+                        <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40;">${label}</td>
+                        <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${points(value)}</td>
+                    </tr>
+                `).join("")}
+            </tbody>
+        </table>
+        <p style="font-family: 'Inter', sans-serif; font-size: 13px; color: #444266; margin: 8px 0 0 0;">The top-up issues ${formatNumberWithCommas(dilution.topUpShares)} shares, ${points(dilution.poolPct)} of the post-round cap table.</p>
+    ` : "";
 
-            shares: pricedConversion.totalOptions,
+    container.innerHTML = `
+        <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+            <label style="${labelStyle}">
+                Pool size
+                <select id="option-pool-mode-select" onchange="window.updateOptionPool('mode', this.value)" ${disabled}>
+                    ${Object.values(OptionPoolMode).map((mode) => `<option value="${mode}" ${pool.mode === mode ? "selected" : ""}>${OPTION_POOL_MODE_LABELS[mode]}</option>`).join("")}
+                </select>
+            </label>
+            <label style="${labelStyle}">
+                New pool shares
+                <input type="text" id="option-pool-new-shares" value="${formatNumberWithCommas(pool.newShares)}" onchange="window.updateOptionPool('newShares', this.value)" ${fixed && !isReadOnlyView ? "" : "disabled"}>
+            </label>
+            <label style="${labelStyle}">
+                SAFE capitalization
+                <select id="option-pool-safe-select" onchange="window.updateOptionPool('safeCapitalization', this.value)" ${disabled}>
+                    ${Object.values(SafeCapitalization).map((mode) => `<option value="${mode}" ${pool.safeCapitalization === mode ? "selected" : ""}>${SAFE_CAPITALIZATION_LABELS[mode]}</option>`).join("")}
+                </select>
+            </label>
+        </div>
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0 0 0;">${describePoolBurden(pool)} Applies to the first priced round; follow-on rounds size their pools on post-money.</p>
+        ${breakdownHtml}
+    `;
+};
 
-            ownershipPct: pricedConversion.totalOptions / totalShares,
+window.updateOptionPool = (field, value) => {
+    if (isReadOnlyView) return;
+    markHistoryField(`optionPool:${field}`);
+    if (field === "mode" && Object.values(OptionPoolMode).includes(value)) {
+        state.optionPool = { ...state.optionPool, mode: value };
+    } else if (field === "safeCapitalization" && Object.values(SafeCapitalization).includes(value)) {
+        state.optionPool = { ...state.optionPool, safeCapitalization: value };
+    } else if (field === "newShares") {
+        const shares = Math.round(Number(String(value).replace(/,/g, "")));
+        if (Number.isFinite(shares) && shares >= 0) state.optionPool = { ...state.optionPool, newShares: shares };
+    }
+    updateUI();
+};
 
-            type: CapTableRowType.RefreshedOptions,
+// =========================================================================
+// ROUND INPUT
+// =========================================================================
+const ROUND_INPUT_LABELS = {
+    preMoney: "Pre-money valuation",
+    postMoney: "Post-money valuation",
+    pps: "Price per share",
+};
 
-        },
+// Summary cards of the figures a round input can fix, besides the pre-money input itself.
+const ROUND_FIGURE_CARDS = {
+    pps: "round-pps-val",
+    postMoney: "post-money-val",
+};
 
-        total: {
+// The round as last rendered, so switching the input starts from where the round stands.
+let lastRoundFigures = { postMoney: 0, pps: 0 };
+
+/** Tags the price and post-money cards as the input or derived from it. */
+const markRoundFigureSources = (basis) => {
+    Object.entries(ROUND_FIGURE_CARDS).forEach(([figure, id]) => {
+        const valueEl = document.getElementById(id);
+        if (!valueEl) return;
+        let tag = document.getElementById(`${id}-source`);
+        if (!tag) {
+            tag = document.createElement("div");
+            tag.id = `${id}-source`;
+            tag.style.cssText = "font-family: 'Inter', sans-serif; font-size: 11px; color: #9ca3af; margin-top: 2px;";
+            valueEl.insertAdjacentElement("afterend", tag);
+        }
+        tag.textContent = figure === basis ? "Input" : `Derived from the ${ROUND_INPUT_LABELS[basis].toLowerCase()}`;
+    });
+};
 
-            name: "Total",
+// Term-sheet prices carry more decimals than the cards show.
+const formatTermSheetPPS = (value) => value.toLocaleString("en-US", {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 8,
+});
 
-            shares: totalShares,
+/** What the round input resolved to, or why it didn't. */
+const describeRoundInput = (input, results) => {
+    const resolved = results && results.roundInput;
+    if (input.basis === RoundInputBasis.PreMoney) {
+        return "The price per share and post-money valuation are derived from the pre-money valuation.";
+    }
+    if (results && Object.keys(results.errors).length > 0) return "Fix the SAFE, note and secondary sale errors to price the round.";
+    if (input.basis === RoundInputBasis.PostMoney) {
+        if (!(input.postMoney > 0)) return "Enter the post-money valuation from the term sheet.";
+        if (!resolved || !resolved.reachable) return "The post-money valuation has to be more than the new money raised.";
+        return `The pre-money valuation is the post-money less the new money: ${formatUSDWithCommas(results.preMoney)}.`;
+    }
+    if (!(input.pps > 0)) return "Enter the price per share from the term sheet.";
+    if (!resolved || !resolved.reachable) {
+        return resolved && resolved.minPps > 0
+            ? `No pre-money valuation prices the round at ${formatTermSheetPPS(input.pps)}; prices run from ${formatTermSheetPPS(resolved.minPps)} to ${formatTermSheetPPS(resolved.maxPps)}.`
+            : `No pre-money valuation prices the round at ${formatTermSheetPPS(input.pps)}.`;
+    }
+    const pps = results.pricedConversion.pps;
+    return pps === input.pps
+        ? `A ${formatUSDWithCommas(results.preMoney)} pre-money valuation prices the round at ${formatTermSheetPPS(pps)}.`
+        : `Converted share counts round, so no valuation gives exactly ${formatTermSheetPPS(input.pps)}. The nearest price above it is ${formatTermSheetPPS(pps)}, at a ${formatUSDWithCommas(results.preMoney)} pre-money valuation.`;
+};
 
-            investment: totalInvestment,
+/**
+ * Fills #round-input-settings with the choice of figure the term sheet fixes (pre-money,
+ * post-money or price per share), the input for it when it isn't the pre-money, and what
+ * the other figures resolved to.
+ */
+const renderRoundInputSettings = (results) => {
+    const input = getRoundInputTerms(state.roundInput);
+    if (results && results.ready) {
+        lastRoundFigures = { postMoney: Math.round(results.postMoney), pps: results.pricedConversion.pps };
+    }
+    markRoundFigureSources(input.basis);
 
-            ownershipPct: 1,
+    const container = document.getElementById("round-input-settings");
+    if (!container) return;
+    const disabled = isReadOnlyView ? "disabled" : "";
+    const labelStyle = "display: flex; flex-direction: column; gap: 4px; font-family: 'Inter', sans-serif; font-size: 12px; color: #444266;";
+    const resolved = results && results.roundInput;
+    const failed = input.basis !== RoundInputBasis.PreMoney && resolved && !resolved.reachable &&
+        Object.keys(results.errors).length === 0 && input[input.basis] > 0;
+    const valueHtml = input.basis === RoundInputBasis.PreMoney ? "" : `
+        <label style="${labelStyle}">
+            ${ROUND_INPUT_LABELS[input.basis]}
+            <input type="text" id="round-input-value" value="${input[input.basis] > 0 ? (input.basis === RoundInputBasis.PricePerShare ? input.pps : formatNumberWithCommas(input.postMoney)) : ""}" onchange="window.updateRoundInput('${input.basis}', this.value)" ${disabled}>
+        </label>
+    `;
 
-            type: CapTableRowType.Total,
+    container.innerHTML = `
+        <div style="display: flex; gap: 12px; flex-wrap: wrap;">
+            <label style="${labelStyle}">
+                Term sheet fixes
+                <select id="round-input-basis-select" onchange="window.updateRoundInput('basis', this.value)" ${disabled}>
+                    ${Object.values(RoundInputBasis).map((basis) => `<option value="${basis}" ${input.basis === basis ? "selected" : ""}>${ROUND_INPUT_LABELS[basis]}</option>`).join("")}
+                </select>
+            </label>
+            ${valueHtml}
+        </div>
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: ${failed ? "#dc2626" : "#9ca3af"}; margin: 0.5rem 0 0 0;">${describeRoundInput(input, results)}</p>
+    `;
+};
 
-        },
+window.updateRoundInput = (field, value) => {
+    if (isReadOnlyView) return;
+    markHistoryField(`roundInput:${field}`);
+    if (field === "basis" && Object.values(RoundInputBasis).includes(value)) {
+        // Start the new input from the round as it stands, so switching doesn't move it.
+        state.roundInput = { ...state.roundInput, ...lastRoundFigures, basis: value };
+    } else if (field === RoundInputBasis.PostMoney || field === RoundInputBasis.PricePerShare) {
+        const figure = stringToNumber(value);
+        if (Number.isFinite(figure) && figure >= 0) state.roundInput = { ...state.roundInput, [field]: figure };
+    }
+    updateUI();
+};
 
-    };
+// Goal-seek, the heatmap and lead-seek all solve at a given pre-money valuation, so applying
+// their result fixes the round on it.
+const fixRoundOnPreMoney = () => {
+    state.roundInput = { ...state.roundInput, basis: RoundInputBasis.PreMoney };
+};
+
+// =========================================================================
+// SECONDARY SALES
+// =========================================================================
+/**
+ * Fills #secondary-sales with the worksheet's secondary-sale rows: who sells to which round
+ * investor, how many shares and at what discount to the round price, and once the round is
+ * priced, the price and the cash each sale takes off the table.
+ */
+const renderSecondarySales = (results) => {
+    const container = document.getElementById("secondary-sales");
+    if (!container) return;
+    const sales = state.rowData.filter((r) => r.type === CapTableRowType.Secondary);
+    const sellers = state.rowData.filter((r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool");
+    const buyers = state.rowData.filter((r) => r.type === CapTableRowType.Series);
+    const priced = results && results.ready ? results.postRound.secondarySales : [];
+    const errors = results ? results.errors : {};
+    const disabled = isReadOnlyView ? "disabled" : "";
+    const options = (rows, selectedId) => `
+        <option value="" ${selectedId ? "" : "selected"}>Choose…</option>
+        ${rows.map((r) => `<option value="${escapeHTML(r.id)}" ${r.id === selectedId ? "selected" : ""}>${escapeHTML(r.name || "")}</option>`).join("")}
+    `;
+
+    const rowsHtml = sales.map((sale) => {
+        const done = priced.find((p) => p.id === sale.id);
+        const id = escapeHTML(sale.id);
+        return `
+            <tr>
+                <td style="${RECONCILIATION_CELL_STYLE}"><select class="secondary-seller" onchange="window.updateRow('${id}', 'sellerId', this.value)" ${disabled}>${options(sellers, sale.sellerId)}</select></td>
+                <td style="${RECONCILIATION_CELL_STYLE}"><select class="secondary-buyer" onchange="window.updateRow('${id}', 'buyerId', this.value)" ${disabled}>${options(buyers, sale.buyerId)}</select></td>
+                <td style="${RECONCILIATION_CELL_STYLE} text-align: right;"><input type="text" class="secondary-shares" value="${formatNumberWithCommas(sale.shares || 0)}" onchange="window.updateRow('${id}', 'shares', this.value)" ${disabled}></td>
+                <td style="${RECONCILIATION_CELL_STYLE} text-align: right;"><input type="text" class="secondary-discount" value="${Math.round((sale.discount || 0) * 10000) / 100}" onchange="window.updateRow('${id}', 'discount', this.value)" ${disabled}></td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">${done ? safeFormatPPS(done.pps) : "—"}</td>
+                <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${done ? formatUSDWithCommas(done.proceeds) : "—"}</td>
+                <td style="${RECONCILIATION_CELL_STYLE}"><button type="button" class="row-trash-btn" onclick="window.deleteRow('${id}')">${TRASH_ICON}</button></td>
+            </tr>
+            ${errors[sale.id] ? `<tr><td colspan="7" style="font-family: 'Inter', sans-serif; font-size: 12px; color: #dc2626; padding: 0 8px 6px 8px;">${escapeHTML(errors[sale.id])}</td></tr>` : ""}
+        `;
+    }).join("");
 
+    const cashOut = priced.reduce((a, p) => a + p.proceeds, 0);
+    const summary = priced.length > 0
+        ? `Sellers take ${formatUSDWithCommas(cashOut)} off the table. The sales issue no new shares, so the round price and the total share count are unchanged.`
+        : "Secondary sales move existing shares from a shareholder to an investor in the round, at the round price or a discount to it.";
+
+    container.innerHTML = `
+        ${sales.length > 0 ? `
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead><tr>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Seller</th>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: left;">Buyer</th>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Shares</th>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Discount %</th>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Price</th>
+                    <th style="${RECONCILIATION_CELL_STYLE} color: #444266; text-align: right;">Proceeds</th>
+                    <th style="${RECONCILIATION_CELL_STYLE}"></th>
+                </tr></thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        ` : ""}
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0;">${summary}</p>
+        <button type="button" class="hide-when-read-only" onclick="window.addRow('${CapTableRowType.Secondary}')" style="font-family: 'Inter', sans-serif; font-size: 13px; color: #0d0a40;">Add secondary sale</button>
+    `;
 };
 
-/* 
-================================================================
-PART 2: UI & RENDERING
-State management, updateUI, and chart rendering.
-================================================================
-*/
-const INITIAL_STATE = {
-    name: "Standalone Worksheet",
-    roundName: "Series A",
-    rowData: [
-        {
-            id: "1",
-            type: "common",
-            name: "Founder 1",
-            shares: 4000000,
-            category: "Founder",
-        },
-        {
-            id: "2",
-            type: "common",
-            name: "Founder 2",
-            shares: 4000000,
-            category: "Founder",
-        },
-        {
-            id: "UnusedOptionsPool",
-            type: "common",
-            name: "Option pool",
-            shares: 2000000,
-            category: "Option pool",
-        },
-        {
-            id: "3",
-            type: "safe",
-            name: "SAFE 1",
-            investment: 500000,
-            cap: 1000000,
-            discount: 0.2, 
-            conversionType: "post",
-        },
-        { id: "4", type: "series", name: "Investor 1", investment: 2000000 },
-    ],
-    preMoney: 10000000,
-    targetOptionsPool: null,
-    pricedRounds: 1, 
+// =========================================================================
+// SAFE CONVERSIONS
+// =========================================================================
+const CONVERSION_TYPE_LABELS = {
+    pre: "Pre-money",
+    post: "Post-money",
+    mfn: "MFN",
+    ycmfn: "YC MFN",
+};
+
+const formatConversionPercent = (value) => `${Math.round(value * 10000) / 100}%`;
+
+// With no discount, the discount price is just the round price.
+const getConversionPriceLabel = (step) => {
+    if (step.method === "cap") return "Cap price";
+    return step.discount > 0 ? "Discount price" : "Round price";
 };
 
-let state = JSON.parse(JSON.stringify(INITIAL_STATE));
+/** Where a SAFE's valuation cap came from, in the words of the SAFE. */
+const describeConversionCap = (step) => {
+    if (step.capSource === "own") {
+        return step.isMFN && step.inheritedCap > 0
+            ? `Its own cap, lower than the ${formatUSDWithCommas(step.inheritedCap)} it could take under the MFN`
+            : "Its own cap";
+    }
+    if (step.capSource === "inherited") {
+        return `Taken under the MFN from ${escapeHTML(step.inheritedFrom || "a later SAFE")}${step.ownCap > 0 ? `, lower than its own ${formatUSDWithCommas(step.ownCap)}` : ""}`;
+    }
+    if (step.capSource === "preMoney") {
+        return step.discount > 0
+            ? `No cap to take under the MFN: pre-money valuation × (1 − ${formatConversionPercent(step.discount)} discount)`
+            : "No cap to take under the MFN: the pre-money valuation";
+    }
+    return "Uncapped";
+};
 
-window.resetCalculator = () => {
-    state = JSON.parse(JSON.stringify(INITIAL_STATE));
-    clearGlobalErrors();
-    updateUI();
+/** Each line of one SAFE's conversion, as [step, formula, value]. */
+const getConversionLines = (step) => {
+    const policy = state.rounding;
+    const pricePlaces = policy.ppsPlaces < 0
+        ? "left unrounded"
+        : `rounded up to ${policy.ppsPlaces} decimal${policy.ppsPlaces === 1 ? "" : "s"}`;
+    const shareRounding = policy.shares === "none" ? "No rounding" : SHARE_ROUNDING_LABELS[policy.shares];
+    const capital = step.capitalization === "pre" ? "pre-money shares" : "post-money shares";
+    const winner = `${getConversionPriceLabel(step)} (${step.capPPS === null ? "no cap to compare" : "the lower of the two"})`;
+
+    return [
+        step.type === CapTableRowType.Note
+            ? ["Conversion amount", `Principal ${formatUSDWithCommas(step.principal)} + accrued interest ${formatUSDWithCommas(step.accruedInterest)}`, formatUSDWithCommas(step.investment)]
+            : ["Investment", "Purchase amount", formatUSDWithCommas(step.investment)],
+        ["Valuation cap", describeConversionCap(step), step.cap > 0 ? formatUSDWithCommas(step.cap) : "—"],
+        ["Capitalization", step.capitalization === "pre" ? "Pre-money shares: common and options, before the SAFEs convert" : "Post-money capitalization: every share before the new money, converted SAFEs included", formatFractionalShares(step.capitalizationShares)],
+        ["Cap price", step.capPPS === null ? "No cap" : `${formatUSDWithCommas(step.cap)} ÷ ${formatFractionalShares(step.capitalizationShares)} ${capital}`, step.capPPS === null ? "—" : formatTermSheetPPS(step.capPPS)],
+        ["Discount price", `${formatTermSheetPPS(step.roundPPS)} round price × (1 − ${formatConversionPercent(step.discount)})`, formatTermSheetPPS(step.discountPPS)],
+        ["Conversion price", `${winner}, ${pricePlaces}`, formatTermSheetPPS(step.conversionPPS)],
+        ["Exact shares", `${formatUSDWithCommas(step.investment)} ÷ ${formatTermSheetPPS(step.conversionPPS)}`, formatFractionalShares(step.exactShares)],
+        ["Shares", shareRounding, formatFractionalShares(step.shares)],
+    ];
+};
+
+/**
+ * Fills #safe-conversions with each SAFE's and note's conversion in the first priced round,
+ * step by step with its formula: cap, cap price, discount price, which price won and the
+ * share rounding, so each figure can be checked against the SAFE document.
+ */
+const renderSafeConversions = (results) => {
+    const container = document.getElementById("safe-conversions");
+    if (!container) return;
+    if (!results || !results.ready) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const steps = explainSafeConversions(state.rowData, results.preMoney, results.pricedConversion, getRoundingStrategy(state.rounding));
+    if (steps.length === 0) {
+        container.innerHTML = `<p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0;">Add a SAFE or note to see how it converts.</p>`;
+        return;
+    }
+
+    container.innerHTML = steps.map((step) => `
+        <details style="font-family: 'Inter', sans-serif; margin-bottom: 8px;">
+            <summary style="font-size: 13px; color: #0d0a40; cursor: pointer;">
+                ${escapeHTML(step.name || "")} (${step.type === CapTableRowType.Note ? "note" : `${CONVERSION_TYPE_LABELS[step.conversionType] || ""} SAFE`}): ${formatFractionalShares(step.shares)} shares at ${formatTermSheetPPS(step.conversionPPS)}, ${getConversionPriceLabel(step).toLowerCase()}
+            </summary>
+            <table style="width: 100%; border-collapse: collapse; margin-top: 6px;">
+                <tbody>${getConversionLines(step).map(([label, formula, value]) => `
+                    <tr>
+                        <td style="${RECONCILIATION_CELL_STYLE} color: #444266;">${label}</td>
+                        <td style="${RECONCILIATION_CELL_STYLE} color: #9ca3af;">${formula}</td>
+                        <td style="${RECONCILIATION_CELL_STYLE} color: #0d0a40; text-align: right;">${value}</td>
+                    </tr>
+                `).join("")}</tbody>
+            </table>
+        </details>
+    `).join("");
 };
 
 const showGlobalError = (message) => {
@@ -675,6 +2087,39 @@ const TRASH_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="1
 const updateUI = () => {
     try {
         clearGlobalErrors();
+        persistActiveWorksheet();
+        recordHistory();
+        renderHistoryButtons();
+        applyReadOnlyMode();
+        renderScenarioSwitcher();
+        renderScenarioComparison();
+        renderRoundingSettings();
+        renderRoundingReconciliation(null);
+        renderSolverWarning(null);
+        renderSolverTrace(null);
+        renderProRata(null);
+        renderOptionPoolSettings(null);
+
+        // A round priced from its post-money or its price carries the valuation that resolves
+        // to, so everything else on the page (goal-seek, heatmap, report) reads state.preMoney.
+        const results = calculatePageScenario(state.rowData, state.preMoney, state.roundInput, state.targetOptionsPool, state.rounding, state.optionPool, state.proRata, state.followOnRounds);
+        const preMoneyDerived = getRoundInputTerms(state.roundInput).basis !== RoundInputBasis.PreMoney;
+        if (preMoneyDerived) {
+            if (results.roundInput.reachable) state.preMoney = results.preMoney;
+            else if (Object.keys(results.errors).length === 0) state.preMoney = 0;
+            amendHistorySnapshot();
+        }
+        renderRoundInputSettings(results);
+        renderSecondarySales(results);
+        renderSafeConversions(results);
+
+        const preMoneyInput = document.getElementById("pre-money-input");
+        if (preMoneyInput) {
+            preMoneyInput.readOnly = preMoneyDerived;
+            if (preMoneyDerived || (state.preMoney > 0 && document.activeElement !== preMoneyInput)) {
+                preMoneyInput.value = state.preMoney > 0 ? formatNumberWithCommas(state.preMoney) : "";
+            }
+        }
         
         const preMoneyErrorEl = document.getElementById("pre-money-error");
         const preMoneyInputWrapper = document.querySelector(".valuation-input-wrapper");
@@ -690,6 +2135,9 @@ const updateUI = () => {
             if (r.type === CapTableRowType.Safe) {
                 return r.investment > 0 && (r.cap === 0 || !r.cap) && (r.discount === 0 || !r.discount);
             }
+            if (r.type === CapTableRowType.Note) {
+                return r.principal > 0 && (r.cap === 0 || !r.cap) && (r.discount === 0 || !r.discount);
+            }
             return false;
         });
 
@@ -712,30 +2160,26 @@ const updateUI = () => {
             document.getElementById("pie-chart-container").innerHTML = "";
             document.getElementById("bar-chart-container").innerHTML = "";
             document.getElementById("ai-insights-container").innerHTML = "";
+            const waterfallTableEl = document.getElementById("waterfall-table");
+            if (waterfallTableEl) waterfallTableEl.innerHTML = "";
             return;
         }
 
         // =========================================================================
-        // SNAPSHOT 2: PRE-ROUND CAP TABLE (Post-SAFE)
+        // SNAPSHOTS 2-4: PRE-ROUND (Post-SAFE), POST-ROUND AND FOLLOW-ON ROUNDS
         // =========================================================================
-        const preRound = buildEstimatedPreRoundCapTable(state.rowData);
-
-        const preMoneyInput = document.getElementById("pre-money-input");
-        if (preMoneyInput && document.activeElement !== preMoneyInput) {
-            preMoneyInput.value = formatNumberWithCommas(state.preMoney);
-        }
 
         const targetOptionsInput = document.getElementById("target-options-input");
         if (targetOptionsInput && document.activeElement !== targetOptionsInput) {
             targetOptionsInput.value = state.targetOptionsPool === null ? "" : state.targetOptionsPool;
         }
 
-        const rawSafes = state.rowData.filter((r) => r.type === CapTableRowType.Safe);
-        const safes = populateSafeCaps(rawSafes, state.preMoney);
-        const safeErrors = checkSafeNotesForErrors(safes);
+        const safeErrors = results.errors;
 
         renderSAFEs(safeErrors);
+        renderNotes(safeErrors);
         renderSeriesInvestors();
+        renderFollowOnRounds(safeErrors);
 
         const esopRow = state.rowData.find((r) => r.id === "UnusedOptionsPool");
         const unusedOptionsValue = esopRow ? esopRow.shares : 0;
@@ -768,29 +2212,13 @@ const updateUI = () => {
             el.textContent = state.roundName || "priced round";
         });
 
-        const commonShares = state.rowData
-            .filter((r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool")
-            .reduce((a, r) => a + r.shares, 0);
-
-        const seriesInvs = state.rowData
-            .filter((r) => r.type === CapTableRowType.Series)
-            .map((s) => s.investment);
-
-        const pricedConversion = fitConversion(
-            state.preMoney,
-            commonShares,
-            safes,
-            unusedOptionsValue,
-            state.targetOptionsPool,
-            seriesInvs
-        );
+        const { preRound, pricedConversion, postRound, followOnSteps, finalPostRound, finalRoundId } = results;
 
         const roundPpsEl = document.getElementById("round-pps-val");
         if (roundPpsEl) roundPpsEl.textContent = safeFormatPPS(pricedConversion.pps);
 
-        const postMoneyVal = pricedConversion.totalShares * pricedConversion.pps;
         const postMoneyEl = document.getElementById("post-money-val");
-        if (postMoneyEl) postMoneyEl.textContent = safeFormatCurrency(postMoneyVal);
+        if (postMoneyEl) postMoneyEl.textContent = safeFormatCurrency(results.postMoney);
         
         const additionalOptions = pricedConversion.additionalOptions;
         const additionalOptionsEl = document.getElementById("additional-options-val");
@@ -812,43 +2240,16 @@ const updateUI = () => {
         const newInvestorsSharesEl = document.getElementById("new-investors-shares-val");
         if (newInvestorsSharesEl) newInvestorsSharesEl.textContent = safeFormatNumber(pricedConversion.seriesShares);
 
-        // =========================================================================
-        // SNAPSHOT 3: POST-ROUND CAP TABLE
-        // =========================================================================
-        const postRound = buildPricedRoundCapTable(pricedConversion, state.rowData);
-
-        // Synchronize SAFE shares between Pre and Post if a priced round exists.
-        // This ensures the "Pre" column shows the actual conversion realized in the round,
-        // rather than a standalone estimate.
-        preRound.safes = preRound.safes.map(preSafe => {
-            const postSafe = postRound.safes.find(ps => ps.id === preSafe.id);
-            return postSafe ? { ...preSafe, shares: postSafe.shares } : preSafe;
-        });
-
-        // Recalculate pre-round totals and percentages based on synchronized shares
-        preRound.total.shares = preRound.common.reduce((a, c) => a + (c.shares || 0), 0) + 
-                                preRound.safes.reduce((a, s) => a + (s.shares || 0), 0);
-        preRound.common.forEach(c => c.ownershipPct = c.shares / preRound.total.shares);
-        preRound.safes.forEach(s => s.ownershipPct = s.shares / preRound.total.shares);
-
         const totalPostSharesEl = document.getElementById("total-post-shares-val");
         if (totalPostSharesEl) totalPostSharesEl.textContent = safeFormatNumber(postRound.total.shares);
 
-        const foundersPost = postRound.common.filter((c) => c.category === "Founder");
-        const totalFounderPctPost = foundersPost.reduce((a, f) => a + f.ownershipPct, 0);
-
-        // All "Pre" calculations happen 'Post-SAFE Pre-Round'
-        const commonSharesTotalPre = preRound.total.shares;
-        const founderSharesPre = preRound.common
-            .filter((c) => c.category === "Founder")
-            .reduce((a, c) => a + c.shares, 0);
-
-        const totalFounderPctPre = commonSharesTotalPre > 0 ? founderSharesPre / commonSharesTotalPre : 0;
+        const totalFounderPctPost = results.founderPctPost;
+        const totalFounderPctPre = results.founderPctPre;
 
         const founderOwnershipEl = document.getElementById("founder-ownership-val");
         if (founderOwnershipEl) founderOwnershipEl.textContent = safeFormatPercent(totalFounderPctPost);
 
-        const dilution = totalFounderPctPre > 0 ? totalFounderPctPre - totalFounderPctPost : NaN;
+        const dilution = results.dilution;
         const founderDilutionEl = document.getElementById("founder-dilution-val");
         if (founderDilutionEl) founderDilutionEl.textContent = safeFormatPercent(dilution);
 
@@ -859,10 +2260,18 @@ const updateUI = () => {
         }
 
         // Pass Pre-Round (Post-SAFE) and Post-Round to the breakdown table.
-        renderBreakdownTable(preRound, postRound, pricedConversion.pps);
+        renderBreakdownTable(preRound, postRound, pricedConversion.pps, followOnSteps);
         renderPieChart(postRound);
-        renderBarChart(totalFounderPctPre, totalFounderPctPost);
-        renderAIAdvisor(preRound, postRound, pricedConversion, state, totalFounderPctPre);
+        renderBarChart(totalFounderPctPre, totalFounderPctPost, followOnSteps);
+        renderAIAdvisor(preRound, postRound, pricedConversion, state, totalFounderPctPre, followOnSteps);
+        renderExitWaterfall(finalPostRound, finalRoundId);
+        renderLeadSeek();
+        renderSensitivityHeatmap(pricedConversion.totalSeriesInvestment);
+        renderRoundingReconciliation(results);
+        renderSolverWarning(results);
+        renderSolverTrace(results);
+        renderProRata(results);
+        renderOptionPoolSettings(results);
 
     } catch (error) {
         console.error("Error updating UI:", error);
@@ -897,6 +2306,14 @@ const renderShareholders = (totalSharesS0) => {
         categorySelect.value = row.category;
         categorySelect.onchange = (e) => updateRow(row.id, 'category', e.target.value);
         
+        // Only prior investors on the common table can hold pro-rata rights.
+        const proRataInput = clone.querySelector(".row-pro-rata");
+        if (proRataInput) {
+            proRataInput.checked = hasProRataRight(row);
+            proRataInput.disabled = row.category !== "Investor";
+            proRataInput.onchange = (e) => updateRow(row.id, 'proRata', e.target.checked);
+        }
+        
         const sharesInput = clone.querySelector(".row-shares");
         sharesInput.value = formatNumberWithCommas(row.shares);
         sharesInput.oninput = (e) => formatInputLive(e.target);
@@ -919,14 +2336,16 @@ const renderSAFEs = (errors = {}) => {
     if (!container) return;
     container.innerHTML = "";
     const safeRows = state.rowData.filter((r) => r.type === CapTableRowType.Safe);
+    // MFN caps are inherited across notes as well, so resolve them on the full convertible list.
+    const convertibles = getConvertibleRows(state.rowData);
     const showDelete = safeRows.length > 1;
     const template = document.getElementById("safe-card-template");
     let totalInv = 0;
     
-    safeRows.forEach((row, idx) => {
+    safeRows.forEach((row) => {
         totalInv += row.investment;
         const isMfnRow = isMFN(row);
-        const effectiveCap = getCapForSafe(idx, safeRows);
+        const effectiveCap = getCapForSafe(convertibles.findIndex((c) => c.id === row.id), convertibles);
         const displayCap = isMfnRow ? effectiveCap : row.cap;
         
         const clone = template.content.cloneNode(true);
@@ -961,6 +2380,18 @@ const renderSAFEs = (errors = {}) => {
         const typeSelect = clone.querySelector(".safe-type");
         typeSelect.value = row.conversionType;
         typeSelect.onchange = (e) => updateRow(row.id, 'conversionType', e.target.value);
+
+        const antiDilutionSelect = clone.querySelector(".safe-anti-dilution");
+        if (antiDilutionSelect) {
+            antiDilutionSelect.value = row.antiDilution || "none";
+            antiDilutionSelect.onchange = (e) => updateRow(row.id, 'antiDilution', e.target.value);
+        }
+
+        const proRataInput = clone.querySelector(".safe-pro-rata");
+        if (proRataInput) {
+            proRataInput.checked = row.proRata === true;
+            proRataInput.onchange = (e) => updateRow(row.id, 'proRata', e.target.checked);
+        }
         
         const calcBtn = clone.querySelector(".btn-calc");
         if (calcBtn) {
@@ -1030,6 +2461,109 @@ const renderSAFEs = (errors = {}) => {
     `;
 };
 
+const renderNotes = (errors = {}) => {
+    const container = document.getElementById("notes-body");
+    if (!container) return;
+    container.innerHTML = "";
+    const noteRows = getConvertibleRows(state.rowData).filter((r) => r.type === CapTableRowType.Note);
+    const template = document.getElementById("note-card-template");
+    let totalPrincipal = 0;
+
+    noteRows.forEach((row) => {
+        totalPrincipal += row.principal;
+        const clone = template.content.cloneNode(true);
+
+        const nameInput = clone.querySelector(".note-name-input");
+        nameInput.value = row.name;
+        nameInput.onchange = (e) => updateRow(row.id, 'name', e.target.value);
+
+        const deleteBtn = clone.querySelector(".row-trash-btn");
+        deleteBtn.innerHTML = TRASH_ICON;
+        deleteBtn.onclick = () => deleteRow(row.id);
+
+        const principalInput = clone.querySelector(".note-principal");
+        principalInput.value = formatNumberWithCommas(row.principal);
+        principalInput.oninput = (e) => formatInputLive(e.target);
+        principalInput.onchange = (e) => updateRow(row.id, 'principal', e.target.value);
+
+        const rateInput = clone.querySelector(".note-interest-rate");
+        rateInput.value = row.interestRate === 0 ? "" : parseFloat((row.interestRate * 100).toFixed(4));
+        rateInput.onchange = (e) => updateRow(row.id, 'interestRate', e.target.value);
+
+        const interestTypeSelect = clone.querySelector(".note-interest-type");
+        interestTypeSelect.value = row.interestType;
+        interestTypeSelect.onchange = (e) => updateRow(row.id, 'interestType', e.target.value);
+
+        ["issueDate", "maturityDate", "conversionDate"].forEach((field) => {
+            const dateInput = clone.querySelector(`.note-${field.replace("Date", "")}-date`);
+            if (!dateInput) return;
+            dateInput.value = row[field] || "";
+            dateInput.onchange = (e) => updateRow(row.id, field, e.target.value);
+        });
+
+        const capInput = clone.querySelector(".note-cap");
+        capInput.value = formatNumberWithCommas(row.cap);
+        capInput.oninput = (e) => formatInputLive(e.target);
+        capInput.onchange = (e) => updateRow(row.id, 'cap', e.target.value);
+
+        const discountInput = clone.querySelector(".note-discount-input");
+        discountInput.value = row.discount === 0 ? "" : Math.round(row.discount * 100);
+        discountInput.oninput = (e) => formatDiscountLive(e.target);
+        discountInput.onchange = (e) => updateRow(row.id, 'discount', e.target.value);
+
+        const typeSelect = clone.querySelector(".note-type");
+        typeSelect.value = row.conversionType;
+        typeSelect.onchange = (e) => updateRow(row.id, 'conversionType', e.target.value);
+
+        const antiDilutionSelect = clone.querySelector(".note-anti-dilution");
+        if (antiDilutionSelect) {
+            antiDilutionSelect.value = row.antiDilution || "none";
+            antiDilutionSelect.onchange = (e) => updateRow(row.id, 'antiDilution', e.target.value);
+        }
+
+        const proRataInput = clone.querySelector(".note-pro-rata");
+        if (proRataInput) {
+            proRataInput.checked = row.proRata === true;
+            proRataInput.onchange = (e) => updateRow(row.id, 'proRata', e.target.checked);
+        }
+
+        const interestEl = clone.querySelector(".note-accrued-interest");
+        if (interestEl) interestEl.textContent = formatUSDWithCommas(row.accruedInterest);
+        const conversionAmountEl = clone.querySelector(".note-conversion-amount");
+        if (conversionAmountEl) conversionAmountEl.textContent = formatUSDWithCommas(row.investment);
+
+        // Interest keeps accruing past maturity, but the holder could have demanded repayment.
+        const maturityWarningEl = clone.querySelector(".note-maturity-warning");
+        if (maturityWarningEl) {
+            const pastMaturity = Date.parse(row.conversionDate) > Date.parse(row.maturityDate);
+            maturityWarningEl.style.display = pastMaturity ? "block" : "none";
+        }
+
+        const noteErrorEl = clone.querySelector(".note-error-msg");
+        if (noteErrorEl && errors[row.id]) {
+            noteErrorEl.textContent = errors[row.id];
+            noteErrorEl.style.display = "block";
+            principalInput.classList.add("input-invalid-border");
+            capInput.classList.add("input-invalid-border");
+        }
+
+        container.appendChild(clone);
+    });
+
+    const notesSection = document.getElementById("notes-container").parentElement;
+    let totalRow = notesSection.querySelector(".card-footer-total");
+    if (!totalRow) {
+        totalRow = document.createElement("div");
+        totalRow.className = "card-footer-total";
+        notesSection.appendChild(totalRow);
+    }
+
+    totalRow.innerHTML = `
+        <span style="font-family: 'Inter', sans-serif; font-size: 14px; color: #444266;">Total note principal</span>
+        <span class="footer-total-value" style="font-family: 'Inter', sans-serif; font-size: 16px; font-weight: 500; color: #0d0a40;">${formatUSDWithCommas(totalPrincipal)}</span>
+    `;
+};
+
 const renderSeriesInvestors = () => {
     const container = document.getElementById("series-body");
     if (!container) return;
@@ -1051,6 +2585,12 @@ const renderSeriesInvestors = () => {
         invInput.value = formatNumberWithCommas(row.investment);
         invInput.oninput = (e) => formatInputLive(e.target);
         invInput.onchange = (e) => updateRow(row.id, 'investment', e.target.value);
+
+        const antiDilutionSelect = clone.querySelector(".series-anti-dilution");
+        if (antiDilutionSelect) {
+            antiDilutionSelect.value = row.antiDilution || "none";
+            antiDilutionSelect.onchange = (e) => updateRow(row.id, 'antiDilution', e.target.value);
+        }
         
         const deleteBtn = clone.querySelector(".row-trash-btn");
         if (showDelete) {
@@ -1076,83 +2616,167 @@ const renderSeriesInvestors = () => {
     `;
 };
 
-const getRowData = (data) => {
-    const rows = [];
-    if (!data) return rows;
+const renderFollowOnRounds = (errors = {}) => {
+    const container = document.getElementById("follow-on-rounds-body");
+    if (!container) return;
+    container.innerHTML = "";
+    const template = document.getElementById("follow-on-round-template");
+    const investorTemplate = document.getElementById("series-investor-template");
 
-    if (data.common) {
-        data.common.forEach((r) => {
-            rows.push({
-                id: r.id,
-                name: r.name,
-                category: r.category || "Other",
-                shares: r.shares || 0,
-                ownershipPct: r.ownershipPct || 0,
-                isPricedOrSafe: false,
-            });
-        });
-    }
+    state.followOnRounds.forEach((round) => {
+        const clone = template.content.cloneNode(true);
 
-    if (data.safes) {
-        data.safes.forEach((s) => {
-            rows.push({
-                id: s.id,
-                name: s.name,
-                category: "Investor", // Branding for SAFEs in the table
-                shares: s.shares || 0,
-                ownershipPct: s.ownershipPct || 0,
-                isPricedOrSafe: true,
-                pps_val: s.pps,
-                conversionType: s.conversionType,
-                isMFN: isMFN(s),
-            });
-        });
-    }
+        const nameInput = clone.querySelector(".round-name-input");
+        nameInput.value = round.roundName;
+        nameInput.onchange = (e) => updateFollowOnRound(round.id, 'roundName', e.target.value);
+
+        const preMoneyInput = clone.querySelector(".round-pre-money-input");
+        preMoneyInput.value = formatNumberWithCommas(round.preMoney);
+        preMoneyInput.oninput = (e) => formatInputLive(e.target);
+        preMoneyInput.onchange = (e) => updateFollowOnRound(round.id, 'preMoney', e.target.value);
+
+        const roundErrorEl = clone.querySelector(".round-error-msg");
+        if (errors[round.id]) {
+            preMoneyInput.classList.add("input-invalid-border");
+            if (roundErrorEl) {
+                roundErrorEl.textContent = errors[round.id];
+                roundErrorEl.style.display = "block";
+            }
+        }
 
-    if (data.series) {
-        data.series.forEach((se) => {
-            rows.push({
-                id: se.id,
-                name: se.name || "New Investor",
-                category: "Investor",
-                shares: se.shares || 0,
-                ownershipPct: se.ownershipPct || 0,
-                isPricedOrSafe: true,
-                pps_val: se.pps,
-            });
-        });
-    }
+        const targetInput = clone.querySelector(".round-target-options-input");
+        targetInput.value = round.targetOptionsPool === null ? "" : round.targetOptionsPool;
+        targetInput.onchange = (e) => updateFollowOnRound(round.id, 'targetOptionsPool', e.target.value);
 
-    if (data.refreshedOptionsPool && data.refreshedOptionsPool.shares > 0) {
-        rows.push({
-            id: "UnusedOptionsPool",
-            name: "Option pool",
-            category: "Option pool",
-            shares: data.refreshedOptionsPool.shares || 0,
-            ownershipPct: data.refreshedOptionsPool.ownershipPct || 0,
-            isPricedOrSafe: false,
+        const deleteBtn = clone.querySelector(".row-trash-btn");
+        deleteBtn.innerHTML = TRASH_ICON;
+        deleteBtn.onclick = () => deleteFollowOnRound(round.id);
+
+        const prefMultipleInput = clone.querySelector(".round-pref-multiple");
+        if (prefMultipleInput) {
+            prefMultipleInput.value = round.liquidationPreference.multiple;
+            prefMultipleInput.onchange = (e) => updatePreferenceTerms(round.id, 'multiple', e.target.value);
+        }
+        const prefParticipatingInput = clone.querySelector(".round-pref-participating");
+        if (prefParticipatingInput) {
+            prefParticipatingInput.checked = round.liquidationPreference.participating;
+            prefParticipatingInput.onchange = (e) => updatePreferenceTerms(round.id, 'participating', e.target.checked);
+        }
+        const prefCapInput = clone.querySelector(".round-pref-cap");
+        if (prefCapInput) {
+            prefCapInput.value = round.liquidationPreference.participationCap === null ? "" : round.liquidationPreference.participationCap;
+            prefCapInput.onchange = (e) => updatePreferenceTerms(round.id, 'participationCap', e.target.value);
+        }
+        const prefSeniorityInput = clone.querySelector(".round-pref-seniority");
+        if (prefSeniorityInput) {
+            prefSeniorityInput.value = round.liquidationPreference.seniority;
+            prefSeniorityInput.onchange = (e) => updatePreferenceTerms(round.id, 'seniority', e.target.value);
+        }
+
+        const investorsBody = clone.querySelector(".round-investors-body");
+        const showInvestorDelete = round.investors.length > 1;
+        round.investors.forEach((inv) => {
+            const invClone = investorTemplate.content.cloneNode(true);
+
+            const invName = invClone.querySelector(".investor-name");
+            invName.value = inv.name;
+            invName.onchange = (e) => updateFollowOnInvestor(round.id, inv.id, 'name', e.target.value);
+
+            const invInput = invClone.querySelector(".series-investor-input");
+            invInput.value = formatNumberWithCommas(inv.investment);
+            invInput.oninput = (e) => formatInputLive(e.target);
+            invInput.onchange = (e) => updateFollowOnInvestor(round.id, inv.id, 'investment', e.target.value);
+
+            const invAntiDilution = invClone.querySelector(".series-anti-dilution");
+            if (invAntiDilution) {
+                invAntiDilution.value = inv.antiDilution || "none";
+                invAntiDilution.onchange = (e) => updateFollowOnInvestor(round.id, inv.id, 'antiDilution', e.target.value);
+            }
+
+            const invDeleteBtn = invClone.querySelector(".row-trash-btn");
+            if (showInvestorDelete) {
+                invDeleteBtn.innerHTML = TRASH_ICON;
+                invDeleteBtn.onclick = () => deleteFollowOnInvestor(round.id, inv.id);
+            } else {
+                invDeleteBtn.remove();
+            }
+
+            investorsBody.appendChild(invClone);
         });
-    }
 
-    return rows;
+        const addInvestorBtn = clone.querySelector(".add-round-investor-btn");
+        if (addInvestorBtn) addInvestorBtn.onclick = () => addFollowOnInvestor(round.id);
+
+        container.appendChild(clone);
+    });
+};
+
+/**
+ * Instrument badges for one breakdown row: SAFE/note type, secondary sales, anti-dilution shares and pool top-up.
+ * Shared by the table and the spreadsheet export so both label holders the same way.
+ */
+const getBreakdownTags = (id, pre, post, postData, steps = []) => {
+    const tags = [];
+    if (post.isPricedOrSafe && post.category === "Investor") {
+        const safeMatch = postData.safes?.find(s => s.id === id);
+        if (safeMatch) {
+            if (safeMatch.type === CapTableRowType.Note) tags.push({ kind: "note", label: "Convertible note" });
+            else if (safeMatch.isMFN) tags.push({ kind: "mfn", label: "MFN SAFE" });
+            else if (safeMatch.conversionType === "pre") tags.push({ kind: "pre", label: "Pre-money SAFE" });
+            else tags.push({ kind: "post", label: "Post-money SAFE" });
+        }
+        if (postData.series?.some((se) => se.id === id && se.proRataOf)) {
+            tags.push({ kind: "pro-rata", label: "Pro-rata" });
+        }
+    }
+    if (post.secondaryOf) tags.push({ kind: "secondary", label: "Secondary purchase" });
+    if (post.secondarySold > 0) {
+        tags.push({ kind: "secondary", label: `Sold ${formatNumberWithCommas(post.secondarySold)} in secondary` });
+    }
+    const antiDilutionShares = steps.reduce((a, st) => a + (st.antiDilutionShares || 0), 0);
+    if (antiDilutionShares > 0) {
+        tags.push({ kind: "anti-dilution", label: `Anti-dilution +${formatNumberWithCommas(antiDilutionShares)}`, warning: true });
+    }
+    if (post.id === "UnusedOptionsPool" && postData?.total?.shares > 0 && pre.shares >= 0 && post.shares > pre.shares + 1) {
+        tags.push({ kind: "topup", label: "Pool top-up", warning: true });
+    }
+    return tags;
 };
 
-const renderBreakdownTable = (preData, postData, pps) => {
+const renderBreakdownTable = (preData, postData, pps, followOnSteps = []) => {
     const container = document.getElementById("post-round-table");
     if (!container) return;
     container.innerHTML = "";
     const template = document.getElementById("breakdown-row-template");
 
+    // One extra ownership column per follow-on round, appended after the first round's columns.
+    const headerRow = container.closest("table")?.querySelector("thead tr");
+    if (headerRow) {
+        headerRow.querySelectorAll(".col-round-step").forEach((th) => th.remove());
+        followOnSteps.forEach((step) => {
+            const th = document.createElement("th");
+            th.className = "text-right col-round-step";
+            th.textContent = `After ${step.roundName || "priced round"}`;
+            headerRow.appendChild(th);
+        });
+    }
+
     const preRows = getRowData(preData);
     const postRows = getRowData(postData);
+    const stepRows = followOnSteps.map((step) => getRowData(step.postRound));
     const preSharesValid = preData?.total?.shares > 0;
     const postSharesValid = postData?.total?.shares > 0;
 
-    const allIds = Array.from(new Set([...preRows.map((r) => r.id), ...postRows.map((r) => r.id)]));
+    const allIds = Array.from(new Set([
+        ...preRows.map((r) => r.id),
+        ...postRows.map((r) => r.id),
+        ...stepRows.flatMap((rows) => rows.map((r) => r.id)),
+    ]));
 
     allIds.forEach((id) => {
         const pre = preRows.find((r) => r.id === id) || { shares: 0, ownershipPct: 0, isVirtual: true };
         const post = postRows.find((r) => r.id === id) || { shares: 0, ownershipPct: 0 };
+        const steps = stepRows.map((rows) => rows.find((r) => r.id === id) || { shares: 0, ownershipPct: 0 });
 
         const prePctLabel = preSharesValid && !pre.isVirtual && pre.shares > 0 ? safeFormatPercent(pre.ownershipPct) : "—";
         const postPctLabel = postSharesValid && post.shares > 0 ? safeFormatPercent(post.ownershipPct) : "—";
@@ -1161,21 +2785,12 @@ const renderBreakdownTable = (preData, postData, pps) => {
         const tr = clone.querySelector("tr");
         tr.id = `row-${id}`;
         
-        clone.querySelector(".row-display-name").textContent = post.name || pre.name || "—";
+        const stepName = steps.find((st) => st.name)?.name;
+        clone.querySelector(".row-display-name").textContent = post.name || pre.name || stepName || "—";
         
-        let tagsHtml = "";
-        if (post.isPricedOrSafe && post.category === "Investor") {
-            const safeMatch = postData.safes?.find(s => s.id === id);
-            if (safeMatch) {
-                if (safeMatch.isMFN) tagsHtml += `<span class="tag tag-mfn" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: #f1f5f9; color: #475569; font-family: 'Inter', sans-serif;">MFN SAFE</span>`;
-                else if (safeMatch.conversionType === "pre") tagsHtml += `<span class="tag tag-pre" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: #f1f5f9; color: #475569; font-family: 'Inter', sans-serif;">Pre-money SAFE</span>`;
-                else tagsHtml += `<span class="tag tag-post" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: #f1f5f9; color: #475569; font-family: 'Inter', sans-serif;">Post-money SAFE</span>`;
-            }
-        }
-        if (post.id === "UnusedOptionsPool" && postSharesValid && pre.shares >= 0 && post.shares > pre.shares + 1) {
-            tagsHtml += `<span class="tag tag-topup" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: #fef2f2; color: #dc2626; font-family: 'Inter', sans-serif;">Pool top-up</span>`;
-        }
-        clone.querySelector(".row-tags").innerHTML = tagsHtml;
+        clone.querySelector(".row-tags").innerHTML = getBreakdownTags(id, pre, post, postData, steps)
+            .map((tag) => `<span class="tag tag-${tag.kind}" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: ${tag.warning ? "#fef2f2" : "#f1f5f9"}; color: ${tag.warning ? "#dc2626" : "#475569"}; font-family: 'Inter', sans-serif;">${tag.label}</span>`)
+            .join("");
 
         clone.querySelector(".row-pre-shares").textContent = safeFormatNumber(pre.shares);
         clone.querySelector(".row-post-shares").textContent = safeFormatNumber(post.shares);
@@ -1184,6 +2799,13 @@ const renderBreakdownTable = (preData, postData, pps) => {
         const ppsLabel = post.shares > 0 ? safeFormatPPS(post.pps_val) : "—";
         clone.querySelector(".row-pps").textContent = ppsLabel;
 
+        steps.forEach((st) => {
+            const td = document.createElement("td");
+            td.className = "text-right post-value col-round-step";
+            td.textContent = st.shares > 0 ? safeFormatPercent(st.ownershipPct) : "—";
+            tr.appendChild(td);
+        });
+
         container.appendChild(clone);
     });
 
@@ -1199,6 +2821,7 @@ const renderBreakdownTable = (preData, postData, pps) => {
         <td class="text-right pre-value col-pct-pre">${preSharesValid && preData.total.shares > 0 ? "100.00%" : "—"}</td>
         <td class="text-right post-value post-pct-value col-pct-post">${postSharesValid && postData.total.shares > 0 ? "100.00%" : "—"}</td>
         <td class="text-right col-pps"></td>
+        ${followOnSteps.map(() => `<td class="text-right post-value col-round-step">100.00%</td>`).join("")}
     `;
     container.appendChild(totalTr);
 };
@@ -1333,7 +2956,7 @@ window.scrollToRow = (id) => {
 
 
 
-const renderBarChart = (preFounderPct, postFounderPct) => {
+const renderBarChart = (preFounderPct, postFounderPct, followOnSteps = []) => {
     const container = document.getElementById("bar-chart-container");
     if (!container) return;
 
@@ -1354,12 +2977,15 @@ const renderBarChart = (preFounderPct, postFounderPct) => {
 
     const labels = [
         ["After SAFE conversion", `Before ${state.roundName || "priced round"}`],
-        ["After SAFE conversion", `and ${state.roundName || "priced round"}`]
+        ["After SAFE conversion", `and ${state.roundName || "priced round"}`],
+        ...followOnSteps.map((step) => ["After", step.roundName || "priced round"])
     ];
     const data = [
         preValid ? preFounderPct * 100 : 0,
-        postValid ? postFounderPct * 100 : 0
+        postValid ? postFounderPct * 100 : 0,
+        ...followOnSteps.map((step) => step.founderPct * 100)
     ];
+    const stepColors = ["#7C3AED", "#9333EA", "#A855F7", "#C084FC", "#D8B4FE"];
 
     const ctx = document.getElementById('barChartCanvas').getContext('2d');
     window.barChartInstance = new Chart(ctx, {
@@ -1369,7 +2995,7 @@ const renderBarChart = (preFounderPct, postFounderPct) => {
             datasets: [{
                 label: 'Founder Ownership',
                 data: data,
-                backgroundColor: ["#E5E5ED", "#5f17ea"],
+                backgroundColor: ["#E5E5ED", "#5f17ea", ...followOnSteps.map((_, i) => stepColors[i % stepColors.length])],
                 barPercentage: 0.5,
                 categoryPercentage: 0.7
             }]
@@ -1432,7 +3058,9 @@ const renderBarChart = (preFounderPct, postFounderPct) => {
                 ctx.font = '500 14px Inter, sans-serif';
                 ctx.fillStyle = '#444266';
                 ctx.textAlign = 'center';
-                const text = `${(preFounderPct * 100).toFixed(1)}% → ${(postFounderPct * 100).toFixed(1)}%`;
+                const text = [preFounderPct, postFounderPct, ...followOnSteps.map((step) => step.founderPct)]
+                    .map((pct) => `${(pct * 100).toFixed(1)}%`)
+                    .join(" → ");
                 ctx.fillText(text, left + width / 2, bottom + 75);
                 ctx.restore();
             }
@@ -1441,9 +3069,325 @@ const renderBarChart = (preFounderPct, postFounderPct) => {
 };
 
 
+const getPreferenceClasses = () => {
+    const classes = {
+        [PRIMARY_ROUND_ID]: { name: state.roundName || "priced round", ...state.liquidationPreference },
+    };
+    state.followOnRounds.forEach((round) => {
+        classes[round.id] = { name: round.roundName || "priced round", ...round.liquidationPreference };
+    });
+    return classes;
+};
+
+const renderExitWaterfall = (postRound, roundId) => {
+    const container = document.getElementById("waterfall-table");
+    if (!container) return;
+
+    const exitInput = document.getElementById("exit-value-input");
+    if (exitInput && document.activeElement !== exitInput) {
+        exitInput.value = formatNumberWithCommas(state.exitValue);
+    }
+
+    const terms = state.liquidationPreference;
+    const prefInputs = {
+        "pref-multiple-input": terms.multiple,
+        "pref-cap-input": terms.participationCap === null ? "" : terms.participationCap,
+        "pref-seniority-input": terms.seniority,
+    };
+    Object.entries(prefInputs).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input && document.activeElement !== input) input.value = value;
+    });
+    const participatingInput = document.getElementById("pref-participating-input");
+    if (participatingInput) participatingInput.checked = terms.participating;
+
+    if (!(state.exitValue > 0)) {
+        container.innerHTML = `<p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; font-weight: 400; line-height: 1.5; color: #9ca3af; margin: 0.25rem 0 0 0;">Enter an exit value to see what each shareholder receives.</p>`;
+        renderWaterfallChart([], {});
+        return;
+    }
+
+    const holders = buildExitHolders(postRound, roundId);
+    const classes = getPreferenceClasses();
+    const waterfall = runExitWaterfall(holders, classes, state.exitValue);
+
+    const rowsHtml = waterfall.payouts.map((h) => {
+        const className = h.preferredClass ? `${escapeHTML(classes[h.preferredClass]?.name || "Preferred")} preferred` : "Common";
+        const convertedTag = h.converted
+            ? ` <span class="tag tag-converted" style="font-size: 10px; padding: 2px 6px; border-radius: 4px; background: #f1f5f9; color: #475569; font-family: 'Inter', sans-serif;">Converts to common</span>`
+            : "";
+        return `
+            <tr>
+                <td class="col-name">${escapeHTML(h.name)}${convertedTag}</td>
+                <td class="col-class">${className}</td>
+                <td class="text-right">${safeFormatCurrency(h.preference)}</td>
+                <td class="text-right">${safeFormatCurrency(h.participation)}</td>
+                <td class="text-right post-value">${safeFormatCurrency(h.total)}</td>
+                <td class="text-right">${safeFormatPercent(h.total / state.exitValue)}</td>
+            </tr>
+        `;
+    }).join("");
+
+    container.innerHTML = `
+        <table class="breakdown-table waterfall-table">
+            <thead>
+                <tr>
+                    <th>Shareholder</th>
+                    <th>Class</th>
+                    <th class="text-right">Preference</th>
+                    <th class="text-right">Participation</th>
+                    <th class="text-right">Total proceeds</th>
+                    <th class="text-right">% of exit</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rowsHtml}
+                <tr class="total-row" style="font-weight: 500; background-color: var(--slate-50);">
+                    <td class="col-name">Total</td>
+                    <td></td>
+                    <td class="text-right">${safeFormatCurrency(waterfall.payouts.reduce((a, h) => a + h.preference, 0))}</td>
+                    <td class="text-right">${safeFormatCurrency(waterfall.payouts.reduce((a, h) => a + h.participation, 0))}</td>
+                    <td class="text-right post-value">${safeFormatCurrency(waterfall.totalDistributed)}</td>
+                    <td class="text-right">${safeFormatPercent(waterfall.totalDistributed / state.exitValue)}</td>
+                </tr>
+            </tbody>
+        </table>
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0 0 0;">Unissued options in the pool receive nothing at exit.</p>
+    `;
+
+    renderWaterfallChart(holders, classes);
+};
+
+const renderWaterfallChart = (holders, classes) => {
+    const container = document.getElementById("waterfall-chart-container");
+    if (!container) return;
+
+    if (window.waterfallChartInstance) {
+        window.waterfallChartInstance.destroy();
+        window.waterfallChartInstance = null;
+    }
+
+    container.innerHTML = `
+        <div class="chart-wrapper-line">
+            <canvas id="waterfallChartCanvas"></canvas>
+        </div>
+    `;
+
+    if (!holders.length || !(state.exitValue > 0)) return;
+
+    // Group holders so the chart stays readable: founders, one line per preferred class, other common.
+    const groups = [{ key: "founders", label: "Founders", color: "#5F17EA" }];
+    Object.keys(classes)
+        .filter((id) => holders.some((h) => h.preferredClass === id))
+        .forEach((id, i) => {
+            const palette = ["#3B82F6", "#2563EB", "#60A5FA", "#1D4ED8", "#93C5FD"];
+            groups.push({ key: id, label: `${classes[id].name} investors`, color: palette[i % palette.length] });
+        });
+    groups.push({ key: "other", label: "Other common", color: "#64748B" });
+
+    const groupOf = (h) => {
+        if (h.preferredClass) return h.preferredClass;
+        return h.category === "Founder" ? "founders" : "other";
+    };
+
+    const steps = 20;
+    const maxExit = state.exitValue * 2;
+    const exitValues = Array.from({ length: steps + 1 }, (_, i) => (maxExit * i) / steps);
+    const payoutsByExit = exitValues.map((exit) => runExitWaterfall(holders, classes, exit).payouts);
+
+    const datasets = groups
+        .filter((g) => holders.some((h) => groupOf(h) === g.key))
+        .map((g) => ({
+            label: g.label,
+            data: payoutsByExit.map((payouts) => payouts
+                .filter((h) => groupOf(h) === g.key)
+                .reduce((a, h) => a + h.total, 0)),
+            borderColor: g.color,
+            backgroundColor: g.color,
+            pointRadius: 0,
+            borderWidth: 2,
+            tension: 0,
+        }));
+
+    const ctx = document.getElementById("waterfallChartCanvas").getContext("2d");
+    window.waterfallChartInstance = new Chart(ctx, {
+        type: "line",
+        data: {
+            labels: exitValues.map((v) => formatUSDWithCommas(v)),
+            datasets,
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: "index", intersect: false },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(0, 0, 0, 0.05)', drawBorder: false },
+                    ticks: {
+                        callback: (value) => formatUSDWithCommas(value),
+                        font: { size: 11, family: "'Inter', sans-serif" },
+                        color: '#64748B'
+                    }
+                },
+                x: {
+                    grid: { display: false },
+                    title: { display: true, text: "Exit value", font: { size: 11, family: "'Inter', sans-serif" }, color: '#64748B' },
+                    ticks: {
+                        font: { size: 10, family: "'Inter', sans-serif" },
+                        color: '#475569',
+                        maxTicksLimit: 6
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: "bottom",
+                    labels: { font: { size: 11, family: "'Inter', sans-serif" }, color: '#444266', boxWidth: 12 }
+                },
+                tooltip: {
+                    enabled: true,
+                    backgroundColor: '#ffffff',
+                    titleColor: '#111827',
+                    bodyColor: '#4B5563',
+                    borderColor: '#E5E7EB',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    titleFont: { size: 13, weight: '500', family: "'Inter', sans-serif" },
+                    bodyFont: { size: 12, family: "'Inter', sans-serif" },
+                    callbacks: {
+                        title: (items) => `Exit at ${items[0].label}`,
+                        label: (context) => ` ${context.dataset.label}: ${formatUSDWithCommas(context.raw)}`
+                    }
+                }
+            }
+        }
+    });
+};
+
+/**
+ * The lead investor goal-seek solves for: the one chosen, or the first series investor while
+ * none is (or the chosen one was removed). Derived rather than stored, so rendering never
+ * changes state behind the undo history.
+ */
+const getLeadSeekLeadId = () => {
+    const seriesRows = state.rowData.filter((r) => r.type === CapTableRowType.Series);
+    if (seriesRows.some((r) => r.id === state.leadSeek.leadId)) return state.leadSeek.leadId;
+    return seriesRows.length > 0 ? seriesRows[0].id : null;
+};
+
+const renderLeadSeek = () => {
+    const select = document.getElementById("lead-investor-select");
+    if (!select) return;
+    const seriesRows = state.rowData.filter((r) => r.type === CapTableRowType.Series);
+    select.innerHTML = seriesRows
+        .map((r) => `<option value="${escapeHTML(r.id)}">${escapeHTML(r.name || "New Investor")}</option>`)
+        .join("");
+    const leadId = getLeadSeekLeadId();
+    if (leadId) select.value = leadId;
+};
+
+const MAX_SENSITIVITY_STEPS = 20;
+
+const buildSensitivityRange = (min, max, steps) => {
+    const count = Math.max(1, Math.min(MAX_SENSITIVITY_STEPS, Math.round(steps) || 1));
+    if (count === 1 || max <= min) return [min];
+    return Array.from({ length: count }, (_, i) => Math.round(min + ((max - min) * i) / (count - 1)));
+};
+
+const getSensitivityRanges = (currentRaise) => {
+    const cfg = state.sensitivity;
+    return {
+        preMoneyValues: buildSensitivityRange(
+            cfg.preMoneyMin ?? state.preMoney * 0.5,
+            cfg.preMoneyMax ?? state.preMoney * 1.5,
+            cfg.preMoneySteps
+        ),
+        raiseValues: buildSensitivityRange(
+            cfg.raiseMin ?? currentRaise * 0.5,
+            cfg.raiseMax ?? currentRaise * 1.5,
+            cfg.raiseSteps
+        ),
+    };
+};
+
+// Mixes two hex colors; t = 0 gives `from`, t = 1 gives `to`.
+const mixHexColors = (from, to, t) => {
+    const parse = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    const a = parse(from);
+    const b = parse(to);
+    return "#" + a.map((c, i) => Math.round(c + (b[i] - c) * t).toString(16).padStart(2, "0")).join("");
+};
+
+const renderSensitivityHeatmap = (currentRaise) => {
+    const container = document.getElementById("sensitivity-heatmap");
+    if (!container) return;
+
+    const { preMoneyValues, raiseValues } = getSensitivityRanges(currentRaise);
+    if (!(preMoneyValues[0] > 0) || !(raiseValues[raiseValues.length - 1] > 0)) {
+        delete container.dataset.renderedFor;
+        container.innerHTML = `<p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; font-weight: 400; line-height: 1.5; color: #9ca3af; margin: 0.25rem 0 0 0;">The heatmap will appear once you enter your priced round terms.</p>`;
+        return;
+    }
+
+    // The grid is up to MAX_SENSITIVITY_STEPS² fits, so it's only rebuilt when something it
+    // shows changes, not on every edit elsewhere on the page.
+    const metric = state.sensitivity.metric === "dilution" ? "dilution" : "founder";
+    const renderedFor = JSON.stringify([state.rowData, state.targetOptionsPool, state.rounding, state.optionPool, preMoneyValues, raiseValues, metric, state.preMoney, currentRaise]);
+    if (container.dataset.renderedFor === renderedFor) return;
+
+    const grid = buildSensitivityGrid(state.rowData, state.targetOptionsPool, preMoneyValues, raiseValues, getRoundingStrategy(state.rounding), getOptionPoolTerms(state.optionPool));
+    const values = grid.flat().map((cell) => (metric === "dilution" ? cell.dilution : cell.founderPct)).filter(Number.isFinite);
+    const minVal = Math.min(...values);
+    const maxVal = Math.max(...values);
+    const [lowColor, highColor] = metric === "dilution" ? ["#FEF2F2", "#DC2626"] : ["#F5F3FF", "#5F17EA"];
+
+    const headerHtml = raiseValues
+        .map((raise) => `<th class="text-right" style="font-family: 'Inter', sans-serif; font-size: 11px; color: #64748B;">${formatUSDWithCommas(raise)}</th>`)
+        .join("");
+
+    const rowsHtml = grid.map((row, i) => {
+        const cellsHtml = row.map((cell, j) => {
+            const value = metric === "dilution" ? cell.dilution : cell.founderPct;
+            const t = maxVal > minVal ? (value - minVal) / (maxVal - minVal) : 0.5;
+            const isCurrent = cell.preMoney === state.preMoney && cell.raise === currentRaise;
+            // Rounds with no solution stay blank rather than taking a color from a made-up value.
+            const solved = Number.isFinite(value);
+            return `
+                <td class="heatmap-cell text-right" onclick="window.loadSensitivityScenario(${i}, ${j})"
+                    title="${solved ? `Founders ${safeFormatPercent(cell.founderPct)}, dilution ${safeFormatPercent(cell.dilution)}, PPS ${safeFormatPPS(cell.pps)}` : "No solution: the SAFEs convert into more than the round leaves"}"
+                    style="cursor: pointer; font-family: 'Inter', sans-serif; font-size: 12px; background-color: ${solved ? mixHexColors(lowColor, highColor, t) : "#f1f5f9"}; color: ${solved && t > 0.55 ? "#ffffff" : "#0d0a40"};${isCurrent ? " outline: 2px solid #0d0a40; outline-offset: -2px;" : ""}">
+                    ${safeFormatPercent(value)}
+                </td>
+            `;
+        }).join("");
+        return `
+            <tr>
+                <th class="text-right" style="font-family: 'Inter', sans-serif; font-size: 11px; color: #64748B;">${formatUSDWithCommas(preMoneyValues[i])}</th>
+                ${cellsHtml}
+            </tr>
+        `;
+    }).join("");
+
+    container.innerHTML = `
+        <table class="heatmap-table">
+            <thead>
+                <tr>
+                    <th style="font-family: 'Inter', sans-serif; font-size: 11px; color: #444266;">Pre-money ↓ / Raise →</th>
+                    ${headerHtml}
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+        <p class="card-subtext" style="font-family: 'Inter', sans-serif; font-size: 0.75rem; color: #9ca3af; margin: 0.5rem 0 0 0;">${metric === "dilution" ? "Total founder dilution from today's cap table" : "Post-round founder ownership"}. Click a cell to load that scenario.</p>
+    `;    container.dataset.renderedFor = renderedFor;
+};
+
 let aiLoadingTimeout = null;
 
-const renderAIAdvisor = (preRound, postRound, pricedConversion, state, strictlyPreFounderPct) => {
+const renderAIAdvisor = (preRound, postRound, pricedConversion, state, strictlyPreFounderPct, followOnSteps = []) => {
     const container = document.getElementById("ai-insights-container");
     if (!container) return;
 
@@ -1487,6 +3431,22 @@ const renderAIAdvisor = (preRound, postRound, pricedConversion, state, strictlyP
         if (safesCount > 0) {
             insights.push(`<p style="margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">${safesCount} SAFE${safesCount > 1 ? 's' : ''} totaling <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${formatUSDWithCommas(totalSafeInvestment)}</strong> will convert.</p>`);
         }
+
+        const notes = getConvertibleRows(state.rowData).filter(r => r.type === CapTableRowType.Note);
+        if (notes.length > 0) {
+            const totalPrincipal = notes.reduce((sum, n) => sum + n.principal, 0);
+            const totalInterest = notes.reduce((sum, n) => sum + n.accruedInterest, 0);
+            insights.push(`<p style="margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">${notes.length} convertible note${notes.length > 1 ? 's' : ''} with <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${formatUSDWithCommas(totalPrincipal)}</strong> of principal and <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${formatUSDWithCommas(totalInterest)}</strong> of accrued interest will convert.</p>`);
+        }
+        const secondarySales = postRound.secondarySales || [];
+        if (secondarySales.length > 0) {
+            const proceedsBySeller = new Map();
+            secondarySales.forEach((sale) => proceedsBySeller.set(sale.sellerName, (proceedsBySeller.get(sale.sellerName) || 0) + sale.proceeds));
+            const cashOut = secondarySales.reduce((sum, sale) => sum + sale.proceeds, 0);
+            const sharesSold = secondarySales.reduce((sum, sale) => sum + sale.shares, 0);
+            const sellersText = Array.from(proceedsBySeller, ([name, proceeds]) => `${escapeHTML(name || "")} ${formatUSDWithCommas(proceeds)}`).join(", ");
+            insights.push(`<p style="margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">Secondary sales take <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${formatUSDWithCommas(cashOut)}</strong> off the table (${sellersText}). The ${formatNumberWithCommas(sharesSold)} shares sold change hands without new shares being issued, so the company raises nothing from them.</p>`);
+        }
         if (totalFounderPctPre >= 0.5 && totalFounderPctPost < 0.5) {
             insights.push(`
                 <div class="insight-item" style="color: #0d0a40; margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif;">
@@ -1494,10 +3454,29 @@ const renderAIAdvisor = (preRound, postRound, pricedConversion, state, strictlyP
                 </div>
             `);
         }
+        followOnSteps.filter((step) => step.antiDilution.isDownRound).forEach((step) => {
+            const ad = step.antiDilution;
+            const adjustmentText = ad.extraShares > 0
+                ? ` Anti-dilution protection issues <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${formatNumberWithCommas(ad.extraShares)}</strong> extra shares to prior investors, costing founders a further <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${(ad.addedFounderDilution * 100).toFixed(2)}</strong> percentage points.`
+                : "";
+            insights.push(`
+                <div class="insight-item" style="color: #0d0a40; margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif;">
+                    <div class="insight-danger" style="color: #dc2626; font-weight: 500; display: flex; align-items: center; gap: 0.5rem; margin-bottom: 8px;">The ${escapeHTML(step.roundName || "priced round")} is a down round: ${safeFormatPPS(step.pricedConversion.pps)} per share against ${safeFormatPPS(ad.priorPPS)} in the prior round.</div>
+                    <div style="font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">${adjustmentText}</div>
+                </div>
+            `);
+        });
+        if (followOnSteps.length > 0) {
+            const lastStep = followOnSteps[followOnSteps.length - 1];
+            const path = [totalFounderPctPost, ...followOnSteps.map((step) => step.founderPct)]
+                .map((pct) => `<strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${safeFormatPercent(pct)}</strong>`)
+                .join(" → ");
+            insights.push(`<p style="margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">Across ${followOnSteps.length + 1} priced rounds, founder ownership moves ${path} by the end of the ${escapeHTML(lastStep.roundName || "priced round")}.</p>`);
+        }
         if (pricedConversion.increaseInOptionsPool > 0) {
             insights.push(`
                 <div class="insight-item" style="color: #0d0a40; margin: 0 0 1.25rem 0; font-family: 'Inter', sans-serif;">
-                    <div style="font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">The model includes an option pool top-up to reach the target of <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${state.targetOptionsPool}%</strong>, which issued additional shares pre ${state.roundName || "priced round"}.</div>
+                    <div style="font-family: 'Inter', sans-serif; line-height: 1.6; font-size: 14px; color: #374151;">The model includes an option pool top-up to reach the target of <strong style="color: #0d0a40; font-weight: 600; font-family: 'Inter', sans-serif;">${escapeHTML(describeOptionPoolTarget())}</strong>, which issued additional shares pre ${state.roundName || "priced round"}.</div>
                 </div>
             `);
         }
@@ -1508,9 +3487,10 @@ const renderAIAdvisor = (preRound, postRound, pricedConversion, state, strictlyP
 window.updateRow = (id, field, value) => {
     const row = state.rowData.find((r) => r.id === id);
     if (!row) return;
-    if (field === "shares" || field === "investment" || field === "cap") {
+    markHistoryField(`row:${id}:${field}`);
+    if (field === "shares" || field === "investment" || field === "cap" || field === "principal") {
         row[field] = stringToNumber(value);
-    } else if (field === "discount") {
+    } else if (field === "discount" || field === "interestRate") {
         row[field] = stringToNumber(value) / 100;
     } else {
         row[field] = value;
@@ -1522,8 +3502,11 @@ window.updateRow = (id, field, value) => {
     updateUI();
 };
 
+const generateRowId = () => Date.now().toString() + "-" + Math.random().toString(36).substr(2, 9);
+
 window.addRow = (type) => {
-    const id = Date.now().toString() + "-" + Math.random().toString(36).substr(2, 9);
+    if (isReadOnlyView) return;
+    const id = generateRowId();
     if (type === "common") {
         state.rowData.push({
             id,
@@ -1542,13 +3525,45 @@ window.addRow = (type) => {
             discount: 0,
             conversionType: "post",
         });
+    } else if (type === CapTableRowType.Note) {
+        const today = new Date();
+        const maturity = new Date(today);
+        maturity.setFullYear(maturity.getFullYear() + 2);
+        state.rowData.push({
+            id,
+            type,
+            name: "New Note",
+            principal: 0,
+            interestRate: 0,
+            interestType: "simple",
+            issueDate: today.toISOString().split('T')[0],
+            maturityDate: maturity.toISOString().split('T')[0],
+            conversionDate: today.toISOString().split('T')[0],
+            cap: 0,
+            discount: 0,
+            conversionType: "pre",
+        });
     } else if (type === CapTableRowType.Series) {
-        state.rowData.push({ id, type, name: "New Investor", investment: 0 });
+        state.rowData.push({ id, type, name: "New Investor", investment: 0, antiDilution: "none" });
+    } else if (type === CapTableRowType.Secondary) {
+        const sellers = state.rowData.filter((r) => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool");
+        const seller = sellers.find((r) => r.category === "Founder") || sellers[0];
+        const buyer = state.rowData.find((r) => r.type === CapTableRowType.Series);
+        state.rowData.push({
+            id,
+            type,
+            name: "Secondary sale",
+            sellerId: seller ? seller.id : "",
+            buyerId: buyer ? buyer.id : "",
+            shares: 0,
+            discount: 0,
+        });
     }
     updateUI();
 };
 
 window.deleteRow = (id) => {
+    if (isReadOnlyView) return;
     const row = state.rowData.find((r) => r.id === id);
     if (!row) return;
 
@@ -1576,14 +3591,272 @@ window.deleteRow = (id) => {
 };
 
 window.togglePricedRound = () => {
-    state.pricedRounds = state.pricedRounds === 0 ? 1 : 0;
+    // Follow-on rounds are built on the first priced round, so they go with it.
+    if (state.pricedRounds > 0) state.followOnRounds = [];
+    state.pricedRounds = state.pricedRounds === 0 ? 1 + state.followOnRounds.length : 0;
     const btn = document.getElementById("toggle-priced-btn");
     if (btn) btn.textContent = state.pricedRounds > 0 ? "Remove Priced Round" : "Add Priced Round";
     updateUI();
 };
 
+const nextRoundName = (roundName) => {
+    const match = /^Series ([A-Y])$/i.exec((roundName || "").trim());
+    if (match) return `Series ${String.fromCharCode(match[1].toUpperCase().charCodeAt(0) + 1)}`;
+    return `Round ${state.followOnRounds.length + 2}`;
+};
+
+window.addFollowOnRound = () => {
+    if (isReadOnlyView) return;
+    const lastRound = state.followOnRounds[state.followOnRounds.length - 1];
+    const lastRoundName = lastRound ? lastRound.roundName : state.roundName;
+    const lastPreMoney = lastRound ? lastRound.preMoney : state.preMoney;
+    const lastRaise = lastRound
+        ? lastRound.investors.reduce((a, inv) => a + inv.investment, 0)
+        : state.rowData.filter((r) => r.type === CapTableRowType.Series).reduce((a, r) => a + r.investment, 0);
+
+    state.followOnRounds.push({
+        id: generateRowId(),
+        roundName: nextRoundName(lastRoundName),
+        preMoney: lastPreMoney * 3,
+        targetOptionsPool: null,
+        investors: [{ id: generateRowId(), name: "New Investor", investment: lastRaise * 2 }],
+        // Standard stack: each new round is senior to the ones before it.
+        liquidationPreference: {
+            multiple: 1,
+            participating: false,
+            participationCap: null,
+            seniority: state.followOnRounds.length + 2,
+        },
+    });
+    state.pricedRounds = 1 + state.followOnRounds.length;
+    updateUI();
+};
+
+window.deleteFollowOnRound = (roundId) => {
+    if (isReadOnlyView) return;
+    // Later rounds are built on top of this one, so they go with it.
+    const idx = state.followOnRounds.findIndex((r) => r.id === roundId);
+    if (idx === -1) return;
+    state.followOnRounds = state.followOnRounds.slice(0, idx);
+    state.pricedRounds = 1 + state.followOnRounds.length;
+    updateUI();
+};
+
+window.updateFollowOnRound = (roundId, field, value) => {
+    const round = state.followOnRounds.find((r) => r.id === roundId);
+    if (!round) return;
+    markHistoryField(`round:${roundId}:${field}`);
+    if (field === "preMoney") {
+        round[field] = stringToNumber(value);
+    } else if (field === "targetOptionsPool") {
+        round[field] = value === "" ? null : stringToNumber(value);
+    } else {
+        round[field] = value;
+    }
+    updateUI();
+};
+
+window.addFollowOnInvestor = (roundId) => {
+    if (isReadOnlyView) return;
+    const round = state.followOnRounds.find((r) => r.id === roundId);
+    if (!round) return;
+    round.investors.push({ id: generateRowId(), name: "New Investor", investment: 0 });
+    updateUI();
+};
+
+window.updateFollowOnInvestor = (roundId, investorId, field, value) => {
+    const round = state.followOnRounds.find((r) => r.id === roundId);
+    const investor = round && round.investors.find((inv) => inv.id === investorId);
+    if (!investor) return;
+    markHistoryField(`investor:${investorId}:${field}`);
+    investor[field] = field === "investment" ? stringToNumber(value) : value;
+    updateUI();
+};
+
+window.deleteFollowOnInvestor = (roundId, investorId) => {
+    if (isReadOnlyView) return;
+    const round = state.followOnRounds.find((r) => r.id === roundId);
+    if (!round || round.investors.length <= 1) return;
+    round.investors = round.investors.filter((inv) => inv.id !== investorId);
+    updateUI();
+};
+
+window.updatePreferenceTerms = (roundId, field, value) => {
+    const terms = roundId === PRIMARY_ROUND_ID
+        ? state.liquidationPreference
+        : state.followOnRounds.find((r) => r.id === roundId)?.liquidationPreference;
+    if (!terms) return;
+    markHistoryField(`preference:${roundId}:${field}`);
+    if (field === "participating") {
+        terms[field] = value === true || value === "true";
+    } else if (field === "participationCap") {
+        terms[field] = value === "" ? null : stringToNumber(value);
+    } else {
+        terms[field] = stringToNumber(value);
+    }
+    updateUI();
+};
+
+const showGoalSeekMessage = (message, type = 'success') => {
+    const messageEl = document.getElementById("goal-seek-message");
+    if (!messageEl) {
+        showToast(message, type);
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.style.display = "block";
+    messageEl.style.color = type === 'error' ? "#dc2626" : "#444266";
+};
+
+window.updateGoalSeek = (field, value) => {
+    if (field === "targetPct") {
+        state.goalSeek.targetPct = value === "" ? null : stringToNumber(value);
+    } else {
+        state.goalSeek[field] = value;
+    }
+};
+
+window.solveForPreMoney = () => {
+    const { metric, targetPct } = state.goalSeek;
+    const holderLabel = metric === "investor" ? "New investors" : "Founders";
+
+    if (!(targetPct > 0 && targetPct < 100)) {
+        showGoalSeekMessage("Enter a target ownership between 0% and 100%.", 'error');
+        return;
+    }
+
+    const safeErrors = checkSafeNotesForErrors(populateSafeCaps(getConvertibleRows(state.rowData), state.preMoney));
+    if (Object.keys(safeErrors).length > 0) {
+        showGoalSeekMessage("Fix the SAFE and note errors before solving for a valuation.", 'error');
+        return;
+    }
+
+    if (metric === "investor" && !state.rowData.some((r) => r.type === CapTableRowType.Series && r.investment > 0)) {
+        showGoalSeekMessage("Enter the new investors' investment before solving for their ownership.", 'error');
+        return;
+    }
+
+    const result = solvePreMoneyForTarget(state.rowData, state.targetOptionsPool, metric, targetPct / 100, getRoundingStrategy(state.rounding), getOptionPoolTerms(state.optionPool));
+
+    if (!result.reachable) {
+        const target = safeFormatPercent(targetPct / 100);
+        let reason;
+        if (!Number.isFinite(result.maxPct)) {
+            reason = "The round has no solution at any valuation: the SAFEs and notes convert into more of the company than there is to give. Check their caps against the round.";
+        } else if (metric === "founder" && targetPct / 100 > result.maxPct) {
+            reason = `Founders can own at most ${safeFormatPercent(result.maxPct)} after this round, even at an unlimited valuation: the SAFEs, notes and option pool target alone already dilute them below ${target}.`;
+        } else if (metric === "founder") {
+            reason = `Founders keep at least ${safeFormatPercent(result.minPct)} at any valuation the round can be solved at, so ${target} can't be reached.`;
+        } else if (targetPct / 100 > result.maxPct) {
+            reason = `New investors can own at most ${safeFormatPercent(result.maxPct)} with this investment, even at the lowest valuation the round can be solved at.`;
+        } else {
+            reason = `New investors own at least ${safeFormatPercent(result.minPct)} with this investment at any valuation, so ${target} can't be reached.`;
+        }
+        showGoalSeekMessage(reason, 'error');
+        return;
+    }
+
+    state.preMoney = result.preMoney;
+    fixRoundOnPreMoney();
+    updateUI();
+    showGoalSeekMessage(`${holderLabel} own ${safeFormatPercent(result.achievedPct)} at a ${formatUSDWithCommas(result.preMoney)} pre-money valuation.`);
+};
+
+const showLeadSeekMessage = (message, type = 'success') => {
+    const messageEl = document.getElementById("lead-seek-message");
+    if (!messageEl) {
+        showToast(message, type);
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.style.display = "block";
+    messageEl.style.color = type === 'error' ? "#dc2626" : "#444266";
+};
+
+window.updateLeadSeek = (field, value) => {
+    if (field === "targetPct") {
+        state.leadSeek.targetPct = value === "" ? null : stringToNumber(value);
+    } else {
+        state.leadSeek[field] = value;
+    }
+};
+
+window.solveForRoundSize = () => {
+    const { targetPct } = state.leadSeek;
+    const leadId = getLeadSeekLeadId();
+    const lead = state.rowData.find((r) => r.id === leadId && r.type === CapTableRowType.Series);
+
+    if (!lead) {
+        showLeadSeekMessage("Choose the lead investor first.", 'error');
+        return;
+    }
+    if (!(targetPct > 0 && targetPct < 100)) {
+        showLeadSeekMessage("Enter a target ownership between 0% and 100%.", 'error');
+        return;
+    }
+    if (state.preMoney <= 0) {
+        showLeadSeekMessage("Enter the pre-money valuation before solving for the round size.", 'error');
+        return;
+    }
+
+    const safeErrors = checkSafeNotesForErrors(populateSafeCaps(getConvertibleRows(state.rowData), state.preMoney));
+    if (Object.keys(safeErrors).length > 0) {
+        showLeadSeekMessage("Fix the SAFE and note errors before solving for the round size.", 'error');
+        return;
+    }
+
+    const result = solveInvestmentForTarget(state.rowData, state.preMoney, state.targetOptionsPool, lead.id, targetPct / 100, getRoundingStrategy(state.rounding), getOptionPoolTerms(state.optionPool));
+    if (!result.reachable && !Number.isFinite(result.maxPct)) {
+        showLeadSeekMessage("The round has no solution at this pre-money valuation for any investment: the SAFEs and notes convert into more of the company than there is to give.", 'error');
+        return;
+    }
+    if (!result.reachable) {
+        showLeadSeekMessage(`${lead.name} can own at most ${safeFormatPercent(result.maxPct)} at this pre-money valuation, once the option pool target and the other investors are accounted for.`, 'error');
+        return;
+    }
+
+    lead.investment = result.investment;
+    fixRoundOnPreMoney();
+    updateUI();
+    showLeadSeekMessage(`${lead.name} owns ${safeFormatPercent(result.achievedPct)} post-round with a ${formatUSDWithCommas(result.investment)} investment.`);
+};
+
+window.updateSensitivity = (field, value) => {
+    markHistoryField(`sensitivity:${field}`);
+    if (field === "metric") {
+        state.sensitivity.metric = value;
+    } else {
+        state.sensitivity[field] = value === "" ? null : stringToNumber(value);
+    }
+    updateUI();
+};
+
+window.loadSensitivityScenario = (preMoneyIdx, raiseIdx) => {
+    const currentRaise = state.rowData
+        .filter((r) => r.type === CapTableRowType.Series)
+        .reduce((a, r) => a + r.investment, 0);
+    const { preMoneyValues, raiseValues } = getSensitivityRanges(currentRaise);
+    const preMoney = preMoneyValues[preMoneyIdx];
+    const raise = raiseValues[raiseIdx];
+    if (preMoney === undefined || raise === undefined) return;
+
+    // Pin the ranges first so the grid doesn't re-center on the scenario just loaded.
+    state.sensitivity = {
+        ...state.sensitivity,
+        preMoneyMin: preMoneyValues[0],
+        preMoneyMax: preMoneyValues[preMoneyValues.length - 1],
+        raiseMin: raiseValues[0],
+        raiseMax: raiseValues[raiseValues.length - 1],
+    };
+    state.preMoney = preMoney;
+    fixRoundOnPreMoney();
+    state.rowData = scaleSeriesInvestments(state.rowData, raise);
+    updateUI();
+};
+
 window.updateGlobal = (field, value) => {
-    if (field === "preMoney" || field === "targetOptionsPool") {
+    markHistoryField(`global:${field}`);
+    if (field === "preMoney" || field === "targetOptionsPool" || field === "exitValue") {
         state[field] = stringToNumber(value);
     } else {
         state[field] = value;
@@ -1621,8 +3894,25 @@ window.calculateSafeDiscount_UI = (btn) => {
     showToast(`Discount calculated based on Cap: ${discountPct}%`, "success");
 };
 
-window.initSAFEApp = () => {
+window.initSAFEApp = async () => {
     try {
+        const store = readWorksheetStore();
+        const shared = await readSharedWorksheetLink();
+        if (shared) {
+            state = shared.state;
+            isReadOnlyView = shared.readOnly;
+            if (isReadOnlyView) {
+                activeWorksheetId = null;
+            } else {
+                // An editable link opens as a new worksheet; drop the fragment so a refresh doesn't import it twice.
+                state.name = uniqueWorksheetName(state.name, store.worksheets);
+                activeWorksheetId = generateRowId();
+                clearShareLinkFromUrl();
+            }
+        } else {
+            const lastWorksheet = store.worksheets.find((ws) => ws.id === store.activeId);
+            if (lastWorksheet) loadWorksheet(lastWorksheet);
+        }
         updateUI();
     } catch (e) {
         console.error("Initialization error:", e);
@@ -1950,38 +4240,27 @@ const prepareReportData = () => {
     const founderDilution = getVal('founder-dilution-val');
     const postMoney = getVal('post-money-val');
 
+    // The same pipeline as the page, so pro-rata rows added to the round are in the report too.
+    const results = calculateScenario(state);
+    if (!results.ready) throw new Error("Enter the priced round terms and fix any errors before creating a report.");
+
     const totalRaisedVal = state.rowData
-        .filter(r => r.type === CapTableRowType.Safe || r.type === CapTableRowType.Series)
-        .reduce((sum, r) => sum + (r.investment || 0), 0);
+        .filter(r => r.type === CapTableRowType.Safe || r.type === CapTableRowType.Series || r.type === CapTableRowType.Note)
+        .reduce((sum, r) => sum + (r.type === CapTableRowType.Note ? r.principal : r.investment || 0), 0) +
+        (results.proRataAdded ? results.proRata.totalAmount : 0);
     const totalRaised = formatUSDWithCommas(totalRaisedVal);
 
     // =========================================================================
     // SNAPSHOT 2: PRE-ROUND (Post-SAFE)
     // =========================================================================
-    const preRound = buildEstimatedPreRoundCapTable(state.rowData);
+    const preRound = results.preRound;
 
     // =========================================================================
     // SNAPSHOT 3: POST-ROUND
     // =========================================================================
-    const rawSafes = state.rowData.filter(r => r.type === CapTableRowType.Safe);
-    const populatedSafes = populateSafeCaps(rawSafes);
-    const seriesInvs = state.rowData
-        .filter(r => r.type === CapTableRowType.Series)
-        .map(r => r.investment);
-
+    const populatedSafes = results.safes;
     const unusedOptionsValue = state.rowData.find(r => r.id === "UnusedOptionsPool")?.shares || 0;
-    const commonSharesOnly = state.rowData.filter(r => r.type === CapTableRowType.Common && r.id !== "UnusedOptionsPool").reduce((sum, r) => sum + r.shares, 0);
-
-    const pricedConversion = fitConversion(
-        state.preMoney,
-        commonSharesOnly,
-        populatedSafes,
-        unusedOptionsValue,
-        state.targetOptionsPool,
-        seriesInvs
-    );
-
-    const pricedTable = buildPricedRoundCapTable(pricedConversion, state.rowData);
+    const pricedTable = results.postRound;
 
     const rows = [
         ...pricedTable.common.map(r => ({
@@ -1997,6 +4276,30 @@ const prepareReportData = () => {
             let badge = null;
             let badgeStyle = "";
             const safeMatch = populatedSafes.find(s => s.id === r.id);
+
+            if (r.type === CapTableRowType.Note) {
+                return {
+                    name: r.name,
+                    preShares: preRound.safes.find(ps => ps.id === r.id)?.shares || 0,
+                    postShares: r.shares,
+                    badge: "Convertible note",
+                    badgeStyle: "border-[#ddd6fe] bg-[#ede9fe] text-[#5b21b6]",
+                    isFounder: false,
+                    isSafe: false,
+                    isNote: true,
+                    isInvestor: false,
+                    principal: r.principal,
+                    accruedInterest: r.accruedInterest,
+                    investment: r.investment,
+                    interestRate: (r.interestRate * 100).toFixed(2) + "% " + r.interestType,
+                    issueDate: r.issueDate,
+                    maturityDate: r.maturityDate,
+                    conversionDate: r.conversionDate,
+                    cap: safeMatch?.cap || 0,
+                    discount: r.discount ? (r.discount * 100).toFixed(0) + "%" : "None",
+                    type: r.conversionType ? r.conversionType.charAt(0).toUpperCase() + r.conversionType.slice(1) + "-money" : "N/A"
+                };
+            }
             
             if (isMFN(r)) {
                 badge = "MFN SAFE";
@@ -2086,10 +4389,642 @@ const prepareReportData = () => {
         },
         rows: rows,
         safeAmount: state.rowData.filter(r => r.type === CapTableRowType.Safe).reduce((sum, r) => sum + (r.investment || 0), 0),
-        optionPool: (state.targetOptionsPool || 0) + "%"
+        noteAmount: state.rowData.filter(r => r.type === CapTableRowType.Note).reduce((sum, r) => sum + (r.principal || 0), 0),
+        optionPool: describeOptionPoolTarget()
+    };
+};
+
+// =========================================================================
+// SPREADSHEET EXPORT (CSV / XLSX)
+// =========================================================================
+const SPREADSHEET_FORMATS = {
+    shares: '#,##0',
+    currency: '$#,##0.00',
+    pps: '$0.00000000',
+    pct: '0.00%',
+};
+
+const checkXLSXDependency = () => {
+    if (!window.XLSX) {
+        alert("Excel export failed: SheetJS (XLSX) library not found. Please ensure the SheetJS script is included in your Webflow page settings.");
+        console.error("Dependency Missing: XLSX");
+        return false;
+    }
+    return true;
+};
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Breakdown and summary data for the spreadsheet exports, read from the engine results
+ * at full precision rather than from the formatted table. Percentages are fractions
+ * (0.25 = 25%); a null value means the holder has no position in that column.
+ * Returns null when the worksheet has no valid priced round.
+ */
+const buildSpreadsheetExport = () => {
+    const results = calculateScenario(state);
+    if (!results.ready) return null;
+    const { preRound, postRound, pricedConversion, followOnSteps } = results;
+
+    const preRows = getRowData(preRound);
+    const postRows = getRowData(postRound);
+    const stepRows = followOnSteps.map((step) => getRowData(step.postRound));
+    const allIds = Array.from(new Set([
+        ...preRows.map((r) => r.id),
+        ...postRows.map((r) => r.id),
+        ...stepRows.flatMap((rows) => rows.map((r) => r.id)),
+    ]));
+
+    const columns = [
+        { header: 'Holder', key: 'name' },
+        { header: 'Category', key: 'category' },
+        { header: 'Instruments', key: 'instruments' },
+        { header: 'Pre-round shares', key: 'preShares', format: 'shares' },
+        { header: 'Post-round shares', key: 'postShares', format: 'shares' },
+        { header: 'Pre-round %', key: 'prePct', format: 'pct' },
+        { header: 'Post-round %', key: 'postPct', format: 'pct' },
+        { header: 'Price per share', key: 'pps', format: 'pps' },
+        ...followOnSteps.map((step, i) => ({ header: `After ${step.roundName || 'priced round'} %`, key: `step${i}Pct`, format: 'pct' })),
+    ];
+
+    const rows = allIds.map((id) => {
+        const pre = preRows.find((r) => r.id === id);
+        const post = postRows.find((r) => r.id === id);
+        const steps = stepRows.map((stRows) => stRows.find((r) => r.id === id) || { shares: 0, ownershipPct: 0 });
+        const holder = post || pre || steps.find((st) => st.name);
+
+        const row = {
+            name: holder.name,
+            category: holder.category,
+            instruments: getBreakdownTags(id, pre || { shares: 0 }, post || { shares: 0 }, postRound, steps).map((tag) => tag.label).join('; '),
+            preShares: pre && pre.shares > 0 ? pre.shares : null,
+            postShares: post && post.shares > 0 ? post.shares : null,
+            prePct: pre && pre.shares > 0 ? pre.ownershipPct : null,
+            postPct: post && post.shares > 0 ? post.ownershipPct : null,
+            pps: post && post.shares > 0 && post.pps_val ? post.pps_val : null,
+        };
+        steps.forEach((st, i) => row[`step${i}Pct`] = st.shares > 0 ? st.ownershipPct : null);
+        return row;
+    });
+
+    rows.push({
+        name: 'Total',
+        preShares: preRound.total.shares,
+        postShares: postRound.total.shares,
+        prePct: 1,
+        postPct: 1,
+        ...Object.fromEntries(followOnSteps.map((step, i) => [`step${i}Pct`, 1])),
+    });
+
+    const summary = [
+        ['Worksheet', state.name],
+        ['Round', state.roundName || 'Priced round'],
+        ['Round priced from', ROUND_INPUT_LABELS[results.roundInput.basis]],
+        ['Pre-money valuation', state.preMoney, 'currency'],
+        ['Price per share', pricedConversion.pps, 'pps'],
+        ['Post-money valuation', results.postMoney, 'currency'],
+        ['New money raised', pricedConversion.totalSeriesInvestment, 'currency'],
+        ...(postRound.secondarySales.length > 0 ? [['Secondary sales (cash to sellers)', postRound.secondarySales.reduce((a, sale) => a + sale.proceeds, 0), 'currency']] : []),
+        ['New option pool shares', pricedConversion.additionalOptions, 'shares'],
+        ['Option pool after round', postRound.refreshedOptionsPool.shares, 'shares'],
+        ['Total post-round shares', postRound.total.shares, 'shares'],
+        ['Founder ownership before round', results.founderPctPre, 'pct'],
+        ['Founder ownership after round', results.founderPctPost, 'pct'],
+        ['Founder dilution (percentage points)', results.dilution, 'pct'],
+        ...followOnSteps.map((step) => [`Founder ownership after ${step.roundName || 'priced round'}`, step.founderPct, 'pct']),
+        ['Exported at', new Date().toISOString()],
+    ];
+
+    return { columns, rows, summary };
+};
+
+const toCSV = (table) => table
+    .map((cells) => cells.map((cell) => {
+        if (cell === null || cell === undefined || (typeof cell === 'number' && !Number.isFinite(cell))) return '';
+        const text = String(cell);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\r\n');
+
+const getExportData = () => {
+    const data = buildSpreadsheetExport();
+    if (!data) showToast('Fix the errors in the calculator before exporting.', 'error');
+    return data;
+};
+
+// `sheet` is 'breakdown' (one row per holder) or 'summary' (round totals); CSV holds one sheet per file.
+window.exportBreakdownCSV = (sheet = 'breakdown') => {
+    const data = getExportData();
+    if (!data) return;
+    const table = sheet === 'summary'
+        ? [['Metric', 'Value'], ...data.summary.map(([label, value]) => [label, value])]
+        : [data.columns.map((c) => c.header), ...data.rows.map((row) => data.columns.map((c) => row[c.key]))];
+    const fileName = `SAFE_Calculator_${sheet === 'summary' ? 'Summary' : 'Breakdown'}_${new Date().toISOString().split('T')[0]}.csv`;
+    // Leading BOM so Excel opens the file as UTF-8.
+    downloadBlob(new Blob(['\uFEFF' + toCSV(table)], { type: 'text/csv;charset=utf-8' }), fileName);
+    showToast('CSV downloaded!', 'success');
+};
+
+window.exportBreakdownXLSX = () => {
+    if (!checkXLSXDependency()) return;
+    const data = getExportData();
+    if (!data) return;
+    const XLSX = window.XLSX;
+
+    // Cells keep the raw engine values; the number format only changes how Excel shows them.
+    const applyFormat = (sheet, rowIdx, colIdx, format) => {
+        const cell = sheet[XLSX.utils.encode_cell({ r: rowIdx, c: colIdx })];
+        if (cell && cell.t === 'n' && format) cell.z = SPREADSHEET_FORMATS[format];
+    };
+
+    const breakdown = XLSX.utils.aoa_to_sheet([
+        data.columns.map((c) => c.header),
+        ...data.rows.map((row) => data.columns.map((c) => row[c.key] ?? null)),
+    ]);
+    data.rows.forEach((row, r) => data.columns.forEach((c, col) => applyFormat(breakdown, r + 1, col, c.format)));
+    breakdown['!cols'] = data.columns.map((c) => ({ wch: Math.max(12, c.header.length + 2) }));
+
+    const summary = XLSX.utils.aoa_to_sheet([
+        ['Metric', 'Value'],
+        ...data.summary.map(([label, value]) => [label, Number.isFinite(value) || typeof value === 'string' ? value : null]),
+    ]);
+    data.summary.forEach(([, , format], r) => applyFormat(summary, r + 1, 1, format));
+    summary['!cols'] = [{ wch: 38 }, { wch: 20 }];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, summary, 'Summary');
+    XLSX.utils.book_append_sheet(workbook, breakdown, 'Breakdown');
+    XLSX.writeFile(workbook, `SAFE_Calculator_${new Date().toISOString().split('T')[0]}.xlsx`);
+    showToast('Excel file downloaded!', 'success');
+};
+
+// =========================================================================
+// OPEN CAP FORMAT (OCF) IMPORT / EXPORT
+// =========================================================================
+const OCF_VERSION = '1.2.0';
+const OCF_COMMON_CLASS_ID = 'common-stock';
+// The modeled (not yet closed) priced round is exported as its own preferred class,
+// so an import can tell it apart from preferred stock of earlier, closed rounds.
+const OCF_ROUND_CLASS_ID = 'modeled-priced-round';
+const OCF_STOCK_PLAN_ID = 'option-plan';
+const OCF_APPLIED_TRANSACTIONS = [
+    'TX_STOCK_ISSUANCE', 'TX_STOCK_CANCELLATION', 'TX_STOCK_REPURCHASE', 'TX_CONVERTIBLE_ISSUANCE',
+    'TX_CONVERTIBLE_CONVERSION', 'TX_EQUITY_COMPENSATION_ISSUANCE', 'TX_STOCK_PLAN_POOL_ADJUSTMENT',
+];
+
+const ocfMoney = (amount) => ({ amount: String(amount), currency: 'USD' });
+const ocfToday = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Builds a single-file OCF bundle (manifest plus stakeholders, stock classes, stock plans
+ * and transactions) from a worksheet. The modeled priced round, when there is one, is
+ * written as stock issuances, SAFE conversions and a pool adjustment.
+ * Returns { bundle, warnings } listing anything OCF can't carry.
+ */
+const buildOCFBundle = (scenario) => {
+    const warnings = [];
+    const today = ocfToday();
+    const stakeholders = [];
+    const transactions = [];
+    const stockPlans = [];
+    let issuanceCount = 0;
+
+    const addStakeholder = (row, relationship, stakeholderType) => {
+        const id = `stakeholder-${row.id}`;
+        stakeholders.push({
+            id,
+            object_type: 'STAKEHOLDER',
+            name: { legal_name: row.name || 'Unnamed holder' },
+            stakeholder_type: stakeholderType,
+            current_relationship: relationship,
+        });
+        return id;
+    };
+    const addStockIssuance = (securityId, stakeholderId, stockClassId, quantity, sharePrice, costBasis) => {
+        issuanceCount++;
+        transactions.push({
+            id: `tx-${securityId}`,
+            object_type: 'TX_STOCK_ISSUANCE',
+            date: today,
+            security_id: securityId,
+            custom_id: `${stockClassId === OCF_COMMON_CLASS_ID ? 'CS' : 'PS'}-${issuanceCount}`,
+            stakeholder_id: stakeholderId,
+            stock_class_id: stockClassId,
+            share_price: ocfMoney(sharePrice),
+            quantity: String(quantity),
+            ...(costBasis !== undefined && { cost_basis: ocfMoney(costBasis) }),
+            security_law_exemptions: [],
+            stock_legend_ids: [],
+        });
+    };
+
+    scenario.rowData
+        .filter((r) => r.type === CapTableRowType.Common && r.id !== 'UnusedOptionsPool')
+        .forEach((row) => {
+            const stakeholderId = addStakeholder(row, row.category === 'Founder' ? 'FOUNDER' : 'INVESTOR', 'INDIVIDUAL');
+            addStockIssuance(`security-${row.id}`, stakeholderId, OCF_COMMON_CLASS_ID, row.shares, 0);
+        });
+
+    const poolRow = scenario.rowData.find((r) => r.id === 'UnusedOptionsPool');
+    if (poolRow) {
+        stockPlans.push({
+            id: OCF_STOCK_PLAN_ID,
+            object_type: 'STOCK_PLAN',
+            plan_name: poolRow.name || 'Option pool',
+            initial_shares_reserved: String(poolRow.shares),
+            stock_class_ids: [OCF_COMMON_CLASS_ID],
+        });
+    }
+
+    getConvertibleRows(scenario.rowData).forEach((row) => {
+        const isNote = row.type === CapTableRowType.Note;
+        const stakeholderId = addStakeholder(row, 'INVESTOR', 'INSTITUTION');
+        const terms = {
+            ...(row.cap > 0 && !isMFN(row) && { conversion_valuation_cap: ocfMoney(row.cap) }),
+            ...(row.discount > 0 && !isMFN(row) && { conversion_discount: String(row.discount) }),
+            conversion_timing: row.conversionType === 'pre' ? 'PRE_MONEY' : 'POST_MONEY',
+        };
+        const mechanism = isNote
+            ? {
+                type: 'CONVERTIBLE_NOTE_CONVERSION',
+                interest_rates: [{ rate: String(row.interestRate || 0), accrual_start_date: row.issueDate }],
+                day_count_convention: 'ACTUAL_365',
+                interest_payout: 'DEFERRED',
+                interest_accrual_period: 'ANNUAL',
+                compounding_type: row.interestType === 'compound' ? 'COMPOUNDING' : 'SIMPLE',
+                ...terms,
+            }
+            : { type: 'SAFE_CONVERSION', conversion_mfn: isMFN(row), ...terms };
+        if (row.conversionType === 'ycmfn') {
+            warnings.push(`"${row.name}" is a YC MFN SAFE. OCF only records that it is an MFN SAFE.`);
+        }
+
+        transactions.push({
+            id: `tx-issue-${row.id}`,
+            object_type: 'TX_CONVERTIBLE_ISSUANCE',
+            date: (isNote && row.issueDate) || today,
+            security_id: `security-${row.id}`,
+            custom_id: `${isNote ? 'NOTE' : 'SAFE'}-${row.id}`,
+            stakeholder_id: stakeholderId,
+            investment_amount: ocfMoney(isNote ? row.principal : row.investment),
+            convertible_type: isNote ? 'NOTE' : 'SAFE',
+            conversion_triggers: [{
+                type: 'AUTOMATIC_ON_CONDITION',
+                trigger_id: `trigger-${row.id}`,
+                trigger_condition: 'Next equity financing',
+                conversion_right: { type: 'CONVERTIBLE_CONVERSION_RIGHT', conversion_mechanism: mechanism, converts_to_future_round: true },
+            }],
+            ...(isNote && row.maturityDate && { maturity_date: row.maturityDate }),
+            seniority: 1,
+            security_law_exemptions: [],
+        });
+    });
+
+    const stockClasses = [];
+    const results = calculateScenario(scenario);
+    if (results.ready) {
+        const { pricedConversion, postRound } = results;
+        const terms = scenario.liquidationPreference;
+        const roundName = scenario.roundName || 'Priced round';
+
+        postRound.safes.forEach((safe) => {
+            const row = scenario.rowData.find((r) => r.id === safe.id);
+            const convertedId = `security-${safe.id}-converted`;
+            addStockIssuance(convertedId, `stakeholder-${safe.id}`, OCF_ROUND_CLASS_ID, safe.shares, safe.pps);
+            transactions.push({
+                id: `tx-convert-${safe.id}`,
+                object_type: 'TX_CONVERTIBLE_CONVERSION',
+                // A note's conversion date drives its accrued interest, so keep it.
+                date: (row?.type === CapTableRowType.Note && row.conversionDate) || today,
+                security_id: `security-${safe.id}`,
+                resulting_security_ids: [convertedId],
+                reason_text: `Converts in the ${roundName}`,
+            });
+        });
+        postRound.series.forEach((series) => {
+            const row = scenario.rowData.find((r) => r.id === series.id) || series;
+            const stakeholderId = addStakeholder(row, 'INVESTOR', 'INSTITUTION');
+            addStockIssuance(`security-${series.id}`, stakeholderId, OCF_ROUND_CLASS_ID, series.shares, pricedConversion.pps, row.investment);
+        });
+        if (pricedConversion.additionalOptions > 0 && poolRow) {
+            transactions.push({
+                id: 'tx-pool-top-up',
+                object_type: 'TX_STOCK_PLAN_POOL_ADJUSTMENT',
+                date: today,
+                stock_plan_id: OCF_STOCK_PLAN_ID,
+                shares_reserved: String(postRound.refreshedOptionsPool.shares),
+            });
+        }
+
+        const preferredShares = postRound.safes.reduce((a, s) => a + s.shares, 0) + postRound.series.reduce((a, s) => a + s.shares, 0);
+        stockClasses.push({
+            id: OCF_ROUND_CLASS_ID,
+            object_type: 'STOCK_CLASS',
+            name: `${roundName} Preferred`,
+            class_type: 'PREFERRED',
+            default_id_prefix: 'PS-',
+            initial_shares_authorized: String(preferredShares),
+            votes_per_share: '1',
+            seniority: String(terms.seniority),
+            price_per_share: ocfMoney(pricedConversion.pps),
+            liquidation_preference_multiple: String(terms.multiple),
+            ...(terms.participating && terms.participationCap && { participation_cap_multiple: String(terms.participationCap) }),
+            conversion_rights: [],
+        });
+        if (terms.participating && !terms.participationCap) {
+            warnings.push(`OCF has no field for uncapped participation, so the ${roundName} preferred is exported as non-participating.`);
+        }
+        if (scenario.rowData.some((r) => r.antiDilution && r.antiDilution !== 'none')) {
+            warnings.push('Anti-dilution protection settings are not exported.');
+        }
+        if ((scenario.followOnRounds || []).length > 0) {
+            warnings.push(`Only the ${roundName} is exported. Later rounds are not.`);
+        }
+    } else {
+        warnings.push('There is no valid priced round yet, so only the current cap table was exported.');
+    }
+
+    stockClasses.unshift({
+        id: OCF_COMMON_CLASS_ID,
+        object_type: 'STOCK_CLASS',
+        name: 'Common Stock',
+        class_type: 'COMMON',
+        default_id_prefix: 'CS-',
+        initial_shares_authorized: String(results.ready ? results.postRound.total.shares : scenario.rowData
+            .filter((r) => r.type === CapTableRowType.Common)
+            .reduce((a, r) => a + r.shares, 0)),
+        votes_per_share: '1',
+        seniority: '1',
+        conversion_rights: [],
+    });
+
+    const file = (fileType, items) => ({ file_type: fileType, items });
+    return {
+        warnings,
+        bundle: {
+            manifest: {
+                file_type: 'OCF_MANIFEST_FILE',
+                ocf_version: OCF_VERSION,
+                as_of_date: today,
+                generated_at: new Date().toISOString(),
+                issuer: { id: 'issuer', object_type: 'ISSUER', legal_name: scenario.name || 'Company', country_of_formation: 'US' },
+                comments: ['Single-file bundle: the files listed below are embedded next to this manifest.'],
+                stakeholders_files: [{ filepath: 'stakeholders' }],
+                stock_classes_files: [{ filepath: 'stock_classes' }],
+                stock_plans_files: [{ filepath: 'stock_plans' }],
+                transactions_files: [{ filepath: 'transactions' }],
+            },
+            stakeholders: file('OCF_STAKEHOLDERS_FILE', stakeholders),
+            stock_classes: file('OCF_STOCK_CLASSES_FILE', stockClasses),
+            stock_plans: file('OCF_STOCK_PLANS_FILE', stockPlans),
+            transactions: file('OCF_TRANSACTIONS_FILE', transactions),
+        },
+    };
+};
+
+// Collects OCF objects from a single-file bundle, a bare `{ items }` file or a plain array.
+const collectOCFObjects = (bundle) => {
+    if (Array.isArray(bundle)) return bundle.filter((o) => o && typeof o === 'object');
+    if (!bundle || typeof bundle !== 'object') return [];
+    if (Array.isArray(bundle.items)) return collectOCFObjects(bundle.items);
+    return Object.values(bundle).flatMap((value) =>
+        Array.isArray(value) || (value && Array.isArray(value.items)) ? collectOCFObjects(value) : []);
+};
+
+const ocfAmount = (money, warnings) => {
+    if (!money) return 0;
+    if (money.currency && money.currency !== 'USD') {
+        warnings.add(`Amounts in ${money.currency} were read as US dollars.`);
+    }
+    const value = Number(money.amount);
+    return Number.isFinite(value) ? value : 0;
+};
+
+/**
+ * Reads an OCF bundle into worksheet rows. Stakeholders' common holdings become common rows,
+ * stock plans become the `UnusedOptionsPool` row, SAFEs and notes become convertible rows and
+ * the modeled priced round (if the bundle has one) becomes series rows.
+ * Returns { rowData, roundName, liquidationPreference, warnings }; throws if there's no cap table.
+ */
+const parseOCFBundle = (bundle) => {
+    const objects = collectOCFObjects(bundle);
+    const warnings = new Set();
+    const ofType = (type) => objects.filter((o) => o.object_type === type);
+    const stakeholders = new Map(ofType('STAKEHOLDER').map((s) => [s.id, s]));
+    const stockClasses = new Map(ofType('STOCK_CLASS').map((c) => [c.id, c]));
+    // Imported names end up in innerHTML like linked ones, so they get the same cleanup.
+    const holderName = (id) => sanitizeLinkText(stakeholders.get(id)?.name?.legal_name, '') || 'Unnamed holder';
+
+    const ignored = objects.filter((o) => /^TX_/.test(o.object_type || '') && !OCF_APPLIED_TRANSACTIONS.includes(o.object_type));
+    const ignoredCounts = ignored.reduce((acc, o) => ({ ...acc, [o.object_type]: (acc[o.object_type] || 0) + 1 }), {});
+    Object.entries(ignoredCounts).forEach(([type, count]) => {
+        warnings.add(`${count} ${type} transaction${count === 1 ? ' was' : 's were'} ignored. The calculator can't apply ${count === 1 ? 'it' : 'them'}.`);
+    });
+
+    const roundClass = stockClasses.get(OCF_ROUND_CLASS_ID);
+    const roundIssuances = ofType('TX_STOCK_ISSUANCE').filter((tx) => roundClass && tx.stock_class_id === roundClass.id);
+    const roundDate = roundIssuances[0]?.date;
+    const conversions = ofType('TX_CONVERTIBLE_CONVERSION');
+    const roundSecurityIds = new Set(roundIssuances.map((tx) => tx.security_id));
+
+    // Shares still held per security, after cancellations and repurchases.
+    const reductions = [...ofType('TX_STOCK_CANCELLATION'), ...ofType('TX_STOCK_REPURCHASE')].reduce((acc, tx) => {
+        acc[tx.security_id] = (acc[tx.security_id] || 0) + (Number(tx.quantity) || 0);
+        return acc;
+    }, {});
+
+    const commonByHolder = new Map();
+    const addHolding = (stakeholderId, shares) => {
+        if (!(shares > 0)) return;
+        const holder = stakeholders.get(stakeholderId);
+        const existing = commonByHolder.get(stakeholderId);
+        if (existing) {
+            existing.shares += shares;
+            return;
+        }
+        commonByHolder.set(stakeholderId, {
+            id: generateRowId(),
+            type: CapTableRowType.Common,
+            name: holderName(stakeholderId),
+            shares,
+            category: holder?.current_relationship === 'FOUNDER' || holder?.current_relationships?.includes('FOUNDER') ? 'Founder' : 'Investor',
+        });
+    };
+
+    const seriesRows = [];
+    ofType('TX_STOCK_ISSUANCE').forEach((tx) => {
+        const quantity = Math.max(0, (Number(tx.quantity) || 0) - (reductions[tx.security_id] || 0));
+        if (roundSecurityIds.has(tx.security_id)) {
+            // Converted SAFE shares come back as the SAFE itself; everything else is a new investor.
+            if (conversions.some((c) => (c.resulting_security_ids || []).includes(tx.security_id))) return;
+            const investment = tx.cost_basis ? ocfAmount(tx.cost_basis, warnings) : quantity * ocfAmount(tx.share_price, warnings);
+            seriesRows.push({ id: generateRowId(), type: CapTableRowType.Series, name: holderName(tx.stakeholder_id), investment: Math.round(investment * 100) / 100 });
+            return;
+        }
+        const stockClass = stockClasses.get(tx.stock_class_id);
+        if (stockClass?.class_type === 'PREFERRED') {
+            warnings.add(`${stockClass.name || 'Preferred'} shares were imported as common shares. Their preferences aren't modeled before the round.`);
+        }
+        addHolding(tx.stakeholder_id, quantity);
+    });
+
+    const grants = ofType('TX_EQUITY_COMPENSATION_ISSUANCE');
+    grants.forEach((tx) => addHolding(tx.stakeholder_id, Number(tx.quantity) || 0));
+    if (grants.length > 0) {
+        warnings.add(`${grants.length} option grant${grants.length === 1 ? ' was' : 's were'} imported as fully diluted common shares.`);
+    }
+
+    const plans = ofType('STOCK_PLAN');
+    if (plans.length > 1) warnings.add(`${plans.length} stock plans were merged into one option pool.`);
+    const reserved = plans.reduce((total, plan) => {
+        const adjustments = ofType('TX_STOCK_PLAN_POOL_ADJUSTMENT')
+            .filter((tx) => tx.stock_plan_id === plan.id && tx.date !== roundDate)
+            .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        const latest = adjustments[adjustments.length - 1];
+        return total + (Number(latest ? latest.shares_reserved : plan.initial_shares_reserved) || 0);
+    }, 0);
+    const granted = grants
+        .filter((tx) => plans.some((plan) => plan.id === tx.stock_plan_id))
+        .reduce((a, tx) => a + (Number(tx.quantity) || 0), 0);
+    if (roundClass && ofType('TX_STOCK_PLAN_POOL_ADJUSTMENT').some((tx) => tx.date === roundDate)) {
+        warnings.add('The pool top-up of the modeled round was not imported. Set the target option pool again.');
+    }
+
+    const convertibleRows = [];
+    ofType('TX_CONVERTIBLE_ISSUANCE').forEach((tx) => {
+        const conversion = conversions.find((c) => c.security_id === tx.security_id);
+        if (conversion && !(conversion.resulting_security_ids || []).some((id) => roundSecurityIds.has(id))) {
+            return; // Already converted in a closed round; its shares were imported above.
+        }
+        const mechanism = tx.conversion_triggers?.[0]?.conversion_right?.conversion_mechanism || {};
+        const name = holderName(tx.stakeholder_id);
+        if ((tx.conversion_triggers || []).length > 1) {
+            warnings.add(`"${name}" has several conversion triggers. Only the first was imported.`);
+        }
+        const amount = ocfAmount(tx.investment_amount, warnings);
+        const cap = ocfAmount(mechanism.conversion_valuation_cap, warnings);
+        const discount = Number(mechanism.conversion_discount) || 0;
+        const conversionType = mechanism.conversion_mfn ? 'mfn' : mechanism.conversion_timing === 'PRE_MONEY' ? 'pre' : 'post';
+
+        if (mechanism.type === 'SAFE_CONVERSION') {
+            if (mechanism.capitalization_definition) {
+                warnings.add(`"${name}" has a custom capitalization definition. The calculator uses the standard one.`);
+            }
+            convertibleRows.push({
+                id: generateRowId(),
+                type: CapTableRowType.Safe,
+                name,
+                investment: amount,
+                cap: conversionType === 'mfn' ? 0 : cap,
+                discount: conversionType === 'mfn' ? 0 : discount,
+                conversionType,
+            });
+        } else if (mechanism.type === 'CONVERTIBLE_NOTE_CONVERSION') {
+            const rates = mechanism.interest_rates || [];
+            if (rates.length > 1) warnings.add(`"${name}" has a stepped interest rate. Only the first rate was imported.`);
+            if (mechanism.day_count_convention && mechanism.day_count_convention !== 'ACTUAL_365') {
+                warnings.add(`"${name}" uses ${mechanism.day_count_convention} day count. Interest is calculated on actual/365.`);
+            }
+            const issueDate = tx.date || ocfToday();
+            const maturity = new Date(issueDate);
+            maturity.setFullYear(maturity.getFullYear() + 2);
+            convertibleRows.push({
+                id: generateRowId(),
+                type: CapTableRowType.Note,
+                name,
+                principal: amount,
+                interestRate: Number(rates[0]?.rate) || 0,
+                interestType: mechanism.compounding_type === 'COMPOUNDING' ? 'compound' : 'simple',
+                issueDate,
+                maturityDate: tx.maturity_date || mechanism.maturity_date || maturity.toISOString().split('T')[0],
+                conversionDate: conversion?.date || roundDate || ocfToday(),
+                cap,
+                discount,
+                conversionType: mechanism.conversion_timing === 'POST_MONEY' ? 'post' : 'pre',
+            });
+        } else {
+            warnings.add(`"${name}" (${tx.convertible_type || 'convertible'}, ${mechanism.type || 'no conversion mechanism'}) can't be modeled and was skipped.`);
+        }
+    });
+
+    const commonRows = Array.from(commonByHolder.values());
+    if (commonRows.length === 0) throw new Error('The file has no stakeholders with shares.');
+
+    const poolShares = Math.max(0, reserved - granted);
+    return {
+        rowData: [
+            ...commonRows,
+            ...(plans.length > 0 ? [{ id: 'UnusedOptionsPool', type: CapTableRowType.Common, name: sanitizeLinkText(plans[0].plan_name, '') || 'Option pool', shares: poolShares, category: 'Option pool' }] : []),
+            ...convertibleRows,
+            ...seriesRows,
+        ],
+        roundName: roundClass ? sanitizeLinkText(String(roundClass.name || ''), '').replace(/\s*Preferred$/i, '') : null,
+        liquidationPreference: roundClass ? {
+            multiple: Number(roundClass.liquidation_preference_multiple) || 1,
+            participating: !!roundClass.participation_cap_multiple,
+            participationCap: Number(roundClass.participation_cap_multiple) || null,
+            seniority: Number(roundClass.seniority) || 1,
+        } : null,
+        hasRound: seriesRows.length > 0,
+        warnings: Array.from(warnings),
     };
 };
 
+const showOCFWarnings = (title, warnings) => {
+    const container = document.getElementById('ocf-warnings');
+    if (!container) {
+        if (warnings.length > 0) showToast(`${title}: ${warnings.length} item${warnings.length === 1 ? '' : 's'} couldn't be carried over.`, 'error');
+        return;
+    }
+    container.style.display = warnings.length > 0 ? 'block' : 'none';
+    container.innerHTML = warnings.length === 0 ? '' : `
+        <div style="font-family: 'Inter', sans-serif; font-size: 13px; color: #444266; background: #fffbeb; border: 1px solid #fde68a; border-radius: 6px; padding: 10px 12px;">
+            <strong style="color: #0d0a40;">${escapeHTML(title)}</strong>
+            <ul style="margin: 6px 0 0 18px; padding: 0;">${warnings.map((w) => `<li>${escapeHTML(w)}</li>`).join('')}</ul>
+        </div>
+    `;
+};
+
+window.exportOCF = () => {
+    const { bundle, warnings } = buildOCFBundle(state);
+    const fileName = `SAFE_Calculator_${new Date().toISOString().split('T')[0]}.ocf.json`;
+    downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), fileName);
+    showOCFWarnings('Exported to OCF with these limitations', warnings);
+    showToast('OCF file downloaded!', 'success');
+};
+
+window.importOCF = async (input) => {
+    const file = input?.files?.[0];
+    if (!file || isReadOnlyView) return;
+    try {
+        const imported = parseOCFBundle(JSON.parse(await file.text()));
+        // Without a modeled round in the file, the worksheet keeps its current round investors.
+        const keptSeries = imported.hasRound ? [] : state.rowData.filter((r) => r.type === CapTableRowType.Series);
+        state.rowData = [...imported.rowData, ...keptSeries];
+        if (imported.roundName) state.roundName = imported.roundName;
+        if (imported.liquidationPreference) state.liquidationPreference = imported.liquidationPreference;
+        if (!state.rowData.some((r) => r.id === 'UnusedOptionsPool')) state.targetOptionsPool = null;
+        clearGlobalErrors();
+        updateUI();
+        showOCFWarnings('Imported from OCF with these changes', imported.warnings);
+        showToast(`Imported ${imported.rowData.length} holdings from OCF`, 'success');
+    } catch (e) {
+        console.error('OCF import failed:', e);
+        showToast(e instanceof SyntaxError ? 'That file is not valid JSON.' : `Could not import: ${e.message}`, 'error');
+    } finally {
+        input.value = '';
+    }
+};
+
 window.downloadPDF = async function() {
     try {
         console.log("Starting PDF download flow...");
@@ -2127,15 +5062,7 @@ window.downloadPDF = async function() {
         }
         const byteArray = new Uint8Array(byteNumbers);
         const blob = new Blob([byteArray], { type: 'application/pdf' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `SAFE_Calculator_Report_${new Date().toISOString().split('T')[0]}.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, `SAFE_Calculator_Report_${new Date().toISOString().split('T')[0]}.pdf`);
 
         showToast('Report downloaded!', 'success');
     } catch (error) {
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const note = (interestType, issueDate, conversionDate) => ({
+    principal: 1000000,
+    interestRate: 0.08,
+    interestType,
+    issueDate,
+    conversionDate,
+});
+
+test("a compound note compounds each full year and earns simple interest on the stub", () => {
+    // 2023-01-01 to 2024-07-01 is 547 days: one full year, then 182 days.
+    const expected = 1000000 * 1.08 * (1 + 0.08 * 182 / 365) - 1000000;
+    assert.equal(engine.calculateAccruedInterest(note("compound", "2023-01-01", "2024-07-01")), Math.round(expected * 100) / 100);
+    // 2023-01-01 to 2025-01-01 is 731 days, as 2024 is a leap year: two full years and a day.
+    assert.equal(engine.calculateAccruedInterest(note("compound", "2023-01-01", "2025-01-01")), Math.round((1.08 * 1.08 * (1 + 0.08 / 365) - 1) * 1e8) / 100);
+});
+
+test("within the first year compound and simple interest agree", () => {
+    const simple = engine.calculateAccruedInterest(note("simple", "2023-01-01", "2023-10-01"));
+    assert.equal(engine.calculateAccruedInterest(note("compound", "2023-01-01", "2023-10-01")), simple);
+    assert.equal(simple, Math.round(1000000 * 0.08 * 273 / 365 * 100) / 100);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+// A Series A lead with anti-dilution protection, then two down rounds.
+const downRounds = (antiDilution) => ({
+    preMoney: 20000000,
+    targetOptionsPool: 10,
+    rowData: [
+        { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+        { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+        { id: "2", type: "safe", name: "Seed SAFE", investment: 1000000, cap: 10000000, discount: 0, conversionType: "post" },
+        { id: "3", type: "series", name: "Lead", investment: 5000000, antiDilution },
+    ],
+    followOnRounds: [
+        { id: "b", roundName: "Series B", preMoney: 15000000, targetOptionsPool: 10, investors: [{ id: "b1", name: "B lead", investment: 5000000 }] },
+        { id: "c", roundName: "Series C", preMoney: 10000000, targetOptionsPool: 10, investors: [{ id: "c1", name: "C lead", investment: 5000000 }] },
+    ],
+});
+
+const leadIn = (step) => step.rowData.find((r) => r.id === "3");
+
+for (const method of ["broad", "narrow", "full"]) {
+    test(`${method} anti-dilution in a third round starts from the price the second round set`, () => {
+        const results = engine.calculateScenario(downRounds(method));
+        const [seriesB, seriesC] = results.followOnSteps;
+        const [adjustmentB] = seriesB.antiDilution.adjustments;
+        const [adjustmentC] = seriesC.antiDilution.adjustments;
+        const lead = results.postRound.series.find((se) => se.id === "3");
+
+        assert.equal(adjustmentC.conversionPrice, adjustmentB.adjustedConversionPrice);
+        assert.equal(adjustmentC.originalShares, lead.shares);
+        assert.equal(adjustmentC.originalConversionPrice, lead.pps);
+
+        // In all, the lead holds what its original shares convert into at the latest price.
+        const held = leadIn(seriesC);
+        assert.equal(held.shares, Math.round(lead.shares * lead.pps / adjustmentC.adjustedConversionPrice));
+        assert.equal(held.shares, lead.shares + adjustmentB.extraShares + adjustmentC.extraShares);
+        assert.equal(held.conversionPrice, adjustmentC.adjustedConversionPrice);
+    });
+}
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "bin", "safe-calc.js");
+
+// At a $1M pre-money the SAFE converts into more than the round leaves: the fit diverges.
+const DIVERGING_SCENARIO = {
+    preMoney: 1000000,
+    targetOptionsPool: 10,
+    rowData: [
+        { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+        { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+        { id: "2", type: "safe", name: "SAFE", investment: 1000000, cap: 10000000, discount: 0, conversionType: "post" },
+        { id: "3", type: "series", name: "Lead", investment: 3000000 },
+    ],
+};
+
+const runCLI = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+const writeScenarioDir = (t, scenario) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-calc-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, "round.json"), JSON.stringify(scenario));
+    return dir;
+};
+
+test("a round that doesn't converge exits with status 1", (t) => {
+    const dir = writeScenarioDir(t, DIVERGING_SCENARIO);
+    const { status, stderr } = runCLI(path.join(dir, "round.json"));
+    assert.equal(status, 1);
+    assert.match(stderr, /warning: .*can't be solved/);
+});
+
+test("--check fails a round that doesn't converge even when it matches", (t) => {
+    const dir = writeScenarioDir(t, DIVERGING_SCENARIO);
+    assert.equal(runCLI(dir, "--update").status, 1);
+    const { status, stdout } = runCLI(dir, "--check");
+    assert.equal(status, 1);
+    assert.match(stdout, /FAIL {5}round\.json \(a round didn't converge\)/);
+});
+
+for (const [label, row, message] of [
+    ["a null row", null, /rowData\[1\] is not an object/],
+    ["shares given as a string", { id: "1", type: "common", name: "Founder", shares: "1000000" }, /rowData\[1\] needs shares to be a non-negative number/],
+    ["missing shares", { id: "1", type: "common", name: "Founder" }, /rowData\[1\] needs shares to be a non-negative number/],
+]) {
+    test(`a scenario with ${label} is a usage error`, (t) => {
+        const rowData = [DIVERGING_SCENARIO.rowData[1], row, ...DIVERGING_SCENARIO.rowData.slice(2)];
+        const dir = writeScenarioDir(t, { ...DIVERGING_SCENARIO, preMoney: 20000000, rowData });
+        const { status, stderr } = runCLI(path.join(dir, "round.json"));
+        assert.equal(status, 2);
+        assert.match(stderr, message);
+        assert.doesNotMatch(stderr, /TypeError|    at /);
+    });
+}
+
+test("the committed scenarios match their expected results", () => {
+    const { status, stdout } = runCLI(path.join(__dirname, "scenarios"), "--check");
+    assert.equal(status, 0, stdout);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const engine = require("../engine.js");
+
+test("the ES module entry exports everything the CommonJS entry does", async () => {
+    const esm = await import(pathToFileURL(path.join(__dirname, "..", "engine.mjs")).href);
+    assert.equal(esm.default, engine);
+    const missing = Object.keys(engine).filter((name) => esm[name] !== engine[name]);
+    assert.deepEqual(missing, []);
+});
+
+test("a plain scenario runs without a browser", () => {
+    assert.equal(typeof globalThis.window, "undefined");
+    assert.equal(typeof globalThis.document, "undefined");
+    const results = engine.calculateScenario({
+        preMoney: 10000000,
+        targetOptionsPool: 10,
+        rowData: [
+            { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+            { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+            { id: "2", type: "safe", name: "SAFE", investment: 500000, cap: 8000000, discount: 0.2, conversionType: "post" },
+            { id: "3", type: "series", name: "Lead", investment: 2000000 },
+        ],
+    });
+    assert.equal(results.ready, true);
+    assert.equal(results.pricedConversion.solver.converged, true);
+    assert.equal(results.postRound.total.shares, results.pricedConversion.totalShares);
+    assert.ok(results.preRound.total.shares > 0);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+// The float arithmetic the engine used before it moved to exact rationals.
+const floatRoundPPSToPlaces = (num, places) => {
+    if (places < 0) return num;
+    const factor = Math.pow(10, places);
+    return Math.ceil(num * factor) / factor;
+};
+
+const floatSafeConvert = (safe, preShares, postShares, pps) => {
+    if (safe.cap === 0) return (1 - (safe.discount || 0)) * pps;
+    const discountPPS = (1 - (safe.discount || 0)) * pps;
+    const shares = safe.conversionType === "pre" ? preShares : postShares;
+    return Math.min(discountPPS, safe.cap / shares);
+};
+
+// Seeded, so every run checks the same values.
+const seededRandom = (seed) => () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+test("roundPPSToPlaces matches the float rounding on ordinary prices", () => {
+    const random = seededRandom(17);
+    for (let i = 0; i < 2000; i++) {
+        const price = random() * 10;
+        const places = Math.floor(random() * 9);
+        assert.equal(engine.roundPPSToPlaces(price, places), floatRoundPPSToPlaces(price, places), `${price} to ${places} places`);
+    }
+    assert.equal(engine.roundPPSToPlaces(1.23456789, -1), 1.23456789);
+});
+
+test("roundPPSToPlaces doesn't round up prices the float product overshoots", () => {
+    assert.equal(floatRoundPPSToPlaces(0.07, 2), 0.08);
+    assert.equal(engine.roundPPSToPlaces(0.07, 2), 0.07);
+    assert.equal(floatRoundPPSToPlaces(1.1, 8), 1.10000001);
+    assert.equal(engine.roundPPSToPlaces(1.1, 8), 1.1);
+});
+
+test("safeConvert gives the float engine's conversion prices", () => {
+    const random = seededRandom(29);
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    for (let i = 0; i < 2000; i++) {
+        const safe = {
+            investment: 500000,
+            cap: pick([0, 5e6, 8e6, 1.2e7, 2e7]),
+            discount: pick([0, 0.1, 0.15, 0.2]),
+            conversionType: pick(["pre", "post"]),
+        };
+        const preShares = Math.round(5e6 + random() * 2e7);
+        const postShares = preShares + Math.round(random() * 5e6);
+        const pps = engine.roundPPSToPlaces(0.1 + random() * 3, 8);
+        const exact = engine.safeConvert(safe, preShares, postShares, pps);
+        const float = floatSafeConvert(safe, preShares, postShares, pps);
+        assert.ok(Math.abs(exact - float) <= Math.abs(float) * 1e-15, `${exact} vs ${float}`);
+        // A price that already has 8 places or fewer is where the float engine could round up
+        // a place too far; everywhere else the rounded prices agree.
+        const rounded = engine.roundPPSToPlaces(exact, 8);
+        if (rounded === exact) {
+            assert.ok(floatRoundPPSToPlaces(float, 8) - rounded < 1.5e-8);
+        } else {
+            assert.equal(rounded, floatRoundPPSToPlaces(float, 8), `${exact} vs ${float}`);
+        }
+    }
+});
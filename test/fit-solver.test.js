@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+// The solver fitConversion used before it had a warm start: plain fixed-point iteration of
+// attemptFit from the bare cap table.
+const iterateFromBareTable = (round, strategy) => {
+    let totalShares = round.commonShares + round.unusedOptions;
+    for (let i = 0; i < 100; i++) {
+        const next = engine.attemptFit(round.preMoney, round.commonShares, round.unusedOptions, round.targetOptionsPct, round.safes, round.seriesInvestments, totalShares, strategy);
+        if (next === totalShares) return totalShares;
+        totalShares = next;
+    }
+    return null;
+};
+
+// Seeded, so every run checks the same rounds.
+const seededRounds = (count) => {
+    let seed = 20;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    return Array.from({ length: count }, () => ({
+        preMoney: pick([5e6, 1e7, 1.5e7, 3.3e7]),
+        commonShares: 1e6 * Math.floor(1 + random() * 20),
+        safes: Array.from({ length: 1 + Math.floor(random() * 4) }, () => {
+            const cap = pick([0, 8e6, 1.2e7, 2e7]);
+            return {
+                investment: Math.round(random() * (cap ? cap * 0.25 : 2e6) / 1000) * 1000,
+                cap,
+                discount: pick([0, 0.1, 0.2]),
+                conversionType: pick(["pre", "post", "post"]),
+            };
+        }),
+        unusedOptions: pick([0, 250000]),
+        targetOptionsPct: pick([0, 10, 15]),
+        seriesInvestments: [pick([1e6, 2.5e6, 5e6])],
+    }));
+};
+
+const fit = (round, strategy) => engine.fitConversion(round.preMoney, round.commonShares, round.safes, round.unusedOptions, round.targetOptionsPct, round.seriesInvestments, strategy);
+
+for (const [label, strategy] of [["whole shares", engine.DEFAULT_ROUNDING_STRATEGY], ["shares rounded down", { roundDownShares: true, roundPPSPlaces: 8 }]]) {
+    test(`fitConversion lands on the share count plain iteration reaches (${label})`, () => {
+        let compared = 0;
+        let warmStarts = 0;
+        for (const round of seededRounds(300)) {
+            const expected = iterateFromBareTable(round, strategy);
+            if (expected === null) continue;
+            const result = fit(round, strategy);
+            if (result.solver.status === engine.SolverStatus.Diverging) {
+                // Plain iteration ran away until share rounding pinned it, far past any real round.
+                assert.ok(expected > 1e12, JSON.stringify(round));
+                continue;
+            }
+            assert.equal(result.solver.converged, true);
+            assert.equal(result.totalShares, expected, JSON.stringify(round));
+            compared++;
+            if (result.solver.method !== engine.SolverMethod.Iteration) warmStarts++;
+        }
+        assert.ok(compared > 200, `only ${compared} rounds settled under plain iteration`);
+        assert.ok(warmStarts > compared / 2, `only ${warmStarts} of ${compared} fits used the warm start`);
+    });
+}
+
+// At a $1M pre-money the SAFE converts into more than the round leaves: the fit runs away.
+const DIVERGING_ROWS = [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+    { id: "2", type: "safe", name: "SAFE", investment: 1000000, cap: 10000000, discount: 0, conversionType: "post" },
+    { id: "3", type: "series", name: "Lead", investment: 3000000 },
+];
+
+test("a round that diverges comes back with no cap table", () => {
+    const { pricedConversion, postRound } = engine.calculatePricedRound(DIVERGING_ROWS, 1000000, 10);
+    assert.equal(pricedConversion.solver.converged, false);
+    assert.equal(pricedConversion.solver.status, engine.SolverStatus.Diverging);
+    assert.ok(Number.isNaN(pricedConversion.totalShares));
+    assert.ok(Number.isNaN(pricedConversion.pps));
+    assert.ok(postRound.series.every((se) => Number.isNaN(se.shares)));
+});
+
+test("goal-seek and the sensitivity grid skip valuations whose round diverges", () => {
+    const unreachable = engine.solvePreMoneyForTarget(DIVERGING_ROWS, 10, "investor", 0.9);
+    assert.equal(unreachable.reachable, false);
+    assert.ok(unreachable.maxPct < 0.9);
+
+    const solved = engine.solvePreMoneyForTarget(DIVERGING_ROWS, 10, "investor", 0.2);
+    assert.equal(solved.reachable, true);
+    assert.equal(engine.calculatePricedRound(DIVERGING_ROWS, solved.preMoney, 10).pricedConversion.solver.converged, true);
+
+    const [[diverged], [converged]] = engine.buildSensitivityGrid(DIVERGING_ROWS, 10, [1000000, 20000000], [3000000]);
+    assert.ok(Number.isNaN(diverged.founderPct));
+    assert.ok(converged.founderPct > 0);
+});
+
+test("coarse price rounding that slows the climb isn't taken for divergence", () => {
+    // At 4 PPS places the residual grows for several steps in a row on the way to the answer.
+    const pool = { ...engine.DEFAULT_OPTION_POOL, mode: engine.OptionPoolMode.PreMoney };
+    const safes = [{ investment: 74000, cap: 0, discount: 0, conversionType: "post" }];
+    const round = { preMoney: 5e6, commonShares: 12108428, unusedOptions: 3e6, targetOptionsPct: 5, safes, seriesInvestments: [5186000, 16059000] };
+    const fitAt = (roundPPSPlaces) => engine.fitConversion(round.preMoney, round.commonShares, safes, round.unusedOptions, round.targetOptionsPct, round.seriesInvestments, { roundShares: true, roundPPSPlaces }, pool);
+
+    // Plain iteration from the bare cap table settles here too.
+    const coarse = fitAt(4);
+    assert.equal(coarse.solver.converged, true);
+    assert.equal(coarse.totalShares, 80403987);
+    assert.equal(fitAt(8).totalShares, 80495463);
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const withSeriesB = (preMoney) => ({
+    preMoney: 20000000,
+    targetOptionsPool: 10,
+    rowData: [
+        { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+        { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+        { id: "3", type: "series", name: "Lead", investment: 5000000 },
+    ],
+    followOnRounds: [
+        { id: "b", roundName: "Series B", preMoney, targetOptionsPool: 10, investors: [{ id: "b1", name: "B lead", investment: 5000000 }] },
+        { id: "c", roundName: "Series C", preMoney: 90000000, targetOptionsPool: 10, investors: [{ id: "c1", name: "C lead", investment: 10000000 }] },
+    ],
+});
+
+test("every follow-on round with a pre-money is priced", () => {
+    const results = engine.calculateScenario(withSeriesB(40000000));
+    assert.equal(results.ready, true);
+    assert.deepEqual(results.followOnSteps.map((step) => step.roundId), ["b", "c"]);
+    assert.equal(results.finalRoundId, "c");
+});
+
+for (const preMoney of [0, NaN]) {
+    test(`a follow-on round with a pre-money of ${preMoney} is an error, not dropped`, () => {
+        const results = engine.calculateScenario(withSeriesB(preMoney));
+        assert.equal(results.ready, false);
+        assert.deepEqual(results.errors, { b: "Series B needs a pre-money valuation greater than 0." });
+    });
+}
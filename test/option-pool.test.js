@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const ROWS = [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 500000, category: "Option pool" },
+    { id: "2", type: "safe", name: "Post-money SAFE", investment: 1000000, cap: 10000000, discount: 0, conversionType: "post" },
+    { id: "3", type: "safe", name: "Pre-money SAFE", investment: 500000, cap: 8000000, discount: 0, conversionType: "pre" },
+    { id: "4", type: "series", name: "Lead", investment: 3000000 },
+];
+
+const priceRound = (targetPct, optionPool) => {
+    const { pricedConversion, postRound } = engine.calculatePricedRound(ROWS, 20000000, targetPct, engine.DEFAULT_ROUNDING_STRATEGY, engine.getOptionPoolTerms(optionPool));
+    assert.equal(pricedConversion.solver.converged, true);
+    return { pricedConversion, postRound };
+};
+
+// Whole-share rounding leaves the pool within a share of its target.
+const assertWithinAShare = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1, `${actual} vs ${expected}`);
+
+test("a post-money pool is the target share of the post-round table", () => {
+    for (const safeCapitalization of Object.values(engine.SafeCapitalization)) {
+        const { pricedConversion } = priceRound(15, { mode: engine.OptionPoolMode.PostMoney, safeCapitalization });
+        assertWithinAShare(pricedConversion.totalOptions, 0.15 * pricedConversion.totalShares);
+    }
+});
+
+test("a pre-money pool is the target share of the table before the new money", () => {
+    const { pricedConversion } = priceRound(15, { mode: engine.OptionPoolMode.PreMoney });
+    assertWithinAShare(pricedConversion.totalOptions, 0.15 * (pricedConversion.totalShares - pricedConversion.seriesShares));
+    assert.ok(pricedConversion.totalOptions / pricedConversion.totalShares < 0.15);
+});
+
+test("a fixed top-up adds exactly the new shares, whatever the target", () => {
+    const { pricedConversion } = priceRound(15, { mode: engine.OptionPoolMode.FixedShares, newShares: 750000 });
+    assert.equal(pricedConversion.additionalOptions, 750000);
+    assert.equal(pricedConversion.totalOptions, 500000 + 750000);
+});
+
+test("a pool already above its target isn't topped up", () => {
+    const { pricedConversion } = priceRound(3, { mode: engine.OptionPoolMode.PostMoney });
+    assert.equal(pricedConversion.additionalOptions, 0);
+    assert.equal(pricedConversion.totalOptions, 500000);
+});
+
+test("counting the top-up in the SAFE capitalization moves it between the SAFEs", () => {
+    const sharesOf = (safeCapitalization) => priceRound(15, { mode: engine.OptionPoolMode.PostMoney, safeCapitalization })
+        .postRound.safes.map((safe) => safe.shares);
+    const [postStandard, preStandard] = sharesOf(engine.SafeCapitalization.Standard);
+    const [postIncluded] = sharesOf(engine.SafeCapitalization.Include);
+    const [, preExcluded] = sharesOf(engine.SafeCapitalization.Exclude);
+    // Post-money SAFEs leave it out as standard; pre-money SAFEs count it.
+    assert.ok(postIncluded > postStandard);
+    assert.ok(preExcluded < preStandard);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const rowsWithSafeCap = (cap) => [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "a", type: "common", name: "Angel", shares: 500000, category: "Investor", proRata: true },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 2000000, category: "Option pool" },
+    { id: "2", type: "safe", name: "SAFE", investment: 500000, cap, discount: 0, conversionType: "post", proRata: true },
+    { id: "3", type: "series", name: "Lead", investment: 2000000 },
+];
+
+test("pro-rata amounts that settle say so", () => {
+    const proRata = engine.calculateProRata(rowsWithSafeCap(10000000), 10000000, null);
+    assert.equal(proRata.settled, true);
+    assert.ok(proRata.totalAmount > 0);
+});
+
+test("pro-rata amounts that take many re-solves still settle", () => {
+    // The SAFE owns half the company after conversion: each re-solve only halves the gap.
+    const proRata = engine.calculateProRata(rowsWithSafeCap(1000000), 10000000, null);
+    assert.equal(proRata.settled, true);
+    assert.deepEqual(proRata.holders.map((h) => h.amount), [100001, 2100001]);
+    // Both holders keep the stake they held after conversion.
+    for (const h of proRata.holders) assert.ok(Math.abs(h.postRoundPct - h.ownershipPct) < 1e-6);
+});
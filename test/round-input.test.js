@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+// SAFEs that own a lot at a low valuation: below about $2M pre-money the round has no solution.
+const SAFE_HEAVY_ROWS = [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+    { id: "2", type: "safe", name: "Post-money SAFE", investment: 1000000, cap: 10000000, discount: 0, conversionType: "post" },
+    { id: "3", type: "safe", name: "Pre-money SAFE", investment: 500000, cap: 0, discount: 0.2, conversionType: "pre" },
+    { id: "4", type: "series", name: "Lead", investment: 3000000 },
+];
+
+const scenarioAtPrice = (pps) => ({
+    rowData: SAFE_HEAVY_ROWS,
+    preMoney: 0,
+    targetOptionsPool: 10,
+    roundInput: { basis: engine.RoundInputBasis.PricePerShare, pps },
+});
+
+test("a SAFE-heavy round is priced from any price a solvable valuation gives", () => {
+    for (const pps of [0.2, 0.3, 1]) {
+        const resolved = engine.resolveRoundPreMoney(scenarioAtPrice(pps));
+        assert.equal(resolved.reachable, true, `$${pps} should be reachable`);
+        const { pricedConversion } = engine.calculatePricedRound(SAFE_HEAVY_ROWS, resolved.preMoney, 10);
+        assert.equal(pricedConversion.solver.converged, true);
+        assert.ok(pricedConversion.pps >= pps);
+    }
+});
+
+test("the achievable price range comes from rounds that converge", () => {
+    const resolved = engine.resolveRoundPreMoney(scenarioAtPrice(0.001));
+    assert.equal(resolved.reachable, false);
+    assert.ok(resolved.minPps > 0 && resolved.minPps < 0.2);
+    assert.ok(resolved.maxPps > 1);
+});
+
+test("calculateScenario solves the round at the price it resolved", () => {
+    const results = engine.calculateScenario(scenarioAtPrice(0.3));
+    assert.equal(results.ready, true);
+    assert.equal(results.pricedConversion.solver.converged, true);
+    assert.ok(results.pricedConversion.pps >= 0.3 && results.pricedConversion.pps < 0.3001);
+});
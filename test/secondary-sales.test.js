@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const rowsBuyingFrom = (buyer) => [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+    { id: "3", type: "series", name: "Lead", investment: 3000000 },
+    buyer,
+    { id: "s", type: "secondary", name: "Sale", sellerId: "1", buyerId: buyer.id, shares: 100000, discount: 0.1 },
+];
+
+test("a secondary sale to an investor in the round moves the shares", () => {
+    const results = engine.calculateScenario({
+        rowData: rowsBuyingFrom({ id: "4", type: "series", name: "Second", investment: 1000000 }),
+        preMoney: 10000000,
+        targetOptionsPool: 10,
+    });
+    assert.equal(results.ready, true);
+    assert.deepEqual(results.postRound.secondarySales.map((sale) => [sale.id, sale.buyerId, sale.shares]), [["s", "4", 100000]]);
+});
+
+test("a secondary sale to an investor with nothing in the round is an error, not dropped", () => {
+    const rowData = rowsBuyingFrom({ id: "4", type: "series", name: "Second", investment: 0 });
+    assert.match(engine.checkSecondarySalesForErrors(rowData).s, /"Second" has no investment in the round/);
+    const results = engine.calculateScenario({ rowData, preMoney: 10000000, targetOptionsPool: 10 });
+    assert.equal(results.ready, false);
+    assert.ok(results.errors.s);
+});
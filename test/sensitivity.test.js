@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+const ROWS_WITHOUT_ROUND = [
+    { id: "1", type: "common", name: "Founder", shares: 8000000, category: "Founder" },
+    { id: "UnusedOptionsPool", type: "common", name: "Option pool", shares: 1000000, category: "Option pool" },
+    { id: "2", type: "safe", name: "SAFE", investment: 500000, cap: 8000000, discount: 0, conversionType: "post" },
+];
+
+test("without series investors the raise goes to a new one", () => {
+    const scaled = engine.scaleSeriesInvestments(ROWS_WITHOUT_ROUND, 2000000);
+    const added = scaled.filter((r) => r.type === engine.CapTableRowType.Series);
+    assert.deepEqual(added.map((r) => [r.id, r.investment]), [["RoundInvestor", 2000000]]);
+    assert.equal(engine.scaleSeriesInvestments(ROWS_WITHOUT_ROUND, 0), ROWS_WITHOUT_ROUND);
+});
+
+test("each raise column of the grid prices a different round, series investors or not", () => {
+    const [cells] = engine.buildSensitivityGrid(ROWS_WITHOUT_ROUND, 10, [10000000], [1000000, 2000000, 3000000]);
+    const founderPcts = cells.map((cell) => cell.founderPct);
+    assert.ok(founderPcts[0] > founderPcts[1] && founderPcts[1] > founderPcts[2], founderPcts.join(", "));
+});